@@ -0,0 +1,223 @@
+import { readFileSync } from 'fs';
+import { STANDARD_ABIS } from './standard-abis.js';
+import { parseSignature, canonicalSignature, fragmentId } from './abi-signatures.js';
+
+const SIGNATURE_DATABASE_PATH = new URL('./data/signatures.json', import.meta.url);
+const MAX_NESTED_DEPTH = 3;
+
+/**
+ * Charge la base de signatures livrée avec l'outil (aucun accès réseau)
+ * @param {string|URL} file - Chemin de la base, data/signatures.json par défaut
+ */
+export function loadSignatureDatabase(file = SIGNATURE_DATABASE_PATH) {
+    try {
+        return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.warn('⚠️  Base de signatures illisible:', error.message);
+        return { version: 0, functions: {}, events: {} };
+    }
+}
+
+function indexFragments(fragments) {
+    const index = { functions: new Map(), events: new Map() };
+    for (const fragment of fragments) {
+        if (fragment.type !== 'function' && fragment.type !== 'event') continue;
+        if (fragment.type === 'event' && fragment.anonymous) continue;
+
+        const table = fragment.type === 'event' ? index.events : index.functions;
+        const id = fragmentId(fragment);
+        table.set(id, [...(table.get(id) || []), fragment]);
+    }
+    return index;
+}
+
+/**
+ * Résout sélecteurs et topics en fragments d'ABI, dans l'ordre :
+ * ABI vérifiée du contrat (et de son implémentation) sur l'explorer,
+ * ABI standards (ERC-20/721/1155, Ownable, AccessControl, proxies),
+ * puis base de signatures locale.
+ */
+export class AbiDecoder {
+    constructor(analyzer, { fetchVerifiedAbis = true, signatureDatabase = loadSignatureDatabase() } = {}) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.fetchVerifiedAbis = fetchVerifiedAbis;
+        this.standard = indexFragments(Object.values(STANDARD_ABIS).flat().map(signature => parseSignature(signature)));
+        this.database = signatureDatabase;
+        this.contractAbis = new Map();
+    }
+
+    async getContractIndex(address) {
+        if (!this.fetchVerifiedAbis || !address || !this.analyzer.isValidAddress(address)) return null;
+
+        const key = address.toLowerCase();
+        if (!this.contractAbis.has(key)) {
+            this.contractAbis.set(key, this.loadContractIndex(address));
+        }
+        return this.contractAbis.get(key);
+    }
+
+    async loadContractIndex(address) {
+        try {
+            const source = await this.analyzer.explorer.getSourceCode(address);
+            const fragments = [...(source?.abi || [])];
+
+            if (source?.implementation && this.analyzer.isValidAddress(source.implementation)) {
+                const implementation = await this.analyzer.explorer.getSourceCode(source.implementation);
+                fragments.push(...(implementation?.abi || []));
+            }
+
+            return fragments.length ? indexFragments(fragments) : null;
+        } catch (error) {
+            console.warn(`⚠️  ABI vérifiée indisponible pour ${address}:`, error.message);
+            return null;
+        }
+    }
+
+    async candidates(kind, id, address) {
+        const verified = (await this.getContractIndex(address))?.[kind].get(id) || [];
+        const standard = this.standard[kind].get(id) || [];
+        const database = (this.database[kind]?.[id] || [])
+            .map(signature => parseSignature(signature, kind === 'events' ? 'event' : 'function'));
+
+        return [
+            ...verified.map(fragment => ({ fragment, source: 'verified' })),
+            ...standard.map(fragment => ({ fragment, source: 'standard' })),
+            ...database.map(fragment => ({ fragment, source: 'database' }))
+        ];
+    }
+
+    /**
+     * Décode un calldata en méthode et paramètres nommés et typés.
+     * Les paramètres `bytes` contenant eux-mêmes un appel (upgradeToAndCall, multicall, execute...)
+     * sont décodés récursivement.
+     * @param {string} input - Calldata hexadécimal
+     * @param {string} to - Adresse appelée, pour l'ABI vérifiée
+     */
+    async decodeCall(input, to = null, depth = 0) {
+        if (!input || input.length < 10) return { method: 'unknown', selector: null, signature: null, source: null, params: [] };
+
+        const selector = input.slice(0, 10).toLowerCase();
+        for (const { fragment, source } of await this.candidates('functions', selector, to)) {
+            try {
+                const decoded = this.web3.eth.abi.decodeParameters(fragment.inputs, '0x' + input.slice(10));
+                const params = fragment.inputs.map((param, index) => ({
+                    name: param.name || `arg${index}`,
+                    type: canonicalSignature({ name: '', inputs: [param] }).slice(1, -1),
+                    value: this.formatValue(decoded[index], param)
+                }));
+
+                await this.decodeNestedCalls(params, to, depth);
+                return { method: fragment.name, selector, signature: canonicalSignature(fragment), source, params };
+            } catch {
+                continue;
+            }
+        }
+
+        return { method: 'unknown', selector, signature: null, source: null, params: [] };
+    }
+
+    async decodeNestedCalls(params, to, depth) {
+        if (depth >= MAX_NESTED_DEPTH) return;
+
+        const target = params.find(param => param.type === 'address' && /implementation|target|to/i.test(param.name))?.value || to;
+        for (const param of params) {
+            const nested = [];
+
+            if (param.type === 'bytes' || param.type === 'bytes[]') {
+                const payloads = param.type === 'bytes' ? [param.value] : param.value;
+                for (const payload of payloads) {
+                    nested.push(await this.decodePayload(payload, target, depth));
+                }
+            } else if (param.type.startsWith('(')) {
+                // Tuples (aggregate, execute par lots) : chaque élément porte sa cible et son calldata
+                const tuples = Array.isArray(param.value) ? param.value : [param.value];
+                for (const tuple of tuples) {
+                    const values = Object.values(tuple);
+                    const tupleTarget = values.find(value => typeof value === 'string' && value.length === 42) || target;
+                    for (const value of values) {
+                        nested.push(await this.decodePayload(value, tupleTarget, depth));
+                    }
+                }
+            }
+
+            const calls = nested.filter(Boolean);
+            if (calls.length) {
+                param.decoded = param.type === 'bytes' ? calls[0] : calls;
+            }
+        }
+    }
+
+    async decodePayload(payload, target, depth) {
+        if (typeof payload !== 'string' || payload.length < 10 || payload.length === 42 || payload.length === 66) return null;
+        const call = await this.decodeCall(payload, target, depth + 1);
+        return call.method !== 'unknown' ? call : null;
+    }
+
+    /**
+     * Décode un log en nom d'événement et paramètres nommés et typés.
+     * Pour un même topic (Transfer ERC-20 / ERC-721), le candidat retenu est celui
+     * dont le nombre de paramètres indexés correspond aux topics du log.
+     * @param {Object} log - Log brut (address, topics, data)
+     */
+    async decodeLog(log) {
+        const topic = log.topics?.[0]?.toLowerCase();
+        if (!topic) return null;
+
+        const indexedCount = log.topics.length - 1;
+        for (const { fragment, source } of await this.candidates('events', topic, log.address)) {
+            if (fragment.inputs.filter(input => input.indexed).length !== indexedCount) continue;
+
+            try {
+                const decoded = this.web3.eth.abi.decodeLog(fragment.inputs, log.data, log.topics.slice(1));
+                return {
+                    event: fragment.name,
+                    signature: canonicalSignature(fragment),
+                    source,
+                    params: fragment.inputs.map((param, index) => ({
+                        name: param.name || `arg${index}`,
+                        type: canonicalSignature({ name: '', inputs: [param] }).slice(1, -1),
+                        indexed: Boolean(param.indexed),
+                        value: this.formatValue(decoded[index], param)
+                    }))
+                };
+            } catch {
+                continue;
+            }
+        }
+        return null;
+    }
+
+    formatValue(value, param) {
+        if (typeof value === 'bigint') return value.toString();
+        if (param?.type?.startsWith('tuple')) {
+            const isArray = param.type !== 'tuple';
+            const formatTuple = tuple => Object.fromEntries(param.components.map((component, index) =>
+                [component.name || `arg${index}`, this.formatValue(tuple[index], component)]));
+            return isArray ? Array.from(value, formatTuple) : formatTuple(value);
+        }
+        if (Array.isArray(value)) {
+            const itemType = param?.type?.replace(/\[\d*\]$/, '');
+            return value.map(item => this.formatValue(item, { ...param, type: itemType }));
+        }
+        return value;
+    }
+}
+
+/**
+ * Représentation courte d'un appel décodé, ex. `upgradeToAndCall(newImplementation=0x.., data=initialize())`
+ * @param {Object} call - Résultat de AbiDecoder.decodeCall
+ */
+export function formatDecodedCall(call) {
+    if (!call || call.method === 'unknown') return call?.selector ? `unknown(${call.selector})` : 'unknown';
+
+    const params = call.params.map(param => {
+        if (param.decoded) {
+            const nested = Array.isArray(param.decoded) ? param.decoded : [param.decoded];
+            return `${param.name}=[${nested.map(formatDecodedCall).join(', ')}]`;
+        }
+        const value = typeof param.value === 'object' ? JSON.stringify(param.value) : String(param.value);
+        return `${param.name}=${value.length > 66 ? value.slice(0, 66) + '…' : value}`;
+    });
+    return `${call.method}(${params.join(', ')})`;
+}
@@ -0,0 +1,114 @@
+import Web3 from 'web3';
+
+/**
+ * Découpe une liste de paramètres au premier niveau de parenthèses
+ * @param {string} text - Contenu entre parenthèses, ex. `address to,(uint256,bytes)[] calls`
+ */
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+function parseParameter(text, index) {
+    let type;
+    let rest;
+
+    if (text.startsWith('(') || text.startsWith('tuple(')) {
+        const start = text.indexOf('(');
+        let depth = 0;
+        let end = start;
+        for (; end < text.length; end++) {
+            if (text[end] === '(') depth++;
+            if (text[end] === ')') depth--;
+            if (depth === 0) break;
+        }
+        const suffix = text.slice(end + 1).match(/^(\[\d*\])*/)[0];
+        const components = splitTopLevel(text.slice(start + 1, end)).map(parseParameter);
+        rest = text.slice(end + 1 + suffix.length).trim().split(/\s+/).filter(Boolean);
+        return {
+            type: `tuple${suffix}`,
+            components,
+            indexed: rest.includes('indexed'),
+            name: rest.filter(word => word !== 'indexed' && word !== 'calldata' && word !== 'memory')[0] || `arg${index}`
+        };
+    }
+
+    [type, ...rest] = text.split(/\s+/);
+    return {
+        type: type === 'uint' ? 'uint256' : type === 'int' ? 'int256' : type,
+        indexed: rest.includes('indexed'),
+        name: rest.filter(word => !['indexed', 'calldata', 'memory', 'storage'].includes(word))[0] || `arg${index}`
+    };
+}
+
+/**
+ * Transforme une signature lisible en fragment d'ABI JSON.
+ * Accepte `transfer(address,uint256)` comme
+ * `event Transfer(address indexed from, address indexed to, uint256 value)`.
+ * @param {string} signature - Signature textuelle
+ * @param {string} defaultKind - `function` ou `event` si le mot-clé est absent
+ * @returns {Object} Fragment d'ABI ({ type, name, inputs })
+ */
+export function parseSignature(signature, defaultKind = 'function') {
+    const match = signature.trim().match(/^(?:(function|event)\s+)?([A-Za-z_$][\w$]*)\s*\((.*)\)(?:\s+.*)?$/s);
+    if (!match) {
+        throw new Error(`Signature invalide : "${signature}"`);
+    }
+
+    const [, kind = defaultKind, name, params] = match;
+    return {
+        type: kind,
+        name,
+        inputs: splitTopLevel(params).map(parseParameter)
+    };
+}
+
+function canonicalType(input) {
+    if (!input.type.startsWith('tuple')) return input.type;
+    return `(${input.components.map(canonicalType).join(',')})${input.type.slice('tuple'.length)}`;
+}
+
+/**
+ * Signature canonique d'un fragment, telle qu'utilisée pour le hachage
+ * @param {Object} fragment - Fragment d'ABI JSON
+ */
+export function canonicalSignature(fragment) {
+    return `${fragment.name}(${fragment.inputs.map(canonicalType).join(',')})`;
+}
+
+/**
+ * Signature lisible d'un fragment, avec noms et `indexed`, pour la base de signatures
+ * @param {Object} fragment - Fragment d'ABI JSON
+ */
+export function readableSignature(fragment) {
+    const describe = input => {
+        const type = input.type.startsWith('tuple')
+            ? `(${input.components.map(describe).join(',')})${input.type.slice('tuple'.length)}`
+            : input.type;
+        return [type, input.indexed ? 'indexed' : null, input.name].filter(Boolean).join(' ');
+    };
+    return `${fragment.name}(${fragment.inputs.map(describe).join(',')})`;
+}
+
+/**
+ * Sélecteur de fonction (4 octets) ou topic d'événement (32 octets) d'un fragment
+ * @param {Object} fragment - Fragment d'ABI JSON
+ */
+export function fragmentId(fragment) {
+    const hash = Web3.utils.sha3(canonicalSignature(fragment));
+    return fragment.type === 'event' ? hash : hash.slice(0, 10);
+}
@@ -0,0 +1,378 @@
+import Web3 from 'web3';
+import { getLogsInChunks } from './log-scanner.js';
+import { highestSeverity } from './detection-rules.js';
+import { reportStrings } from './report-strings.js';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+export const DEFAULT_ADMIN_ROLE = '0x' + '0'.repeat(64);
+
+// Événements suivis et type de changement correspondant
+const ACCESS_EVENTS = {
+    'OwnershipTransferStarted(address,address)': 'ownership-pending',
+    'OwnershipTransferred(address,address)': 'ownership',
+    'RoleGranted(bytes32,address,address)': 'role-granted',
+    'RoleRevoked(bytes32,address,address)': 'role-revoked',
+    'RoleAdminChanged(bytes32,bytes32,bytes32)': 'role-admin',
+    'SafeSetup(address,address[],uint256,address,address)': 'safe-setup',
+    'AddedOwner(address)': 'safe-owner-added',
+    'RemovedOwner(address)': 'safe-owner-removed',
+    'ChangedThreshold(uint256)': 'safe-threshold'
+};
+
+const EVENT_KINDS = Object.fromEntries(Object.entries(ACCESS_EVENTS)
+    .map(([signature, kind]) => [Web3.utils.sha3(signature), kind]));
+
+// Rôles AccessControl courants, reconnus par leur hash
+const ROLE_NAMES = Object.fromEntries([
+    'MINTER_ROLE', 'BURNER_ROLE', 'PAUSER_ROLE', 'UPGRADER_ROLE', 'ADMIN_ROLE', 'OPERATOR_ROLE', 'MANAGER_ROLE',
+    'GOVERNOR_ROLE', 'GUARDIAN_ROLE', 'KEEPER_ROLE', 'ORACLE_ROLE', 'PROPOSER_ROLE', 'EXECUTOR_ROLE',
+    'CANCELLER_ROLE', 'TIMELOCK_ADMIN_ROLE', 'BRIDGE_ROLE', 'RELAYER_ROLE'
+].map(name => [Web3.utils.sha3(name), name]).concat([[DEFAULT_ADMIN_ROLE, 'DEFAULT_ADMIN_ROLE']]));
+
+export function roleName(role) {
+    return ROLE_NAMES[role?.toLowerCase()] ?? null;
+}
+
+const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+const emptyState = () => ({ owner: null, pendingOwner: null, roles: new Map(), safe: null });
+
+const roleState = (state, role) => {
+    if (!state.roles.has(role)) state.roles.set(role, { admin: DEFAULT_ADMIN_ROLE, members: new Set() });
+    return state.roles.get(role);
+};
+
+function applyChange(state, change) {
+    switch (change.kind) {
+    case 'ownership':
+        state.owner = change.newValue === ZERO_ADDRESS ? null : change.newValue;
+        state.pendingOwner = null;
+        break;
+    case 'ownership-pending':
+        state.pendingOwner = change.newValue === ZERO_ADDRESS ? null : change.newValue;
+        break;
+    case 'role-granted':
+        roleState(state, change.role).members.add(change.account);
+        break;
+    case 'role-revoked':
+        roleState(state, change.role).members.delete(change.account);
+        break;
+    case 'role-admin':
+        roleState(state, change.role).admin = change.newValue;
+        break;
+    case 'safe-setup':
+        state.safe = { owners: new Set(change.owners), threshold: change.newValue };
+        break;
+    case 'safe-owner-added':
+        state.safe ??= { owners: new Set(), threshold: null };
+        state.safe.owners.add(change.account);
+        break;
+    case 'safe-owner-removed':
+        state.safe?.owners.delete(change.account);
+        break;
+    case 'safe-threshold':
+        state.safe ??= { owners: new Set(), threshold: null };
+        state.safe.threshold = change.newValue;
+        break;
+    }
+}
+
+function serializeState(state) {
+    return {
+        owner: state.owner,
+        pendingOwner: state.pendingOwner,
+        roles: Object.fromEntries([...state.roles]
+            .filter(([, { members }]) => members.size)
+            .map(([role, { admin, members }]) => [role, {
+                name: roleName(role),
+                admin,
+                adminName: roleName(admin),
+                members: [...members]
+            }])),
+        safe: state.safe && { owners: [...state.safe.owners], threshold: state.safe.threshold }
+    };
+}
+
+/**
+ * Description d'un changement de droits, dans la langue du rapport (français par défaut)
+ * @param {Object} change - Changement retourné par AccessControlHistory.build
+ * @param {Object} strings - Libellés `accessChanges` de reportStrings
+ */
+export function describeAccessChange(change, strings = reportStrings('fr').accessChanges) {
+    const role = change.roleName || change.role;
+    switch (change.kind) {
+    case 'ownership': return `${strings.ownership} ${change.oldValue} → ${change.newValue}`;
+    case 'ownership-pending': return `${strings.ownershipPending} ${change.newValue}`;
+    case 'role-granted': return `${strings.role} ${role} ${strings.grantedTo} ${change.account}`;
+    case 'role-revoked': return `${strings.role} ${role} ${strings.revokedFrom} ${change.account}`;
+    case 'role-admin': return `${strings.roleAdmin} ${role} ${strings.changedTo} ${roleName(change.newValue) || change.newValue}`;
+    case 'safe-setup': return `${strings.safeSetup} (${change.owners.length} ${strings.owners}, ${strings.threshold} ${change.newValue})`;
+    case 'safe-owner-added': return `${strings.safeOwner} ${change.account} ${strings.addedToSafe}`;
+    case 'safe-owner-removed': return `${strings.safeOwner} ${change.account} ${strings.removedFromSafe}`;
+    case 'safe-threshold': return `${strings.safeThreshold} ${change.newValue}`;
+    default: return change.kind;
+    }
+}
+
+/**
+ * Détenteurs des droits de chaque contrat à un bloc donné (inclus), rejoués depuis l'historique
+ * @param {Object[]} changes - Changements retournés par AccessControlHistory.build, triés
+ * @param {number} blockNumber - Bloc de lecture, le dernier connu par défaut
+ * @returns {Object} `{ [contrat]: { owner, pendingOwner, roles, safe } }`
+ */
+export function holdersAt(changes, blockNumber = Infinity) {
+    const states = new Map();
+    for (const change of changes) {
+        if (change.blockNumber > blockNumber) break;
+        const key = change.contract.toLowerCase();
+        if (!states.has(key)) states.set(key, { address: change.contract, state: emptyState() });
+        applyChange(states.get(key).state, change);
+    }
+    return Object.fromEntries([...states.values()].map(({ address, state }) => [address, serializeState(state)]));
+}
+
+/**
+ * Reconstruit l'historique des droits privilégiés d'un contrat et de ceux qui le contrôlent :
+ * propriétaire Ownable (et Ownable2Step), rôles AccessControl, propriétaires et seuil d'un Safe.
+ *
+ * Chaque changement est comparé aux détenteurs rejoués juste avant lui : un changement fait
+ * par une adresse qui ne détenait pas le droit, par l'adresse suspecte ou peu avant la
+ * transaction de hack est signalé, avec les mêmes sévérités que les règles de détection.
+ */
+export class AccessControlHistory {
+    /**
+     * @param {Object} options
+     * @param {number} options.recentSeconds - Délai avant le hack en deçà duquel un changement est signalé
+     */
+    constructor(analyzer, { recentSeconds = 24 * 3600 } = {}) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.recentSeconds = recentSeconds;
+        this.transactions = new Map();
+        this.blockTimes = new Map();
+    }
+
+    /**
+     * @param {string[]} addresses - Contrat analysé puis contrats qui le contrôlent (admin, propriétaire)
+     * @param {Object} options
+     * @param {number|null} options.fromBlock - Premier bloc, le plus ancien déploiement par défaut
+     * @param {number|null} options.hackBlock - Bloc de la transaction de hack, s'il est connu
+     * @param {string|null} options.suspect - Adresse suspecte
+     */
+    async build(addresses, { fromBlock = null, toBlock = null, chunkSize = 2000, hackBlock = null, suspect = null } = {}) {
+        const contracts = [];
+        for (const address of addresses) {
+            const deployment = await this.findDeployment(address);
+            contracts.push({
+                address,
+                deploymentBlock: deployment.blockNumber,
+                deploymentTx: deployment.txHash,
+                // Sans le déploiement, les détenteurs initiaux sont inconnus : pas de contrôle des non-détenteurs
+                complete: fromBlock === null || (deployment.blockNumber !== null && fromBlock <= deployment.blockNumber)
+            });
+        }
+
+        const startBlock = fromBlock ?? Math.min(...contracts.map(contract => contract.deploymentBlock ?? 0));
+        const endBlock = toBlock ?? Number(await this.web3.eth.getBlockNumber());
+
+        console.log(`🔐 Recherche des changements de droits de ${addresses.length} contrat(s) entre les blocs ${startBlock} et ${endBlock}...`);
+        const logs = await getLogsInChunks(this.web3, {
+            address: addresses,
+            topics: [Object.keys(EVENT_KINDS)]
+        }, startBlock, endBlock, {
+            chunkSize,
+            onProgress: (block, last, count) => {
+                if (block === last || block % (chunkSize * 50) < chunkSize) {
+                    console.log(`  - bloc ${block}/${last} (${count} événements)`);
+                }
+            }
+        });
+
+        const changes = [];
+        for (const log of logs) {
+            const change = await this.changeFromLog(log);
+            if (change) changes.push(change);
+        }
+
+        const hackTime = hackBlock !== null ? await this.getBlockTime(hackBlock) : null;
+        const states = new Map();
+        for (const change of changes) {
+            const key = change.contract.toLowerCase();
+            if (!states.has(key)) states.set(key, emptyState());
+            const contract = contracts.find(entry => same(entry.address, change.contract));
+
+            change.timestamp = new Date(await this.getBlockTime(change.blockNumber) * 1000).toISOString();
+            change.description = describeAccessChange(change);
+            const reasons = this.evaluate(change, states.get(key), { contract, suspect, hackBlock, hackTime });
+            change.reason = reasons;
+            change.suspicious = reasons.length > 0;
+            change.severity = highestSeverity(reasons);
+
+            applyChange(states.get(key), change);
+        }
+
+        return {
+            fromBlock: startBlock,
+            toBlock: endBlock,
+            hackBlock,
+            contracts,
+            changes,
+            holders: holdersAt(changes),
+            holdersBeforeHack: hackBlock !== null ? holdersAt(changes, hackBlock - 1) : null
+        };
+    }
+
+    async changeFromLog(log) {
+        const kind = EVENT_KINDS[log.topics[0]];
+        if (!kind) return null;
+
+        const tx = await this.getTransaction(log.transactionHash);
+        const topic = index => log.topics[index];
+        const address = index => topic(index) ? this.analyzer.normalizeAddress(topic(index)) : null;
+        const change = {
+            contract: this.web3.utils.toChecksumAddress(log.address),
+            kind,
+            blockNumber: Number(log.blockNumber),
+            logIndex: Number(log.logIndex),
+            transactionHash: log.transactionHash,
+            caller: tx?.from ?? null,
+            entryPoint: tx?.to ?? null,
+            role: null,
+            roleName: null,
+            account: null,
+            sender: null,
+            oldValue: null,
+            newValue: null
+        };
+
+        switch (kind) {
+        case 'ownership':
+        case 'ownership-pending':
+            change.oldValue = address(1);
+            change.newValue = address(2);
+            break;
+        case 'role-granted':
+        case 'role-revoked':
+            change.role = topic(1);
+            change.account = address(2);
+            change.sender = address(3);
+            break;
+        case 'role-admin':
+            change.role = topic(1);
+            change.oldValue = topic(2);
+            change.newValue = topic(3);
+            break;
+        case 'safe-setup': {
+            const decoded = this.web3.eth.abi.decodeParameters(['address[]', 'uint256', 'address', 'address'], log.data);
+            change.sender = address(1);
+            change.owners = decoded[0].map(owner => this.web3.utils.toChecksumAddress(owner));
+            change.newValue = Number(decoded[1]);
+            break;
+        }
+        case 'safe-owner-added':
+        case 'safe-owner-removed':
+            // Indexé à partir de Safe 1.4, dans les données avant
+            change.account = address(1) ?? this.analyzer.normalizeAddress(log.data);
+            break;
+        case 'safe-threshold':
+            change.newValue = Number(BigInt(log.data));
+            break;
+        }
+        if (change.role) change.roleName = roleName(change.role);
+        return change;
+    }
+
+    /**
+     * Raisons `{ id, severity, explanation }` d'un changement, d'après les détenteurs juste avant lui
+     */
+    evaluate(change, state, { contract, suspect, hackBlock, hackTime }) {
+        const reasons = [];
+        const actors = change.sender ? [change.sender] : [change.caller, change.entryPoint];
+
+        const holders = this.previousHolders(change, state);
+        const inDeployment = same(change.transactionHash, contract?.deploymentTx);
+        // Aucun détenteur connu : initialisation (constructeur, initialize), traitée à part
+        if (contract?.complete && !inDeployment && holders.length && !holders.some(holder => actors.some(actor => same(actor, holder)))) {
+            reasons.push({
+                id: 'access-change-by-non-holder',
+                severity: 'high',
+                explanation: `${describeAccessChange(change)} par ${actors.filter(Boolean).join(' / ')}, qui ne détenait pas ce droit (détenteurs : ${holders.join(', ')})`
+            });
+        }
+
+        if (suspect && [...actors, change.account, change.kind.startsWith('ownership') ? change.newValue : null].some(value => same(value, suspect))) {
+            reasons.push({
+                id: 'access-change-involves-suspect',
+                severity: 'critical',
+                explanation: `${describeAccessChange(change)} impliquant l'adresse suspecte ${suspect}`
+            });
+        }
+
+        if (hackTime !== null && change.blockNumber <= hackBlock) {
+            const delay = hackTime - Date.parse(change.timestamp) / 1000;
+            if (delay <= this.recentSeconds) {
+                reasons.push({
+                    id: 'access-change-before-hack',
+                    severity: 'high',
+                    explanation: change.blockNumber === hackBlock
+                        ? `${describeAccessChange(change)} dans le bloc de la transaction de hack`
+                        : `${describeAccessChange(change)} ${delay < 7200 ? `${Math.round(delay / 60)} min` : `${Math.round(delay / 3600)} h`} avant la transaction de hack`
+                });
+            }
+        }
+        return reasons;
+    }
+
+    /**
+     * Adresses autorisées à faire le changement avant qu'il ait lieu
+     */
+    previousHolders(change, state) {
+        switch (change.kind) {
+        case 'ownership':
+            // Ownable2Step : le propriétaire en attente accepte lui-même le transfert
+            return change.oldValue === ZERO_ADDRESS ? [] : [state.owner, state.pendingOwner].filter(Boolean);
+        case 'ownership-pending':
+            return [state.owner].filter(Boolean);
+        case 'role-granted':
+        case 'role-revoked': {
+            const role = state.roles.get(change.role);
+            // Un compte peut renoncer à son propre rôle
+            if (change.kind === 'role-revoked' && same(change.sender, change.account)) return [change.account];
+            return [...(state.roles.get(role?.admin ?? DEFAULT_ADMIN_ROLE)?.members || [])];
+        }
+        case 'role-admin':
+            return [...(state.roles.get(change.oldValue)?.members || [])];
+        default:
+            // Un changement de Safe passe par execTransaction sur le Safe lui-même (signé par ses propriétaires)
+            return state.safe?.owners.size ? [change.contract, ...state.safe.owners] : [];
+        }
+    }
+
+    async findDeployment(address) {
+        try {
+            const creation = await this.analyzer.explorer.getContractCreation(address);
+            if (creation?.txHash) {
+                const receipt = await this.web3.eth.getTransactionReceipt(creation.txHash);
+                return { blockNumber: Number(receipt.blockNumber), txHash: creation.txHash };
+            }
+        } catch (error) {
+            console.warn(`⚠️  Bloc de déploiement introuvable pour ${address}:`, error.message);
+        }
+        return { blockNumber: null, txHash: null };
+    }
+
+    async getTransaction(hash) {
+        if (!this.transactions.has(hash)) {
+            this.transactions.set(hash, await this.web3.eth.getTransaction(hash).catch(() => null));
+        }
+        return this.transactions.get(hash);
+    }
+
+    async getBlockTime(blockNumber) {
+        if (!this.blockTimes.has(blockNumber)) {
+            this.blockTimes.set(blockNumber, Number((await this.web3.eth.getBlock(blockNumber)).timestamp));
+        }
+        return this.blockTimes.get(blockNumber);
+    }
+}
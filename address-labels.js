@@ -0,0 +1,145 @@
+import { existsSync, readFileSync } from 'fs';
+import { parse as parseYaml } from 'yaml';
+
+export const LABEL_CATEGORIES = ['mixer', 'exchange', 'bridge', 'protocol', 'attacker'];
+
+const LABELS_DIR = new URL('./data/labels/', import.meta.url);
+export const ADDRESS_PATTERN = /0x[0-9a-fA-F]{40}(?![0-9a-fA-F])/g;
+
+/**
+ * Fichier d'étiquettes invalide : adresse, nom ou catégorie manquant ou incorrect
+ */
+export class LabelError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LabelError';
+    }
+}
+
+/**
+ * Valide un ensemble d'étiquettes : `{ version, chain, labels: [{ address, name, category }] }`
+ * @param {Object} data - Contenu du fichier d'étiquettes
+ * @param {string} source - Fichier d'origine, pour les messages d'erreur
+ */
+export function validateLabelSet(data, source = 'étiquettes') {
+    if (!data || !Array.isArray(data.labels)) {
+        throw new LabelError(`${source} : tableau "labels" attendu`);
+    }
+
+    const seen = new Set();
+    const labels = data.labels.map((label, index) => {
+        const where = `${source}, étiquette ${index}`;
+        if (typeof label?.address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(label.address)) {
+            throw new LabelError(`${where} : adresse invalide "${label?.address}"`);
+        }
+        if (typeof label.name !== 'string' || !label.name) {
+            throw new LabelError(`${where} : nom manquant`);
+        }
+        if (!LABEL_CATEGORIES.includes(label.category)) {
+            throw new LabelError(`${where} : catégorie invalide "${label.category}" (${LABEL_CATEGORIES.join(', ')})`);
+        }
+
+        const address = label.address.toLowerCase();
+        if (seen.has(address)) throw new LabelError(`${where} : ${address} apparaît plusieurs fois`);
+        seen.add(address);
+        return { address, name: label.name, category: label.category };
+    });
+
+    return { source, version: data.version ?? null, chain: data.chain ?? null, labels };
+}
+
+/**
+ * Charge un fichier d'étiquettes JSON ou YAML (selon l'extension)
+ * @param {string|URL} file - Fichier d'étiquettes
+ */
+export function loadLabelSet(file) {
+    const source = file instanceof URL ? file.pathname : file;
+    let data;
+    try {
+        const text = readFileSync(file, 'utf8');
+        data = /\.ya?ml$/i.test(source) ? parseYaml(text) : JSON.parse(text);
+    } catch (error) {
+        throw new LabelError(`Fichier d'étiquettes illisible (${source}) : ${error.message}`);
+    }
+    return validateLabelSet(data, source);
+}
+
+/**
+ * Étiquettes livrées avec l'outil pour une chaîne (data/labels/<chaîne>.json), null si aucune
+ * @param {string} chainKey - Clé de la chaîne dans CHAINS
+ */
+export function loadChainLabels(chainKey) {
+    const file = new URL(`${chainKey}.json`, LABELS_DIR);
+    // Source relative au dépôt : le chemin local n'apparaît pas dans les rapports
+    return existsSync(file) ? { ...loadLabelSet(file), source: `data/labels/${chainKey}.json` } : null;
+}
+
+/**
+ * Registre des étiquettes d'adresses d'une chaîne.
+ *
+ * Les ensembles sont fusionnés dans l'ordre : une étiquette d'un fichier utilisateur remplace
+ * celle du jeu livré pour la même adresse. Les étiquettes déduites de l'analyse (déployeur,
+ * admin, attaquant) ne remplacent jamais une étiquette déjà connue.
+ */
+export class LabelRegistry {
+    /**
+     * @param {Object} options
+     * @param {string} options.chain - Clé de la chaîne, les ensembles d'une autre chaîne sont ignorés
+     * @param {Object[]} options.labelSets - Ensembles retournés par loadLabelSet / loadChainLabels
+     */
+    constructor({ chain = null, labelSets = [] } = {}) {
+        this.chain = chain;
+        this.labels = new Map();
+        this.sources = [];
+        labelSets.filter(Boolean).forEach(labelSet => this.addSet(labelSet));
+    }
+
+    addSet(labelSet) {
+        if (labelSet.chain && this.chain && labelSet.chain !== this.chain) {
+            console.warn(`⚠️  Étiquettes ${labelSet.source} ignorées : chaîne ${labelSet.chain}, analyse sur ${this.chain}`);
+            return;
+        }
+        this.sources.push({ source: labelSet.source, version: labelSet.version, count: labelSet.labels.length });
+        for (const { address, name, category } of labelSet.labels) {
+            this.labels.set(address, { name, category, source: labelSet.source });
+        }
+    }
+
+    /**
+     * Étiquette déduite de l'analyse, sans remplacer une étiquette existante
+     */
+    add(address, name, category) {
+        const key = address?.toLowerCase();
+        if (!key || this.labels.has(key)) return;
+        this.labels.set(key, { name, category, source: 'auto' });
+    }
+
+    get(address) {
+        return typeof address === 'string' ? this.labels.get(address.toLowerCase()) ?? null : null;
+    }
+
+    /**
+     * Adresse suivie de son étiquette : `0x… (Tornado Cash: Router, mixer)`
+     */
+    format(address) {
+        const label = this.get(address);
+        return label ? `${address} (${label.name}, ${label.category})` : address;
+    }
+
+    /**
+     * Étiquettes de toutes les adresses présentes dans une valeur (rapport complet ou partie)
+     * @returns {Object} Étiquettes indexées par adresse en minuscules
+     */
+    collect(value) {
+        const found = {};
+        const text = JSON.stringify(value, (key, item) => {
+            if (typeof item === 'bigint') return item.toString();
+            return item instanceof Set ? [...item] : item;
+        });
+        for (const address of text?.match(ADDRESS_PATTERN) || []) {
+            const label = this.get(address);
+            if (label) found[address.toLowerCase()] = label;
+        }
+        return found;
+    }
+}
@@ -0,0 +1,177 @@
+import fetch from 'node-fetch';
+import fs from 'fs/promises';
+import path from 'path';
+import { withRetries } from './rate-limit.js';
+
+export const SINK_TYPES = ['stdout', 'jsonl', 'webhook', 'slack', 'discord'];
+
+const SEVERITY_ICONS = { critical: '🚨', warning: '⚠️', info: 'ℹ️' };
+// Couleurs des embeds Discord (entier RGB)
+const SEVERITY_COLORS = { critical: 0xd32f2f, warning: 0xf9a825, info: 0x1976d2 };
+
+const KIND_TITLES = {
+    implementation: 'Changement d\'implémentation',
+    admin: 'Changement d\'admin',
+    beacon: 'Changement de beacon'
+};
+
+const SOURCE_LABELS = {
+    event: 'événement',
+    storage: 'slot modifié sans événement',
+    startup: 'état au démarrage'
+};
+
+/**
+ * Titre d'une alerte sur une ligne
+ * @param {Object} alert - Alerte produite par ProxyWatchdog
+ */
+export function formatAlertTitle(alert) {
+    const icon = SEVERITY_ICONS[alert.severity] || '';
+    return `${icon} ${KIND_TITLES[alert.kind]} sur ${alert.label ? `${alert.label} (${alert.proxy})` : alert.proxy}`.trim();
+}
+
+/**
+ * Détail d'une alerte en lignes de texte : valeurs, attendu, transaction décodée
+ */
+export function formatAlertLines(alert) {
+    const lines = [
+        `Chaîne: ${alert.chain.name} (chain id ${alert.chain.id}) | Bloc: ${alert.blockNumber} | Source: ${SOURCE_LABELS[alert.source]}`,
+        `Avant: ${alert.oldValue ?? 'aucune'} → Après: ${alert.newValue ?? 'aucune'}`
+    ];
+    if (alert.expected) {
+        lines.push(`Attendu: ${alert.expected} (${alert.matchesExpected ? 'conforme' : 'NON CONFORME'})`);
+    }
+    if (alert.transaction) {
+        lines.push(`Transaction: ${alert.transaction.hash} | Appelant: ${alert.transaction.from}`);
+        lines.push(`Appel: ${alert.transaction.summary}`);
+    } else if (alert.source !== 'startup') {
+        lines.push('Transaction: inconnue');
+    }
+    if (alert.links.transaction) lines.push(alert.links.transaction);
+    return lines;
+}
+
+/**
+ * Payload Slack (incoming webhook) : texte de repli et blocs mrkdwn
+ */
+export function slackPayload(alert) {
+    const title = formatAlertTitle(alert);
+    return {
+        text: title,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: title.slice(0, 150) } },
+            { type: 'section', text: { type: 'mrkdwn', text: formatAlertLines(alert).map(line => `• ${line}`).join('\n') } }
+        ]
+    };
+}
+
+/**
+ * Payload Discord (webhook) : un embed coloré selon la sévérité
+ */
+export function discordPayload(alert) {
+    return {
+        content: formatAlertTitle(alert),
+        embeds: [{
+            title: KIND_TITLES[alert.kind],
+            url: alert.links.transaction || alert.links.proxy || undefined,
+            description: formatAlertLines(alert).join('\n').slice(0, 4096),
+            color: SEVERITY_COLORS[alert.severity],
+            timestamp: alert.detectedAt
+        }]
+    };
+}
+
+export class StdoutSink {
+    get name() {
+        return 'stdout';
+    }
+
+    async send(alert) {
+        console.log(`\n${formatAlertTitle(alert)}`);
+        formatAlertLines(alert).forEach(line => console.log(`  ${line}`));
+    }
+}
+
+/**
+ * Une alerte JSON par ligne, ajoutée au fichier
+ */
+export class JsonLinesSink {
+    constructor(file) {
+        this.file = file;
+    }
+
+    get name() {
+        return `jsonl:${this.file}`;
+    }
+
+    async send(alert) {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.appendFile(this.file, JSON.stringify(alert) + '\n');
+    }
+}
+
+/**
+ * POST de l'alerte sur un webhook : JSON brut, ou payload au format Slack / Discord
+ */
+export class WebhookSink {
+    constructor(url, { format = 'webhook', retries = 2 } = {}) {
+        this.url = url;
+        this.format = format;
+        this.retries = retries;
+    }
+
+    get name() {
+        // L'URL d'un webhook contient son secret : seul l'hôte est affiché
+        return `${this.format}:${new URL(this.url).host}`;
+    }
+
+    payload(alert) {
+        if (this.format === 'slack') return slackPayload(alert);
+        if (this.format === 'discord') return discordPayload(alert);
+        return alert;
+    }
+
+    async send(alert) {
+        const body = JSON.stringify(this.payload(alert));
+        await withRetries(async () => {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body
+            });
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status} ${response.statusText}`);
+                error.retryable = response.status === 429 || response.status >= 500;
+                throw error;
+            }
+        }, {
+            retries: this.retries,
+            isRetryable: error => error.retryable !== false
+        });
+    }
+}
+
+/**
+ * Crée une destination d'alertes à partir de sa description en ligne de commande :
+ * `stdout`, `jsonl:<fichier>`, `webhook:<url>`, `slack:<url>`, `discord:<url>`
+ * @param {string} spec - Description de la destination
+ */
+export function createSink(spec) {
+    const separator = spec.indexOf(':');
+    const type = separator === -1 ? spec : spec.slice(0, separator);
+    const target = separator === -1 ? '' : spec.slice(separator + 1);
+
+    if (!SINK_TYPES.includes(type)) {
+        throw new Error(`Destination d'alertes inconnue : "${type}" (${SINK_TYPES.join(', ')})`);
+    }
+    if (type === 'stdout') return new StdoutSink();
+    if (!target) {
+        throw new Error(`Destination ${type} sans ${type === 'jsonl' ? 'fichier' : 'URL'} (${type}:<${type === 'jsonl' ? 'fichier' : 'url'}>)`);
+    }
+    if (type === 'jsonl') return new JsonLinesSink(target);
+
+    if (!/^https?:\/\//i.test(target) || !URL.canParse(target)) {
+        throw new Error(`URL de webhook invalide : "${target}"`);
+    }
+    return new WebhookSink(target, { format: type });
+}
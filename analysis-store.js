@@ -0,0 +1,407 @@
+import Database from 'better-sqlite3';
+import { existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { SEVERITIES, highestSeverity } from './detection-rules.js';
+import { ADDRESS_PATTERN } from './address-labels.js';
+
+export const DEFAULT_STORE_PATH = './analysis_data/analyses.sqlite';
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_key TEXT,
+    incident TEXT NOT NULL,
+    command TEXT NOT NULL,
+    chain TEXT NOT NULL,
+    chain_id INTEGER,
+    hack_tx TEXT,
+    victim TEXT,
+    suspect TEXT,
+    analyzed_at TEXT NOT NULL,
+    json_path TEXT,
+    severity TEXT,
+    finding_count INTEGER NOT NULL DEFAULT 0,
+    metadata TEXT
+);
+CREATE INDEX IF NOT EXISTS runs_incident ON runs (incident);
+
+CREATE TABLE IF NOT EXISTS addresses (
+    run_id INTEGER NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+    address TEXT NOT NULL,
+    role TEXT NOT NULL,
+    PRIMARY KEY (run_id, address, role)
+);
+CREATE INDEX IF NOT EXISTS addresses_address ON addresses (address);
+
+CREATE TABLE IF NOT EXISTS transactions (
+    run_id INTEGER NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+    hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    block_number INTEGER,
+    PRIMARY KEY (run_id, hash, role)
+);
+CREATE INDEX IF NOT EXISTS transactions_hash ON transactions (hash);
+
+CREATE TABLE IF NOT EXISTS findings (
+    run_id INTEGER NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+    fingerprint TEXT NOT NULL,
+    source TEXT NOT NULL,
+    rule_id TEXT NOT NULL,
+    severity TEXT,
+    subject TEXT,
+    tx_hash TEXT,
+    explanation TEXT,
+    PRIMARY KEY (run_id, fingerprint)
+);
+
+CREATE TABLE IF NOT EXISTS bytecodes (
+    run_id INTEGER NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+    address TEXT NOT NULL,
+    code_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    PRIMARY KEY (run_id, address, code_hash)
+);
+CREATE INDEX IF NOT EXISTS bytecodes_code_hash ON bytecodes (code_hash);
+
+CREATE TABLE IF NOT EXISTS labels (
+    run_id INTEGER NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+    address TEXT NOT NULL,
+    name TEXT NOT NULL,
+    category TEXT,
+    source TEXT,
+    PRIMARY KEY (run_id, address)
+);
+`;
+
+/**
+ * Base d'analyses absente ou illisible
+ */
+export class StoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StoreError';
+    }
+}
+
+const lower = value => typeof value === 'string' ? value.toLowerCase() : null;
+
+/**
+ * Incident d'un rapport : la transaction de hack, à défaut le contrat victime ou l'adresse suspecte
+ */
+export function incidentKey({ chain, hackTransaction, victimContract, suspectAddress }) {
+    return `${chain}:${lower(hackTransaction || victimContract || suspectAddress) || 'inconnu'}`;
+}
+
+/**
+ * Constats d'un rapport, chacun avec une empreinte stable d'un run à l'autre :
+ * raisons des actions suspectes, des appels internes du hack, des changements de droits d'accès,
+ * de l'initialisation et nouveaux constats des implémentations successives
+ */
+export function collectFindings(report) {
+    const findings = [];
+    const add = (source, reason, subject, txHash, key = subject) => findings.push({
+        fingerprint: [source, reason.id, lower(key) ?? ''].join('|'),
+        source,
+        ruleId: reason.id,
+        severity: reason.severity ?? null,
+        subject: subject ?? null,
+        txHash: txHash ?? null,
+        explanation: reason.explanation ?? null
+    });
+
+    for (const action of report.suspiciousActions || []) {
+        action.reason?.forEach(reason => add('suspicious-action', reason, action.hash, action.hash));
+    }
+    const hackTx = report.hackDetails?.transaction?.hash ?? report.hackTransaction;
+    for (const trace of report.hackDetails?.traces || []) {
+        trace.reason?.forEach(reason => add('trace', reason, trace.to, hackTx, `${hackTx}:${trace.path}`));
+    }
+    for (const change of report.victimAnalysis?.accessControl?.changes || []) {
+        change.reason?.forEach(reason => add('access-change', reason, change.contract, change.transactionHash,
+            `${change.transactionHash}:${change.logIndex}`));
+    }
+    for (const contract of report.victimAnalysis?.initialization?.contracts || []) {
+        contract.reason.forEach(reason => add('initialization', reason, contract.address, contract.initialization?.txHash));
+    }
+    for (const entry of report.implementationHistory || []) {
+        entry.comparison?.newFindings.forEach(finding => add('implementation', finding, entry.implementation, entry.transactionHash));
+    }
+    return findings;
+}
+
+/**
+ * Base SQLite des analyses (better-sqlite3, appels synchrones) : un run par rapport généré, avec ses
+ * adresses, transactions, constats, bytecodes et étiquettes. Les rapports JSON restent écrits comme
+ * avant ; la base les indexe pour comparer les runs et retrouver les incidents d'une adresse ou d'un bytecode.
+ */
+export class AnalysisStore {
+    /**
+     * @param {string} file - Fichier SQLite
+     * @param {Object} options
+     * @param {boolean} options.mustExist - Lecture seule d'une base existante (commandes de consultation)
+     */
+    constructor(file = DEFAULT_STORE_PATH, { mustExist = false } = {}) {
+        this.file = file;
+        if (mustExist && !existsSync(file)) {
+            throw new StoreError(`Base d'analyses absente (${file}) : elle est créée par la première analyse qui génère un rapport`);
+        }
+        try {
+            if (!mustExist) mkdirSync(path.dirname(file), { recursive: true });
+            this.db = new Database(file, { fileMustExist: mustExist });
+        } catch (error) {
+            throw new StoreError(`Base d'analyses illisible (${file}) : ${error.message}`);
+        }
+        this.db.pragma('foreign_keys = ON');
+        this.migrate();
+    }
+
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+        if (version > SCHEMA_VERSION) {
+            throw new StoreError(`Base d'analyses en version ${version}, version ${SCHEMA_VERSION} supportée (${this.file})`);
+        }
+        if (version < SCHEMA_VERSION) {
+            this.db.exec(SCHEMA);
+            this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+        }
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    /**
+     * Enregistre un rapport comme nouveau run
+     * @param {Object} report - Rapport d'analyse
+     * @param {Object} metadata - Métadonnées du rapport (chaîne, entrées de la commande)
+     * @param {Object} options - Commande, fichier JSON exporté et identifiant de run (--resume)
+     * @returns {number} Identifiant du run
+     */
+    saveRun(report, metadata, { command, jsonPath = null, runKey = null } = {}) {
+        const findings = collectFindings(report);
+        const hackTransaction = metadata.hackTransaction ?? report.hackTransaction ?? null;
+        const victim = metadata.victimContract ?? report.victimContract ?? null;
+        const suspect = metadata.hackerAddress ?? report.suspectAddress ?? null;
+
+        const save = this.db.transaction(() => {
+            const { lastInsertRowid } = this.db.prepare(`
+                INSERT INTO runs (run_key, incident, command, chain, chain_id, hack_tx, victim, suspect, analyzed_at, json_path, severity, finding_count, metadata)
+                VALUES (@runKey, @incident, @command, @chain, @chainId, @hackTx, @victim, @suspect, @analyzedAt, @jsonPath, @severity, @findingCount, @metadata)
+            `).run({
+                runKey,
+                incident: incidentKey({ chain: metadata.chain, hackTransaction, victimContract: victim, suspectAddress: suspect }),
+                command,
+                chain: metadata.chain,
+                chainId: metadata.chainId ?? null,
+                hackTx: lower(hackTransaction),
+                victim: lower(victim),
+                suspect: lower(suspect),
+                analyzedAt: metadata.analyzedAt ?? new Date().toISOString(),
+                jsonPath,
+                severity: highestSeverity(findings),
+                findingCount: findings.length,
+                metadata: JSON.stringify(metadata)
+            });
+            const runId = Number(lastInsertRowid);
+
+            const insertAddress = this.db.prepare('INSERT OR IGNORE INTO addresses (run_id, address, role) VALUES (?, ?, ?)');
+            for (const { address, role } of this.collectAddresses(report, { victim, suspect })) {
+                insertAddress.run(runId, address, role);
+            }
+            const insertTransaction = this.db.prepare('INSERT OR IGNORE INTO transactions (run_id, hash, role, block_number) VALUES (?, ?, ?, ?)');
+            for (const { hash, role, blockNumber } of this.collectTransactions(report, hackTransaction)) {
+                insertTransaction.run(runId, hash, role, blockNumber);
+            }
+            const insertFinding = this.db.prepare(`
+                INSERT OR IGNORE INTO findings (run_id, fingerprint, source, rule_id, severity, subject, tx_hash, explanation)
+                VALUES (@runId, @fingerprint, @source, @ruleId, @severity, @subject, @txHash, @explanation)
+            `);
+            findings.forEach(finding => insertFinding.run({ runId, ...finding }));
+            const insertBytecode = this.db.prepare('INSERT OR IGNORE INTO bytecodes (run_id, address, code_hash, role) VALUES (?, ?, ?, ?)');
+            for (const { address, codeHash, role } of this.collectBytecodes(report, victim)) {
+                insertBytecode.run(runId, address, codeHash, role);
+            }
+            const insertLabel = this.db.prepare('INSERT OR IGNORE INTO labels (run_id, address, name, category, source) VALUES (?, ?, ?, ?, ?)');
+            for (const [address, { name, category, source }] of Object.entries(report.labels || {})) {
+                insertLabel.run(runId, lower(address), name, category ?? null, source ?? null);
+            }
+            return runId;
+        });
+        return save();
+    }
+
+    /**
+     * Adresses avec leur rôle ; toute autre adresse présente dans le rapport est notée `mentioned`
+     */
+    collectAddresses(report, { victim, suspect }) {
+        const entries = new Map();
+        const add = (address, role) => {
+            const key = lower(address);
+            if (!key || !/^0x[0-9a-f]{40}$/.test(key)) return;
+            if (!entries.has(key)) entries.set(key, new Set());
+            entries.get(key).add(role);
+        };
+
+        add(victim, 'victim');
+        add(suspect, 'suspect');
+        Array.from(report.relatedContracts || []).forEach(address => add(address, 'related'));
+        const proxy = report.victimAnalysis?.proxy;
+        add(proxy?.admin, 'admin');
+        add(proxy?.finalImplementation, 'implementation');
+        for (const entry of report.implementationHistory || []) {
+            add(entry.implementation, 'implementation');
+            add(entry.previousImplementation, 'implementation');
+        }
+        for (const event of report.timeline?.events || []) {
+            add(event.actor, event.kind);
+            add(event.target, event.kind);
+        }
+
+        const text = JSON.stringify(report, (key, value) => {
+            if (typeof value === 'bigint') return value.toString();
+            return value instanceof Set ? [...value] : value;
+        });
+        (text?.match(ADDRESS_PATTERN) || []).forEach(address => {
+            if (!entries.has(address.toLowerCase())) add(address, 'mentioned');
+        });
+
+        return [...entries].flatMap(([address, roles]) => [...roles].map(role => ({ address, role })));
+    }
+
+    collectTransactions(report, hackTransaction) {
+        const transactions = [];
+        const add = (hash, role, blockNumber = null) => {
+            if (typeof hash === 'string' && /^0x[0-9a-fA-F]{64}$/.test(hash)) {
+                transactions.push({ hash: hash.toLowerCase(), role, blockNumber: blockNumber ?? null });
+            }
+        };
+
+        add(hackTransaction, 'hack', report.hackDetails?.receipt?.blockNumber);
+        (report.suspiciousActions || []).forEach(action => add(action.hash, 'suspicious', action.blockNumber));
+        (report.upgradeHistory || []).forEach(change => add(change.transactionHash, 'upgrade', change.blockNumber));
+        (report.timeline?.events || []).forEach(event => add(event.txHash, event.kind, event.blockNumber));
+        return transactions;
+    }
+
+    collectBytecodes(report, victim) {
+        const bytecodes = [];
+        const add = (address, codeHash, role) => {
+            if (lower(address) && typeof codeHash === 'string') bytecodes.push({ address: lower(address), codeHash: codeHash.toLowerCase(), role });
+        };
+
+        add(victim, report.victimAnalysis?.codeHash, 'victim');
+        for (const { comparison } of report.implementationHistory || []) {
+            add(comparison?.before?.address, comparison?.before?.codeHash, 'implementation');
+            add(comparison?.after?.address, comparison?.after?.codeHash, 'implementation');
+        }
+        const profile = report.attackerProfile;
+        (profile?.deployedContracts || []).forEach(contract => add(contract.address, contract.codeHash, 'attacker-contract'));
+        for (const { contracts } of profile?.bytecodeReuse || []) {
+            contracts.forEach(contract => add(contract.address, contract.codeHash, 'reused-bytecode'));
+        }
+        return bytecodes;
+    }
+
+    /**
+     * Derniers runs, du plus récent au plus ancien
+     * @param {Object} options - `incident` (transaction, adresse ou clé `chaîne:…`), `limit`
+     */
+    listRuns({ incident = null, limit = 20 } = {}) {
+        const filter = incident ? 'WHERE incident = @incident OR incident LIKE @suffix' : '';
+        return this.db.prepare(`
+            SELECT id, run_key AS runKey, incident, command, chain, hack_tx AS hackTransaction, victim, suspect,
+                   analyzed_at AS analyzedAt, json_path AS jsonPath, severity, finding_count AS findingCount
+            FROM runs ${filter} ORDER BY id DESC LIMIT @limit
+        `).all({ incident: lower(incident), suffix: `%:${lower(incident)}`, limit });
+    }
+
+    getRun(id) {
+        const run = this.db.prepare('SELECT * FROM runs WHERE id = ?').get(id);
+        if (!run) throw new StoreError(`Run #${id} absent de la base ${this.file}`);
+        return run;
+    }
+
+    /**
+     * Incidents où une adresse apparaît, avec ses rôles
+     */
+    findByAddress(address) {
+        return this.db.prepare(`
+            SELECT r.incident, r.chain, r.hack_tx AS hackTransaction, r.victim, r.suspect,
+                   GROUP_CONCAT(DISTINCT a.role) AS roles, COUNT(DISTINCT r.id) AS runs,
+                   MAX(r.id) AS lastRun, MAX(r.analyzed_at) AS lastAnalyzedAt
+            FROM addresses a JOIN runs r ON r.id = a.run_id
+            WHERE a.address = ?
+            GROUP BY r.incident ORDER BY lastRun DESC
+        `).all(lower(address)).map(row => ({ ...row, roles: row.roles.split(',') }));
+    }
+
+    /**
+     * Incidents où un bytecode apparaît, avec les contrats qui le portent.
+     * Le code hash est le keccak256 du code runtime complet (EXTCODEHASH), pour tous les rôles
+     */
+    findByCodeHash(codeHash) {
+        return this.db.prepare(`
+            SELECT r.incident, r.chain, r.hack_tx AS hackTransaction, r.victim, r.suspect,
+                   GROUP_CONCAT(DISTINCT b.address || ' (' || b.role || ')') AS contracts, COUNT(DISTINCT r.id) AS runs,
+                   MAX(r.id) AS lastRun, MAX(r.analyzed_at) AS lastAnalyzedAt
+            FROM bytecodes b JOIN runs r ON r.id = b.run_id
+            WHERE b.code_hash = ?
+            GROUP BY r.incident ORDER BY lastRun DESC
+        `).all(lower(codeHash)).map(row => ({ ...row, contracts: row.contracts.split(',') }));
+    }
+
+    /**
+     * Deux derniers runs d'un incident, pour diffRuns
+     */
+    latestRunPair(incident) {
+        const runs = this.listRuns({ incident, limit: 2 });
+        if (runs.length < 2) throw new StoreError(`Moins de deux runs enregistrés pour l'incident ${incident}`);
+        return [runs[1].id, runs[0].id];
+    }
+
+    /**
+     * Constats apparus, disparus ou dont la sévérité a changé entre deux runs,
+     * puis adresses et bytecodes apparus ou disparus
+     * @param {number} fromId - Run de référence
+     * @param {number} toId - Run comparé
+     */
+    diffRuns(fromId, toId) {
+        const from = this.getRun(fromId);
+        const to = this.getRun(toId);
+
+        const findingsOf = id => new Map(this.db.prepare('SELECT * FROM findings WHERE run_id = ?').all(id)
+            .map(row => [row.fingerprint, {
+                source: row.source, ruleId: row.rule_id, severity: row.severity, subject: row.subject, txHash: row.tx_hash, explanation: row.explanation
+            }]));
+        const before = findingsOf(fromId);
+        const after = findingsOf(toId);
+        const bySeverity = (a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity);
+
+        const setOf = (sql, id) => new Set(this.db.prepare(sql).pluck().all(id));
+        const difference = (a, b) => [...a].filter(item => !b.has(item)).sort();
+        const addressesBefore = setOf('SELECT DISTINCT address FROM addresses WHERE run_id = ?', fromId);
+        const addressesAfter = setOf('SELECT DISTINCT address FROM addresses WHERE run_id = ?', toId);
+        const codeBefore = setOf('SELECT address || \' \' || code_hash FROM bytecodes WHERE run_id = ?', fromId);
+        const codeAfter = setOf('SELECT address || \' \' || code_hash FROM bytecodes WHERE run_id = ?', toId);
+
+        return {
+            from: { id: from.id, incident: from.incident, command: from.command, analyzedAt: from.analyzed_at, severity: from.severity },
+            to: { id: to.id, incident: to.incident, command: to.command, analyzedAt: to.analyzed_at, severity: to.severity },
+            sameIncident: from.incident === to.incident,
+            findings: {
+                added: [...after].filter(([key]) => !before.has(key)).map(([, finding]) => finding).sort(bySeverity),
+                removed: [...before].filter(([key]) => !after.has(key)).map(([, finding]) => finding).sort(bySeverity),
+                severityChanged: [...after]
+                    .filter(([key, finding]) => before.has(key) && before.get(key).severity !== finding.severity)
+                    .map(([key, finding]) => ({ ...finding, previousSeverity: before.get(key).severity }))
+            },
+            addresses: { added: difference(addressesAfter, addressesBefore), removed: difference(addressesBefore, addressesAfter) },
+            bytecodes: {
+                added: difference(codeAfter, codeBefore).map(entry => entry.split(' ')),
+                removed: difference(codeBefore, codeAfter).map(entry => entry.split(' '))
+            }
+        };
+    }
+}
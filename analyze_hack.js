@@ -1,64 +1,1099 @@
+#!/usr/bin/env node
 // analyze_hack.js
-import SmartContractAnalyzer from './smart-contract-analyzer.js';
-import Web3 from 'web3';
+import SmartContractAnalyzer, { isValidAddress, isValidTxHash } from './smart-contract-analyzer.js';
+import { CHAINS, DEFAULT_CHAIN, getChain, getDefaultRpcNodes, getExplorerApiKey } from './chains.js';
+import { createExplorer, explorerRequiresApiKey } from './block-explorers.js';
+import { TRACE_SOURCES } from './call-tracer.js';
+import { formatDecodedCall } from './abi-decoder.js';
+import { buildDiagrams } from './mermaid-diagrams.js';
+import { ReportRenderer } from './report-renderer.js';
+import { REPORT_LANGUAGES } from './report-strings.js';
+import { ResponseCache } from './response-cache.js';
+import { RunCheckpoints } from './run-checkpoints.js';
+import { ProxyWatchdog, normalizeWatchlist } from './proxy-watchdog.js';
+import { createSink } from './alert-sinks.js';
+import { loadRuleSet } from './detection-rules.js';
+import { loadChainLabels, loadLabelSet } from './address-labels.js';
+import { timelineToCsv, timelineToJsonLines } from './incident-timeline.js';
+import { parseStorageOverride } from './evm-replay.js';
+import { AnalysisStore, DEFAULT_STORE_PATH } from './analysis-store.js';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
+import { parseArgs } from 'util';
 
 dotenv.config();
 
-const RPC_NODES = [
-    process.env.POLYGON_RPC || 'https://polygon-rpc.com',
-    'https://rpc-mainnet.maticvigil.com',
-    'https://polygon-rpc.com'
-];
+const DEFAULT_ANALYSIS_DIR = './analysis_output';
 
-const POLYGONSCAN_API_KEY = process.env.POLYGONSCAN_API_KEY;
-const ANALYSIS_DIR = './analysis_output';
+const EXIT_CODES = {
+    SUCCESS: 0,
+    ANALYSIS_ERROR: 1,
+    USAGE_ERROR: 2,
+    CONFIG_ERROR: 3
+};
 
-const HACK_TX = '0xe97e555d9423cf40a7ffe4dcf6a795067f7f133b89efc0f472650528ad8535ca';
-const VICTIM_CONTRACT = '0x8B5Ea07B683953c82901E0f3Ad1dCC66cdD79568';
-const HACKER_ADDRESS = '0x6d24389CEC21cd5437D5c581a40dAe6B336c9E5D';
-const KNOWN_IMPLEMENTATION = '0x4660083D21e3A7e1eC5af8f46A31dCFAa78479Ed';
+class UsageError extends Error {}
+class ConfigError extends Error {}
 
-async function initAnalysis() {
-    if (!POLYGONSCAN_API_KEY) {
-        throw new Error('POLYGONSCAN_API_KEY manquante dans le fichier .env');
+const COMMON_OPTIONS = {
+    chain: { type: 'string' },
+    rpc: { type: 'string', multiple: true },
+    output: { type: 'string', short: 'o' },
+    lang: { type: 'string' },
+    record: { type: 'string' },
+    replay: { type: 'string' },
+    rules: { type: 'string', multiple: true },
+    labels: { type: 'string', multiple: true },
+    store: { type: 'string' },
+    'no-store': { type: 'boolean' },
+    'skip-verified-abis': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const COMMANDS = {
+    'analyze-hack': {
+        description: 'Analyse complète d\'un hack (transaction, contrat victime, interactions, historique)',
+        options: {
+            tx: { type: 'string' },
+            victim: { type: 'string' },
+            hacker: { type: 'string' },
+            'known-impl': { type: 'string' },
+            'trace-source': { type: 'string' },
+            'flow-hops': { type: 'string' },
+            'flow-window': { type: 'string' },
+            'funding-hops': { type: 'string' },
+            'timeline-window': { type: 'string' },
+            resume: { type: 'string' }
+        },
+        required: ['tx', 'victim', 'hacker'],
+        addresses: ['victim', 'hacker', 'known-impl'],
+        blocks: ['timeline-window'],
+        counts: ['flow-hops', 'flow-window', 'funding-hops'],
+        resumable: true,
+        analyzerOptions: args => ({
+            traceSources: args['trace-source'] && args['trace-source'] !== 'auto' ? [args['trace-source']] : TRACE_SOURCES,
+            // L'implémentation connue n'est pas signalée comme cible d'upgrade ou de delegatecall inattendue
+            ...(args['known-impl'] && { ruleLists: { implementations: [args['known-impl']] } })
+        }),
+        run: (analyzer, args) => args.resume
+            ? analyzer.resumeFromHack(args.resume)
+            : analyzer.analyzeFromHack(args.tx, args.victim, args.hacker, {
+                fundFlow: fundFlowOptions(args),
+                attacker: attackerOptions(args),
+                settings: {
+                    knownImplementation: args['known-impl'] ?? null,
+                    rules: args.rules ?? [],
+                    labels: args.labels ?? []
+                }
+            }),
+        metadata: args => ({
+            hackTransaction: args.tx,
+            victimContract: args.victim,
+            hackerAddress: args.hacker,
+            knownImplementation: args['known-impl'] || null
+        })
+    },
+    'trace-funds': {
+        description: 'Traçage des fonds volés à partir de la transaction de hack',
+        options: {
+            tx: { type: 'string' },
+            victim: { type: 'string' },
+            hacker: { type: 'string' },
+            'flow-hops': { type: 'string' },
+            'flow-window': { type: 'string' },
+            'timeline-window': { type: 'string' }
+        },
+        required: ['tx', 'victim', 'hacker'],
+        addresses: ['victim', 'hacker'],
+        blocks: ['timeline-window'],
+        counts: ['flow-hops', 'flow-window'],
+        run: async (analyzer, args) => {
+            analyzer.initReport({ hackTransaction: args.tx, victimContract: args.victim, suspectAddress: args.hacker });
+            await analyzer.analyzeHackTransaction(args.tx);
+            await analyzer.analyzeFundFlow(fundFlowOptions(args));
+            return analyzer.report;
+        },
+        metadata: args => ({
+            hackTransaction: args.tx,
+            victimContract: args.victim,
+            hackerAddress: args.hacker
+        })
+    },
+    'profile-attacker': {
+        description: 'Profil d\'une adresse suspecte (financement, contrats déployés, activité antérieure)',
+        options: {
+            hacker: { type: 'string' },
+            tx: { type: 'string' },
+            victim: { type: 'string' },
+            'funding-hops': { type: 'string' }
+        },
+        required: ['hacker'],
+        addresses: ['hacker', 'victim'],
+        counts: ['funding-hops'],
+        run: async (analyzer, args) => {
+            analyzer.initReport({ hackTransaction: args.tx ?? null, victimContract: args.victim ?? null, suspectAddress: args.hacker });
+            await analyzer.analyzeAttacker(attackerOptions(args));
+            return analyzer.report;
+        },
+        metadata: args => ({
+            hackTransaction: args.tx ?? null,
+            victimContract: args.victim ?? null,
+            hackerAddress: args.hacker
+        })
+    },
+    'inspect-proxy': {
+        description: 'Analyse d\'un contrat (proxy, transactions suspectes)',
+        options: {
+            address: { type: 'string' }
+        },
+        required: ['address'],
+        addresses: ['address'],
+        run: async (analyzer, args) => {
+            analyzer.initReport({ victimContract: args.address });
+            await analyzer.analyzeVictimContract(args.address);
+            await analyzer.analyzeAccessControl(args.address);
+            await analyzer.analyzeInitialization(args.address);
+            return analyzer.report;
+        },
+        metadata: args => ({ victimContract: args.address })
+    },
+    'trace-address': {
+        description: 'Traçage des interactions entre contrats à partir d\'une adresse',
+        options: {
+            address: { type: 'string' }
+        },
+        required: ['address'],
+        addresses: ['address'],
+        run: async (analyzer, args) => {
+            analyzer.initReport({ suspectAddress: args.address });
+            await analyzer.traceContractCalls(args.address);
+            return analyzer.report;
+        },
+        metadata: args => ({ hackerAddress: args.address })
+    },
+    'impl-history': {
+        description: 'Historique des implémentations d\'un proxy sur une plage de blocs',
+        options: {
+            address: { type: 'string' },
+            'from-block': { type: 'string' },
+            'to-block': { type: 'string' },
+            'log-chunk-size': { type: 'string' }
+        },
+        required: ['address'],
+        addresses: ['address'],
+        blocks: ['from-block', 'to-block'],
+        counts: ['log-chunk-size'],
+        run: async (analyzer, args) => {
+            analyzer.initReport({ victimContract: args.address });
+            await analyzer.analyzeImplementationHistory(args['from-block'], args['to-block'], {
+                chunkSize: args['log-chunk-size']
+            });
+            return analyzer.report;
+        },
+        metadata: args => ({
+            victimContract: args.address,
+            fromBlock: args['from-block'] ?? null,
+            toBlock: args['to-block'] ?? null
+        })
+    },
+    'access-history': {
+        description: 'Historique des droits d\'accès (Ownable, AccessControl, Safe) et détenteurs à un bloc',
+        options: {
+            address: { type: 'string' },
+            'from-block': { type: 'string' },
+            'to-block': { type: 'string' },
+            'at-block': { type: 'string' },
+            'log-chunk-size': { type: 'string' }
+        },
+        required: ['address'],
+        addresses: ['address'],
+        blocks: ['from-block', 'to-block', 'at-block'],
+        counts: ['log-chunk-size'],
+        run: async (analyzer, args) => {
+            analyzer.initReport({ victimContract: args.address });
+            await analyzer.analyzeAccessControl(args.address, {
+                fromBlock: args['from-block'] ?? null,
+                toBlock: args['to-block'] ?? null,
+                chunkSize: args['log-chunk-size'],
+                atBlock: args['at-block'] ?? null
+            });
+            return analyzer.report;
+        },
+        metadata: args => ({
+            victimContract: args.address,
+            fromBlock: args['from-block'] ?? null,
+            toBlock: args['to-block'] ?? null,
+            atBlock: args['at-block'] ?? null
+        })
+    },
+    'replay-hack': {
+        description: 'Rejeu local (EVM) de la transaction de hack, avec scénarios de correction',
+        options: {
+            tx: { type: 'string' },
+            victim: { type: 'string' },
+            hacker: { type: 'string' },
+            'known-impl': { type: 'string' },
+            caller: { type: 'string' },
+            override: { type: 'string', multiple: true }
+        },
+        required: ['tx'],
+        addresses: ['victim', 'hacker', 'known-impl', 'caller'],
+        validate: args => {
+            if (args['known-impl'] && !args.victim) {
+                throw new UsageError('--known-impl nécessite --victim (proxy dont l\'implémentation est restaurée)');
+            }
+            for (const spec of args.override || []) {
+                try {
+                    parseStorageOverride(spec);
+                } catch (error) {
+                    throw new UsageError(error.message);
+                }
+            }
+        },
+        run: async (analyzer, args) => {
+            analyzer.initReport({ hackTransaction: args.tx, victimContract: args.victim ?? null, suspectAddress: args.hacker ?? null });
+            await analyzer.replayHack(args.tx, {
+                knownImplementation: args['known-impl'] ?? null,
+                caller: args.caller ?? null,
+                overrides: (args.override || []).map(parseStorageOverride),
+                traceDir: args.output || DEFAULT_ANALYSIS_DIR
+            });
+            return analyzer.report;
+        },
+        metadata: args => ({
+            hackTransaction: args.tx,
+            victimContract: args.victim ?? null,
+            hackerAddress: args.hacker ?? null,
+            knownImplementation: args['known-impl'] || null
+        })
+    },
+    watch: {
+        description: 'Surveillance continue de proxies, alertes sur upgrade et changement d\'admin',
+        options: {
+            watchlist: { type: 'string' },
+            address: { type: 'string', multiple: true },
+            'expected-impl': { type: 'string' },
+            'expected-admin': { type: 'string' },
+            alert: { type: 'string', multiple: true },
+            interval: { type: 'string' },
+            confirmations: { type: 'string' },
+            'from-block': { type: 'string' },
+            once: { type: 'boolean' }
+        },
+        required: [],
+        addresses: ['address', 'expected-impl', 'expected-admin'],
+        blocks: ['from-block', 'confirmations'],
+        counts: ['interval'],
+        // Processus continu : pas de rapport, le bilan est affiché à l'arrêt
+        reports: false,
+        validate: args => {
+            if (!args.watchlist && !args.address?.length) {
+                throw new UsageError('--watchlist ou --address requis');
+            }
+            if (args.record !== undefined || args.replay !== undefined) {
+                throw new UsageError('watch ne peut pas être enregistré ni rejoué (--record, --replay)');
+            }
+            for (const spec of args.alert || []) {
+                try {
+                    createSink(spec);
+                } catch (error) {
+                    throw new UsageError(error.message);
+                }
+            }
+        },
+        run: async (analyzer, args) => {
+            const watchdog = new ProxyWatchdog(analyzer, {
+                watchlist: await readWatchlist(args),
+                sinks: (args.alert?.length ? args.alert : ['stdout']).map(createSink),
+                interval: args.interval ?? 12,
+                confirmations: args.confirmations ?? 2
+            });
+
+            const stop = () => watchdog.stop();
+            process.once('SIGINT', stop);
+            process.once('SIGTERM', stop);
+            try {
+                return await watchdog.run({ fromBlock: args['from-block'] ?? null, once: args.once });
+            } finally {
+                process.off('SIGINT', stop);
+                process.off('SIGTERM', stop);
+            }
+        }
+    },
+    // Commandes hors ligne : lecture de la base d'analyses, sans nœud RPC ni explorer
+    runs: {
+        description: 'Liste des analyses enregistrées dans la base, les plus récentes d\'abord',
+        options: {
+            incident: { type: 'string' },
+            limit: { type: 'string' }
+        },
+        required: [],
+        counts: ['limit'],
+        offline: true,
+        query: (store, args) => formatRuns(store.listRuns({ incident: args.incident ?? null, limit: args.limit ?? 20 }))
+    },
+    find: {
+        description: 'Incidents impliquant une adresse ou un bytecode (hash du code)',
+        options: {
+            address: { type: 'string' },
+            'code-hash': { type: 'string' }
+        },
+        required: [],
+        addresses: ['address'],
+        offline: true,
+        validate: args => {
+            if (Boolean(args.address) === Boolean(args['code-hash'])) {
+                throw new UsageError('--address ou --code-hash requis (un seul des deux)');
+            }
+            if (args['code-hash'] && !/^0x[0-9a-fA-F]{64}$/.test(args['code-hash'])) {
+                throw new UsageError(`Hash de bytecode invalide : "${args['code-hash']}"`);
+            }
+        },
+        query: (store, args) => args.address
+            ? formatIncidents(store.findByAddress(args.address), 'roles')
+            : formatIncidents(store.findByCodeHash(args['code-hash']), 'contracts')
+    },
+    'diff-runs': {
+        description: 'Différences entre deux analyses d\'un même incident (constats, adresses, bytecodes)',
+        options: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            incident: { type: 'string' }
+        },
+        required: [],
+        counts: ['from', 'to'],
+        offline: true,
+        validate: args => {
+            if (args.incident ? args.from || args.to : !args.from || !args.to) {
+                throw new UsageError('--from et --to (identifiants de run), ou --incident pour ses deux derniers runs');
+            }
+        },
+        query: (store, args) => {
+            const [from, to] = args.incident ? store.latestRunPair(args.incident) : [args.from, args.to];
+            return formatRunDiff(store.diffRuns(from, to));
+        }
     }
-    await fs.mkdir(ANALYSIS_DIR, { recursive: true });
-}
+};
 
-async function tryWithDifferentRPC(analysisFunction) {
-    for (let i = 0; i < RPC_NODES.length; i++) {
+/**
+ * Proxies surveillés : fichier de watchlist et/ou --address, avec les valeurs attendues
+ */
+async function readWatchlist(args) {
+    const entries = [];
+    if (args.watchlist) {
         try {
-            console.log(`\nTentative avec RPC ${i + 1}/${RPC_NODES.length}...`);
-            const web3 = new Web3(RPC_NODES[i]);
-            const analyzer = new SmartContractAnalyzer(RPC_NODES[i], POLYGONSCAN_API_KEY);
-            return await analysisFunction(analyzer);
+            const data = JSON.parse(await fs.readFile(args.watchlist, 'utf8'));
+            entries.push(...(Array.isArray(data) ? data : data.proxies || []));
         } catch (error) {
-            console.error(`Erreur avec RPC ${i + 1}:`, error.message);
-            if (i === RPC_NODES.length - 1) throw error;
-            console.log('Tentative avec le prochain RPC...');
+            throw new ConfigError(`Watchlist illisible (${args.watchlist}) : ${error.message}`);
         }
     }
+    for (const address of args.address || []) {
+        entries.push({
+            address,
+            expectedImplementation: args['expected-impl'],
+            expectedAdmin: args['expected-admin']
+        });
+    }
+
+    try {
+        return normalizeWatchlist(entries, isValidAddress);
+    } catch (error) {
+        throw new ConfigError(error.message);
+    }
 }
 
-async function main() {
+function fundFlowOptions(args) {
+    return {
+        hops: args['flow-hops'] ?? 3,
+        windowSeconds: (args['flow-window'] ?? 72) * 3600
+    };
+}
+
+function attackerOptions(args) {
+    return {
+        fundingHops: args['funding-hops'] ?? 3
+    };
+}
+
+function printUsage(commandName) {
+    const command = COMMANDS[commandName];
+    if (command) {
+        const flags = Object.keys(command.options)
+            .map(name => {
+                const flag = command.options[name].type === 'boolean' ? `--${name}` : `--${name} <valeur>`;
+                return command.required.includes(name) ? flag : `[${flag}]`;
+            })
+            .join(' ');
+        console.log(`Usage: node analyze_hack.js ${commandName} ${flags} [--chain <nom|id>] [--rpc <url>]... [--output <dossier>] [--lang <fr|en>]`);
+        console.log(`\n${command.description}`);
+        return;
+    }
+
+    console.log('Usage: node analyze_hack.js <commande> [options]\n');
+    console.log('Commandes:');
+    for (const [name, { description }] of Object.entries(COMMANDS)) {
+        console.log(`  ${name.padEnd(18)}${description}`);
+    }
+    console.log('\nOptions communes:');
+    console.log(`  --chain <nom|id>  Chaîne analysée (défaut: ${process.env.CHAIN || DEFAULT_CHAIN}; ${Object.keys(CHAINS).join(', ')})`);
+    console.log('  --rpc <url>       Nœud RPC à utiliser (répétable, bascule sur le suivant à chaque requête en échec)');
+    console.log('  --output, -o      Dossier de sortie des rapports (défaut: ./analysis_output)');
+    console.log(`  --lang <langue>   Langue des rapports HTML et Markdown, des diagrammes et de la chronologie (défaut: fr; ${REPORT_LANGUAGES.join(', ')}) ; rapport texte et console en français`);
+    console.log('  --flow-hops <n>   Sauts suivis pour le flux de fonds (défaut: 3)');
+    console.log('  --flow-window <h> Fenêtre de suivi des fonds en heures après le hack (défaut: 72)');
+    console.log('  --funding-hops <n> Sauts remontés pour le financement de l\'attaquant (défaut: 3)');
+    console.log('  --at-block <n>    Bloc de lecture des détenteurs de droits (access-history)');
+    console.log('  --timeline-window <n> Blocs gardés dans la chronologie avant et après le bloc du hack (défaut: tous)');
+    console.log('  --skip-verified-abis  Décode sans interroger l\'explorer (ABI standards et base locale uniquement)');
+    console.log('  --record <fichier> Enregistre les réponses RPC et explorer dans un bundle (réutilisées si historiques)');
+    console.log('  --replay <fichier> Rejoue un bundle enregistré, sans accès réseau');
+    console.log('  --rules <fichier>  Règles de détection JSON ou YAML ajoutées aux règles par défaut (répétable)');
+    console.log('  --labels <fichier> Étiquettes d\'adresses JSON ou YAML ajoutées à celles de la chaîne (répétable)');
+    console.log(`  --store <fichier>  Base d'analyses SQLite où chaque rapport est enregistré (défaut: ${DEFAULT_STORE_PATH})`);
+    console.log('  --no-store        N\'enregistre pas le rapport dans la base d\'analyses');
+    console.log('\nOptions de replay-hack:');
+    console.log('  --known-impl <adresse>  Implémentation restaurée dans le slot EIP-1967 de --victim');
+    console.log('  --caller <adresse>      Rejoue la transaction depuis un autre appelant');
+    console.log('  --override <adresse>:<slot>=<valeur>  Surcharge de stockage avant le rejeu (répétable)');
+    console.log('\nOptions de watch:');
+    console.log('  --watchlist <fichier>  Proxies surveillés (JSON) avec implémentation/admin attendus');
+    console.log('  --address <adresse>    Proxy surveillé (répétable), avec --expected-impl / --expected-admin');
+    console.log('  --alert <destination>  stdout, jsonl:<fichier>, webhook:<url>, slack:<url>, discord:<url> (répétable, défaut: stdout)');
+    console.log('  --interval <s>         Intervalle entre deux passages (défaut: 12)');
+    console.log('  --confirmations <n>    Blocs de confirmation avant alerte (défaut: 2)');
+    console.log('  --from-block <n>       Premier bloc parcouru ; --once pour un seul passage');
+    console.log('\nOptions de runs, find et diff-runs (base d\'analyses, sans accès réseau):');
+    console.log('  --incident <tx|adresse>  Incident (transaction de hack, sinon contrat victime ou adresse suspecte)');
+    console.log('  --limit <n>              Runs listés (défaut: 20)');
+    console.log('  --address <adresse> | --code-hash <hash>  Adresse ou bytecode recherché dans les incidents');
+    console.log('  --from <id> --to <id>    Runs comparés ; avec --incident, ses deux derniers runs');
+    console.log('  --help, -h        Affiche cette aide');
+    console.log('\nCodes de sortie: 0 succès, 1 erreur d\'analyse, 2 arguments invalides, 3 configuration manquante');
+}
+
+function parseCommandLine(argv) {
+    const [commandName, ...rest] = argv;
+
+    if (!commandName || commandName === '--help' || commandName === '-h') {
+        return { help: true };
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) {
+        throw new UsageError(`Commande inconnue : "${commandName}"`);
+    }
+
+    let values;
     try {
-        await initAnalysis();
-        console.log('🔍 Démarrage de l\'analyse du hack...');
+        ({ values } = parseArgs({
+            args: rest,
+            options: { ...COMMON_OPTIONS, ...command.options },
+            strict: true,
+            allowPositionals: false
+        }));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
 
-        const analysis = await tryWithDifferentRPC(async (analyzer) => {
-            return await analyzer.analyzeFromHack(HACK_TX, VICTIM_CONTRACT, HACKER_ADDRESS);
-        });
+    if (values.help) {
+        return { help: true, commandName };
+    }
 
-        await displayResults(analysis);
-        await generateReports(analysis);
+    return { commandName, command, args: values };
+}
+
+function validateArgs(command, args) {
+    for (const name of command.required) {
+        if (!args[name]) {
+            throw new UsageError(`Option requise manquante : --${name}`);
+        }
+    }
+
+    for (const name of command.addresses || []) {
+        for (const value of [args[name] ?? []].flat()) {
+            if (!isValidAddress(value)) {
+                throw new UsageError(`Adresse invalide pour --${name} : "${value}"`);
+            }
+        }
+    }
+
+    if (args.tx !== undefined && !isValidTxHash(args.tx)) {
+        throw new UsageError(`Hash de transaction invalide : "${args.tx}"`);
+    }
 
+    for (const name of command.blocks || []) {
+        if (args[name] === undefined) continue;
+        if (!/^\d+$/.test(args[name])) {
+            throw new UsageError(`Numéro de bloc invalide pour --${name} : "${args[name]}"`);
+        }
+        args[name] = Number(args[name]);
+    }
+
+    for (const name of command.counts || []) {
+        if (args[name] === undefined) continue;
+        if (!/^\d+$/.test(args[name]) || Number(args[name]) === 0) {
+            throw new UsageError(`Valeur invalide pour --${name} : "${args[name]}" (entier positif attendu)`);
+        }
+        args[name] = Number(args[name]);
+    }
+
+    if (args['from-block'] !== undefined && args['to-block'] !== undefined && args['from-block'] > args['to-block']) {
+        throw new UsageError('--from-block doit être inférieur ou égal à --to-block');
+    }
+
+    if (args['trace-source'] !== undefined && ![...TRACE_SOURCES, 'auto'].includes(args['trace-source'])) {
+        throw new UsageError(`Source de traces invalide : "${args['trace-source']}" (auto, ${TRACE_SOURCES.join(', ')})`);
+    }
+
+    if (args.lang !== undefined && !REPORT_LANGUAGES.includes(args.lang)) {
+        throw new UsageError(`Langue de rapport invalide : "${args.lang}" (${REPORT_LANGUAGES.join(', ')})`);
+    }
+
+    if (args.record !== undefined && args.replay !== undefined) {
+        throw new UsageError('--record et --replay ne peuvent pas être combinés');
+    }
+
+    if (command.offline && (args.record !== undefined || args.replay !== undefined)) {
+        throw new UsageError('Les commandes de la base d\'analyses n\'accèdent pas au réseau (--record, --replay)');
+    }
+
+    command.validate?.(args);
+}
+
+function resolveRpcNodes(args, chain) {
+    for (const url of args.rpc || []) {
+        if (!/^https?:\/\//i.test(url) || !URL.canParse(url)) {
+            throw new UsageError(`URL RPC invalide : "${url}" (http ou https attendu)`);
+        }
+    }
+    return args.rpc?.length ? args.rpc : getDefaultRpcNodes(chain);
+}
+
+function resolveChain(args) {
+    try {
+        return getChain(args.chain || process.env.CHAIN || DEFAULT_CHAIN);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+/**
+ * En reprise, les entrées, la chaîne et les réglages du run (implémentation connue, règles, étiquettes)
+ * complètent la ligne de commande ; une valeur différente de celle du run est refusée
+ */
+async function applyResumedRun(command, args) {
+    if (!args.resume) return;
+    if (!command.resumable) {
+        throw new UsageError('--resume n\'est disponible que pour analyze-hack');
+    }
+
+    let run;
+    try {
+        run = await RunCheckpoints.open(args.resume);
     } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { hackTransaction, victimContract, suspectAddress, chain } = run.inputs;
+    if (args.chain && resolveChain(args).key !== chain) {
+        throw new UsageError(`Le run ${args.resume} a été lancé sur ${chain}, pas sur ${args.chain}`);
+    }
+    for (const [name, value] of [['tx', hackTransaction], ['victim', victimContract], ['hacker', suspectAddress]]) {
+        if (args[name] && args[name].toLowerCase() !== value.toLowerCase()) {
+            throw new UsageError(`--${name} diffère de l'entrée du run ${args.resume} (${value})`);
+        }
+        args[name] = value;
+    }
+
+    // Réglages absents des runs créés avant leur enregistrement : la ligne de commande fait foi
+    const { knownImplementation, rules, labels } = run.inputs;
+    if (knownImplementation !== undefined) {
+        if (args['known-impl'] && args['known-impl'].toLowerCase() !== knownImplementation?.toLowerCase()) {
+            throw new UsageError(`--known-impl diffère de l'entrée du run ${args.resume} (${knownImplementation ?? 'aucune'})`);
+        }
+        args['known-impl'] = knownImplementation ?? undefined;
+    }
+    for (const [name, files] of [['rules', rules], ['labels', labels]]) {
+        if (files === undefined) continue;
+        if (args[name] && args[name].join('\n') !== files.join('\n')) {
+            throw new UsageError(`--${name} diffère de l'entrée du run ${args.resume} (${files.join(', ') || 'aucun fichier'})`);
+        }
+        args[name] = files;
+    }
+    args.chain = chain;
+}
+
+async function initAnalysis(chain, apiKey, outputDir, cache) {
+    if (!apiKey && explorerRequiresApiKey(chain.explorer.type) && cache?.mode !== 'replay') {
+        throw new ConfigError(`${chain.explorer.apiKeyEnv} manquante dans le fichier .env (chaîne ${chain.name})`);
+    }
+    await fs.mkdir(outputDir, { recursive: true });
+}
+
+/**
+ * Règles par défaut complétées par les fichiers --rules, dans l'ordre
+ */
+function loadRuleSets(files = []) {
+    try {
+        return [loadRuleSet(), ...files.map(file => loadRuleSet(file))];
+    } catch (error) {
+        throw new ConfigError(error.message);
+    }
+}
+
+function loadLabelSets(chain, files = []) {
+    try {
+        return [loadChainLabels(chain.key), ...files.map(file => loadLabelSet(file))];
+    } catch (error) {
+        throw new ConfigError(error.message);
+    }
+}
+
+async function openCache(args, chain) {
+    const file = args.record ?? args.replay;
+    if (!file) return null;
+
+    const cache = new ResponseCache(file, { mode: args.replay ? 'replay' : 'record', chainId: chain.id });
+    try {
+        await cache.load();
+    } catch (error) {
+        throw new ConfigError(error.message);
+    }
+    console.log(`💾 ${args.replay ? 'Rejeu' : 'Enregistrement'} des réponses réseau : ${file}`);
+    return cache;
+}
+
+/**
+ * Commande hors ligne sur une base existante
+ */
+function runQuery(command, args) {
+    const file = args.store || DEFAULT_STORE_PATH;
+    let store;
+    try {
+        store = new AnalysisStore(file, { mustExist: true });
+        command.query(store, args).forEach(line => console.log(line));
+    } catch (error) {
+        throw new ConfigError(error.message);
+    } finally {
+        store?.close();
+    }
+}
+
+/**
+ * Enregistre le rapport dans la base d'analyses ; un échec n'invalide pas l'analyse, les rapports étant écrits
+ */
+function storeRun(file, analysis, metadata, options) {
+    let store;
+    try {
+        store = new AnalysisStore(file);
+        const runId = store.saveRun(analysis, metadata, options);
+        console.log(`🗄️  Run #${runId} enregistré dans la base d'analyses ${file}`);
+    } catch (error) {
+        console.warn(`⚠️  Enregistrement dans la base d'analyses impossible (${file}):`, error.message);
+    } finally {
+        store?.close();
+    }
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseCommandLine(argv);
+        if (parsed.help) {
+            printUsage(parsed.commandName);
+            return EXIT_CODES.SUCCESS;
+        }
+
+        await applyResumedRun(parsed.command, parsed.args);
+        validateArgs(parsed.command, parsed.args);
+        if (parsed.command.offline) {
+            runQuery(parsed.command, parsed.args);
+            return EXIT_CODES.SUCCESS;
+        }
+
+        const chain = resolveChain(parsed.args);
+        const apiKey = getExplorerApiKey(chain);
+        const rpcNodes = resolveRpcNodes(parsed.args, chain);
+
+        const outputDir = parsed.args.output || DEFAULT_ANALYSIS_DIR;
+        const ruleSets = loadRuleSets(parsed.args.rules);
+        const labelSets = loadLabelSets(chain, parsed.args.labels);
+        const cache = await openCache(parsed.args, chain);
+        await initAnalysis(chain, apiKey, outputDir, cache);
+        console.log(`🔍 Démarrage de la commande ${parsed.commandName} sur ${chain.name} (chain id ${chain.id})...`);
+
+        const analyzerOptions = {
+            chain,
+            cache,
+            ruleSets,
+            labelSets,
+            fetchVerifiedAbis: !parsed.args['skip-verified-abis'],
+            ...parsed.command.analyzerOptions?.(parsed.args)
+        };
+        const analyzer = new SmartContractAnalyzer(rpcNodes, apiKey, analyzerOptions);
+        let analysis;
+        try {
+            analysis = await parsed.command.run(analyzer, parsed.args);
+            if (parsed.command.reports === false) {
+                return EXIT_CODES.SUCCESS;
+            }
+            await analyzer.labelReport(analysis);
+            await analyzer.buildTimeline(analysis, {
+                window: parsed.args['timeline-window'] ?? null,
+                language: parsed.args.lang || 'fr'
+            });
+        } finally {
+            await cache?.save();
+        }
+
+        const metadata = {
+            chainId: chain.id,
+            chain: chain.key,
+            ...parsed.command.metadata(parsed.args)
+        };
+
+        await displayResults(analysis);
+        const reports = await generateReports(analysis, metadata, outputDir, {
+            language: parsed.args.lang || 'fr',
+            explorer: createExplorer(chain, apiKey)
+        });
+        if (!parsed.args['no-store']) {
+            storeRun(parsed.args.store || DEFAULT_STORE_PATH, analysis, reports.metadata, {
+                command: parsed.commandName,
+                jsonPath: reports.jsonPath,
+                runKey: analyzer.checkpoints?.runId ?? null
+            });
+        }
+        return EXIT_CODES.SUCCESS;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`❌ ${error.message}\n`);
+            printUsage(parsed?.commandName);
+            return EXIT_CODES.USAGE_ERROR;
+        }
+        if (error instanceof ConfigError) {
+            console.error(`❌ ${error.message}`);
+            return EXIT_CODES.CONFIG_ERROR;
+        }
         console.error('❌ Erreur finale lors de l\'analyse:', error);
-        process.exit(1);
+        return EXIT_CODES.ANALYSIS_ERROR;
+    }
+}
+
+function formatStateDiff(accounts = []) {
+    const lines = [];
+    for (const account of accounts) {
+        const flags = [account.created && 'créé', account.destroyed && 'détruit'].filter(Boolean).join(', ');
+        lines.push(`${account.address}${flags ? ` (${flags})` : ''}`);
+        if (account.balance) lines.push(`  Solde: ${account.balance.before} → ${account.balance.after}`);
+        if (account.nonce) lines.push(`  Nonce: ${account.nonce.before} → ${account.nonce.after}`);
+        if (account.code) lines.push(`  Code: ${account.code.before} → ${account.code.after}`);
+        for (const change of account.storage) {
+            lines.push(`  Slot ${change.slot}${change.label ? ` [${change.label}]` : ''}`);
+            lines.push(`    ${change.before} → ${change.after}`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Adresse suivie de son étiquette, si elle en a une
+ */
+function formatAddress(address, label) {
+    return label ? `${address} (${label.name}, ${label.category})` : address;
+}
+
+function formatLabels(labels = {}) {
+    return Object.entries(labels)
+        .map(([address, label]) => `- ${address} : ${label.name} [${label.category}] (${label.source})`);
+}
+
+function formatFundFlow(fundFlow) {
+    if (!fundFlow) return [];
+
+    const lines = [`${fundFlow.edges.length} transfert(s) sur ${fundFlow.parameters.hops} saut(s), ${fundFlow.nodes.length} adresse(s)`];
+    for (const entry of fundFlow.summary) {
+        lines.push(`${entry.token.symbol}${entry.token.address ? ` (${entry.token.address})` : ''} : ${entry.formattedStolen} volé(s)`);
+        for (const holder of entry.finalHolders.slice(0, 5)) {
+            lines.push(`  → ${formatAddress(holder.address, holder.label)} : ${holder.formattedAmount}`);
+        }
+    }
+    return lines;
+}
+
+const FUNDING_ORIGINS = {
+    contract: 'contrat (mixeur, bridge...)',
+    service: 'adresse très active (exchange ?)',
+    loop: 'boucle de financement',
+    unfunded: 'aucun financement trouvé',
+    unavailable: 'explorer indisponible',
+    'max-hops': 'limite de sauts atteinte'
+};
+
+function formatDuration(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    return days > 0 ? `${days} j ${hours} h` : `${hours} h ${Math.floor((seconds % 3600) / 60)} min`;
+}
+
+function formatAttackerProfile(profile) {
+    if (!profile) return [];
+
+    const lines = [
+        `Adresse: ${profile.address}${profile.isContract ? ' (contrat)' : ''} | Nonce: ${profile.nonce} | Transactions lues: ${profile.transactionCount}${profile.truncated ? ' (tronqué)' : ''}`,
+        `Première activité: ${profile.firstSeen ? `${profile.firstSeen.timestamp} (bloc ${profile.firstSeen.blockNumber}, tx ${profile.firstSeen.txHash})` : 'inconnue'}`,
+        `Ancienneté au ${profile.referenceTime}: ${profile.ageSeconds !== null ? formatDuration(profile.ageSeconds) : 'inconnue'}`,
+        'Financement:'
+    ];
+    for (const entry of profile.funding) {
+        lines.push(`  ${entry.hop}. ${entry.address} ← ${formatAddress(entry.funder, entry.funderLabel)} : ${entry.value} (${entry.kind}, bloc ${entry.blockNumber}, tx ${entry.txHash})`);
+    }
+    lines.push(`  Origine: ${profile.fundingOrigin.address} (${FUNDING_ORIGINS[profile.fundingOrigin.reason]})`);
+
+    lines.push(`Contrats déployés: ${profile.deployedContracts.length}`);
+    for (const contract of profile.deployedContracts) {
+        const via = contract.via === 'factory' ? `via ${contract.factory}` : 'direct';
+        lines.push(`  - ${contract.address} (${via}, bloc ${contract.blockNumber}${contract.destroyed ? ', détruit' : ''}) code ${contract.codeHash || 'N/A'}`);
+    }
+
+    lines.push(`Contrats touchés: ${profile.interactions.length}`);
+    for (const entry of profile.interactions) {
+        lines.push(`  - ${formatAddress(entry.address, entry.label)}${entry.currentVictim ? ' [victime analysée]' : ''} : ${entry.calls} appel(s), ${entry.tokenTransfers} transfert(s) de tokens reçus (${entry.firstSeen} → ${entry.lastSeen})`);
+    }
+
+    for (const { strippedCodeHash, contracts } of profile.bytecodeReuse) {
+        lines.push(`Bytecode réutilisé ${strippedCodeHash} (hors métadonnées):`);
+        contracts.forEach(contract => lines.push(`  - ${contract.address} (${contract.origin}${contract.deployer ? `, déployé par ${contract.deployer}` : ''}) code ${contract.codeHash || 'N/A'}`));
+    }
+    return lines;
+}
+
+function formatProxy(proxy) {
+    if (!proxy) return [];
+
+    const lines = [`Type: ${proxy.kind}`];
+    if (proxy.beacon) lines.push(`Beacon: ${proxy.beacon}`);
+    if (proxy.admin) lines.push(`Admin: ${proxy.admin}`);
+    if (proxy.implementationChain.length) {
+        lines.push(`Implémentation: ${proxy.implementationChain.map(step => `${step.address} (${step.kind})`).join(' → ')}`);
+    }
+    if (proxy.facets) lines.push(`Facettes: ${proxy.facets.map(facet => `${facet.address} (${facet.selectors.length} sélecteurs)`).join(', ')}`);
+    if (proxy.upgradeAuthority) {
+        const { type, address, owner } = proxy.upgradeAuthority;
+        lines.push(`Autorité d'upgrade: ${type}${address ? ` ${address}` : ''}${owner ? ` (propriétaire ${owner})` : ''}`);
+    }
+    return lines;
+}
+
+function formatSource(inspection) {
+    if (!inspection?.source) return 'inconnue';
+    return inspection.source.verified ? `vérifiée (${inspection.source.contractName})` : 'non vérifiée';
+}
+
+/**
+ * Comparaison de chaque implémentation avec la précédente ; `sideBySide` liste tous les sélecteurs
+ */
+function formatImplementationDiffs(implementationHistory = [], { sideBySide = false } = {}) {
+    const lines = [];
+    for (const { blockNumber, comparison } of implementationHistory) {
+        if (!comparison) continue;
+        const { before, after } = comparison;
+
+        lines.push(`- Block ${blockNumber}: ${before?.address || 'aucune'} → ${after.address}${comparison.identical ? ' (bytecode identique)' : ''}`);
+        lines.push(`  Source: ${formatSource(before)} → ${formatSource(after)} | Taille: ${before?.size ?? 0} → ${after.size} octets`);
+        lines.push(`  Sélecteurs: +${comparison.added} / -${comparison.removed} | Risque: ${comparison.risk || 'aucun'}`);
+
+        const rows = sideBySide ? comparison.selectors : comparison.selectors.filter(entry => entry.status !== 'unchanged');
+        if (sideBySide && rows.length) {
+            lines.push(`  ${'Sélecteur'.padEnd(12)}${'Ancienne'.padEnd(10)}${'Nouvelle'.padEnd(10)}Signature`);
+        }
+        for (const entry of rows) {
+            const signature = entry.signature || 'inconnue';
+            lines.push(sideBySide
+                ? `  ${entry.selector.padEnd(12)}${(entry.before ? '✓' : '—').padEnd(10)}${(entry.after ? '✓' : '—').padEnd(10)}${signature}`
+                : `  ${entry.status === 'added' ? '+' : '-'} ${entry.selector} ${signature}`);
+        }
+        for (const finding of comparison.newFindings) {
+            const offsets = finding.offsets.length ? ` (offsets ${finding.offsets.map(offset => '0x' + offset.toString(16)).join(', ')})` : '';
+            lines.push(`  ⚠️  [${finding.severity}] ${finding.explanation}${offsets}`);
+        }
+    }
+    return lines;
+}
+
+function formatHolders(holders = {}) {
+    const lines = [];
+    for (const [contract, { owner, pendingOwner, roles, safe }] of Object.entries(holders)) {
+        lines.push(`  ${contract}`);
+        if (owner || pendingOwner) lines.push(`    Propriétaire: ${owner || 'aucun'}${pendingOwner ? ` (en attente: ${pendingOwner})` : ''}`);
+        for (const [role, { name, adminName, admin, members }] of Object.entries(roles)) {
+            lines.push(`    Rôle ${name || role} (admin ${adminName || admin}): ${members.join(', ')}`);
+        }
+        if (safe) lines.push(`    Safe ${safe.threshold ?? '?'}/${safe.owners.length}: ${safe.owners.join(', ')}`);
+    }
+    return lines;
+}
+
+/**
+ * Historique des droits d'accès : changements signalés avec leurs raisons, puis détenteurs
+ */
+function formatAccessControl(accessControl) {
+    if (!accessControl) return [];
+
+    const { contracts, changes, fromBlock, toBlock, hackBlock } = accessControl;
+    const lines = contracts.map(contract => `Contrat ${contract.address} (déployé au bloc ${contract.deploymentBlock ?? '?'}${contract.complete ? '' : ', historique partiel'})`);
+    lines.push(`Blocs ${fromBlock} à ${toBlock}: ${changes.length} changement(s), ${changes.filter(change => change.suspicious).length} signalé(s)`);
+    for (const change of changes) {
+        lines.push(`- Block ${change.blockNumber} [${change.kind}]${change.severity ? ` (${change.severity})` : ''} ${change.description}`);
+        lines.push(`  Contrat: ${change.contract} | Tx: ${change.transactionHash} | Appelant: ${change.caller || 'inconnu'}`);
+        change.reason.forEach(reason => lines.push(`  ⚠️  [${reason.severity}] ${reason.id} : ${reason.explanation}`));
+    }
+    lines.push(`Détenteurs au bloc ${toBlock}:`, ...formatHolders(accessControl.holders));
+    if (accessControl.holdersBeforeHack) {
+        lines.push(`Détenteurs avant le hack (bloc ${hackBlock - 1}):`, ...formatHolders(accessControl.holdersBeforeHack));
+    }
+    if (accessControl.holdersAtBlock) {
+        lines.push(`Détenteurs au bloc ${accessControl.holdersAtBlock.blockNumber}:`, ...formatHolders(accessControl.holdersAtBlock.holders));
+    }
+    return lines;
+}
+
+/**
+ * État d'initialisation de chaque proxy et implémentation, avec la transaction d'initialisation
+ */
+function formatInitialization(initialization) {
+    if (!initialization) return [];
+
+    const lines = [];
+    for (const contract of initialization.contracts) {
+        const state = contract.destroyed
+            ? 'code détruit'
+            : contract.disabled
+                ? `initialiseurs désactivés (${contract.layout})`
+                : contract.initialized !== '0'
+                    ? `initialisé, version ${contract.initialized} (${contract.layout})`
+                    : `non initialisé${contract.hasInitializer ? '' : ', sans initialiseur connu'}`;
+        lines.push(`- ${contract.role} ${contract.address}: ${state}${contract.severity ? ` (${contract.severity})` : ''}`);
+        lines.push(`  Déployeur: ${contract.deployer || 'inconnu'} | Tx de déploiement: ${contract.deploymentTx || 'inconnue'}`);
+        const { initialization: init } = contract;
+        if (init) {
+            lines.push(`  Initialisation: bloc ${init.blockNumber} | Tx: ${init.txHash || 'inconnue'} | Appelant: ${init.caller || 'inconnu'} | Source: ${init.source}`);
+        }
+        contract.reason.forEach(reason => lines.push(`  ⚠️  [${reason.severity}] ${reason.id} : ${reason.explanation}`));
+    }
+    return lines;
+}
+
+/**
+ * Rejeu local : un bloc par scénario, issue de l'attaque, gains de l'attaquant et écarts avec l'original
+ */
+function formatReplay(replay) {
+    if (!replay) return [];
+
+    const { transaction, prestate } = replay;
+    const lines = [
+        `Transaction ${transaction.hash} (bloc ${transaction.blockNumber}, position ${transaction.transactionIndex}), hardfork ${replay.hardfork}`,
+        `Pré-état: ${prestate.source}, ${prestate.accounts} compte(s), ${prestate.fetched} lecture(s) complémentaire(s)${prestate.approximate ? ' au bloc précédent (approximatif)' : ''}`
+    ];
+    for (const run of replay.runs) {
+        const outcome = run.success ? 'exécutée' : `revert (${run.error})`;
+        lines.push(`- [${run.id}] ${run.description}: ${outcome}, attaque ${run.attackSucceeded ? 'réussie' : 'échouée'}`
+            + `${run.faithful === false ? ' ⚠️  différente de la transaction minée' : ''}${run.mitigated ? ' ✅ attaque bloquée' : ''}`);
+        lines.push(`  ${run.trace.steps} opcodes, gas d'exécution ${run.executionGas}, ${run.trace.calls.length} appel(s), ${run.trace.storageWrites.length} écriture(s) de stockage${run.trace.file ? ` | Trace: ${run.trace.file}` : ''}`);
+        const gained = new Set(run.attackerGains.map(gain => `${gain.address}:${gain.asset}`));
+        run.balanceChanges.forEach(change => lines.push(`  Solde: ${change.address} ${BigInt(change.delta) > 0n ? '+' : ''}${change.delta} ${change.asset}`
+            + `${gained.has(`${change.address}:${change.asset}`) ? ' (gain de l\'attaquant)' : ''}`));
+        run.differences?.forEach(diff => lines.push(`  Écart: ${diff.address} ${diff.asset} ${diff.baseline} → ${diff.scenario}`));
+        if (run.unresolved.accounts.length || run.unresolved.slots.length) {
+            lines.push(`  ⚠️  État non chargé après ${run.rounds} exécutions : ${run.unresolved.accounts.length} compte(s), ${run.unresolved.slots.length} slot(s)`);
+        }
     }
+    return lines;
+}
+
+function formatRuns(runs) {
+    if (!runs.length) return ['Aucun run enregistré'];
+    return runs.flatMap(run => [
+        `#${run.id} ${run.analyzedAt} ${run.command} [${run.incident}]${run.runKey ? ` run ${run.runKey}` : ''}`,
+        `  ${run.findingCount} constat(s)${run.severity ? `, sévérité max ${run.severity}` : ''}${run.jsonPath ? ` | JSON: ${run.jsonPath}` : ''}`
+    ]);
+}
+
+/**
+ * Incidents trouvés par `find`, avec les rôles de l'adresse ou les contrats portant le bytecode
+ */
+function formatIncidents(incidents, field) {
+    if (!incidents.length) return ['Aucun incident enregistré'];
+    return incidents.flatMap(incident => [
+        `${incident.incident} : ${incident.runs} run(s), dernier #${incident.lastRun} le ${incident.lastAnalyzedAt}`,
+        `  Victime: ${incident.victim || 'N/A'} | Suspect: ${incident.suspect || 'N/A'}`,
+        `  ${field === 'roles' ? 'Rôles' : 'Contrats'}: ${incident[field].join(', ')}`
+    ]);
+}
+
+function formatRunDiff(diff) {
+    const { from, to, findings, addresses, bytecodes } = diff;
+    const finding = item => `${item.severity ? `[${item.severity}] ` : ''}${item.ruleId} (${item.source}) ${item.subject || ''}: ${item.explanation || ''}`;
+    const lines = [
+        `Run #${from.id} (${from.command}, ${from.analyzedAt}) → run #${to.id} (${to.command}, ${to.analyzedAt})`
+    ];
+    if (!diff.sameIncident) {
+        lines.push(`⚠️  Incidents différents : ${from.incident} / ${to.incident}`);
+    }
+    lines.push(`Constats: ${findings.added.length} nouveau(x), ${findings.removed.length} disparu(s), ${findings.severityChanged.length} sévérité(s) modifiée(s)`);
+    findings.added.forEach(item => lines.push(`+ ${finding(item)}`));
+    findings.removed.forEach(item => lines.push(`- ${finding(item)}`));
+    findings.severityChanged.forEach(item => lines.push(`~ ${item.previousSeverity} → ${finding(item)}`));
+    lines.push(`Adresses: ${addresses.added.length} nouvelle(s), ${addresses.removed.length} disparue(s)`);
+    addresses.added.forEach(address => lines.push(`+ ${address}`));
+    addresses.removed.forEach(address => lines.push(`- ${address}`));
+    bytecodes.added.forEach(([address, codeHash]) => lines.push(`+ Bytecode ${address} ${codeHash}`));
+    bytecodes.removed.forEach(([address, codeHash]) => lines.push(`- Bytecode ${address} ${codeHash}`));
+    return lines;
+}
+
+/**
+ * Chronologie, un événement sur deux lignes ; `limit` tronque l'affichage console
+ */
+function formatTimeline(timeline, { limit = null } = {}) {
+    if (!timeline) return [];
+
+    const { parameters, events } = timeline;
+    const named = (address, label) => label ? `${address} (${label})` : address;
+    const lines = [parameters.fromBlock !== null
+        ? `${events.length} événement(s) sur ${parameters.total}, blocs ${parameters.fromBlock} à ${parameters.toBlock} (hack au bloc ${parameters.hackBlock})`
+        : `${events.length} événement(s)`];
+    for (const event of events.slice(0, limit ?? events.length)) {
+        const position = event.txIndex !== null ? `#${event.txIndex}` : '';
+        const target = event.target ? ` → ${named(event.target, event.targetLabel)}` : '';
+        lines.push(`${event.timestamp || '?'} bloc ${event.blockNumber ?? '?'}${position} [${event.kind}]${event.severity ? ` (${event.severity})` : ''} ${named(event.actor || '?', event.actorLabel)}${target}`);
+        lines.push(`  ${event.description}${event.txHash ? ` | Tx: ${event.txHash}` : ''}`);
+    }
+    if (limit !== null && events.length > limit) {
+        lines.push(`… ${events.length - limit} autre(s) événement(s), voir les exports CSV et JSON lines`);
+    }
+    return lines;
+}
+
+function formatReasonLines(reasons = []) {
+    return reasons.map(reason => `Raison: [${reason.severity}] ${reason.id} : ${reason.explanation}${reason.related?.length ? ` (après ${reason.related.join(', ')})` : ''}`);
+}
+
+function formatCallTree(node, lines = []) {
+    if (!node) return lines;
+
+    const selector = node.input && node.input.length >= 10 ? node.input.slice(0, 10) : '';
+    const call = node.decodedInput && node.decodedInput.method !== 'unknown' ? formatDecodedCall(node.decodedInput) : selector;
+    const value = node.value !== '0' ? ` valeur=${node.value}` : '';
+    const status = node.error ? ` ❌ ${node.revertReason || node.error}` : '';
+    lines.push(`${'  '.repeat(node.depth)}${node.type} ${formatAddress(node.from, node.fromLabel)} → ${formatAddress(node.to, node.toLabel)} ${call}${value} gas=${node.gasUsed ?? '?'}${status}`);
+
+    for (const child of node.calls) {
+        formatCallTree(child, lines);
+    }
+    return lines;
 }
 
 async function displayResults(analysis) {
@@ -80,6 +1115,36 @@ async function displayResults(analysis) {
         if (before.admin !== after.admin) {
             console.log('\n⚠️  CHANGEMENT D\'ADMIN DÉTECTÉ!');
         }
+
+        if (analysis.hackDetails.stateChanges.accounts?.length > 0) {
+            console.log(`\n🧾 Diff d'état de la transaction (source: ${analysis.hackDetails.stateChanges.source}):`);
+            formatStateDiff(analysis.hackDetails.stateChanges.accounts).forEach(line => console.log(line));
+        }
+    }
+
+    if (analysis.hackDetails?.callTree) {
+        console.log(`\n🌳 Arbre d'appels (source: ${analysis.hackDetails.traceSource}):`);
+        formatCallTree(analysis.hackDetails.callTree).forEach(line => console.log(line));
+    }
+
+    if (analysis.victimAnalysis) {
+        console.log('\n📄 Contrat analysé:');
+        console.log(`- Proxy: ${analysis.victimAnalysis.isProxy ? 'oui' : 'non'}`);
+        formatProxy(analysis.victimAnalysis.proxy).forEach(line => console.log(`  ${line}`));
+        if (analysis.victimAnalysis.transactions) {
+            console.log(`- Code hash: ${analysis.victimAnalysis.codeHash}`);
+            console.log(`- Transactions suspectes: ${analysis.victimAnalysis.transactions.length}`);
+        }
+    }
+
+    if (analysis.victimAnalysis?.accessControl) {
+        console.log('\n🔐 Droits d\'accès:');
+        formatAccessControl(analysis.victimAnalysis.accessControl).forEach(line => console.log(line));
+    }
+
+    if (analysis.victimAnalysis?.initialization) {
+        console.log('\n🧱 Initialisation:');
+        formatInitialization(analysis.victimAnalysis.initialization).forEach(line => console.log(line));
     }
 
     if (analysis.suspiciousActions?.length > 0) {
@@ -87,41 +1152,70 @@ async function displayResults(analysis) {
         analysis.suspiciousActions.forEach((action, index) => {
             console.log(`\nAction suspecte #${index + 1}:`);
             console.log(`- Transaction: ${action.hash}`);
-            console.log(`- De: ${action.from}`);
-            console.log(`- À: ${action.to}`);
-            console.log(`- Raison: ${action.reason.join(', ')}`);
+            console.log(`- De: ${formatAddress(action.from, action.fromLabel)}`);
+            console.log(`- À: ${action.to ? formatAddress(action.to, action.toLabel) : `déploiement de ${action.createdContract}`}`);
+            console.log(`- Sévérité: ${action.severity}`);
+            formatReasonLines(action.reason).forEach(line => console.log(`- ${line}`));
             if (action.decodedInput?.method) {
-                console.log(`- Méthode: ${action.decodedInput.method}`);
+                console.log(`- Méthode: ${formatDecodedCall(action.decodedInput)}`);
             }
             console.log(`- Timestamp: ${action.timestamp}`);
         });
     }
 
+    if (analysis.attackerProfile) {
+        console.log('\n🕵️  Profil de l\'attaquant:');
+        formatAttackerProfile(analysis.attackerProfile).forEach(line => console.log(line));
+    }
+
+    if (analysis.fundFlow) {
+        console.log('\n💸 Flux des fonds volés:');
+        formatFundFlow(analysis.fundFlow).forEach(line => console.log(line));
+    }
+
     if (analysis.relatedContracts?.size > 0) {
         console.log('\n🔗 Contrats impliqués:');
         for (const contract of analysis.relatedContracts) {
-            console.log(`- ${contract}`);
+            console.log(`- ${formatAddress(contract, analysis.labels?.[contract.toLowerCase()])}`);
         }
     }
 
-    if (analysis.implementationHistory?.length > 0) {
-        console.log('\n📚 Historique des implémentations:');
-        analysis.implementationHistory.forEach(change => {
-            console.log(`- Block ${change.blockNumber}: ${change.implementation}`);
+    if (Object.keys(analysis.labels || {}).length > 0) {
+        console.log('\n🏷️  Adresses étiquetées:');
+        formatLabels(analysis.labels).forEach(line => console.log(line));
+    }
+
+    if (analysis.upgradeHistory?.length > 0) {
+        console.log('\n📚 Historique des changements du proxy:');
+        analysis.upgradeHistory.forEach(change => {
+            console.log(`- Block ${change.blockNumber} [${change.kind}] ${change.oldValue} → ${change.newValue}`);
+            console.log(`  Tx: ${change.transactionHash || 'inconnue'} | Appelant: ${change.caller || 'inconnu'} | Source: ${change.source}`);
         });
     }
+
+    if (analysis.implementationHistory?.some(entry => entry.comparison)) {
+        console.log('\n🧬 Comparaison des implémentations:');
+        formatImplementationDiffs(analysis.implementationHistory).forEach(line => console.log(line));
+    }
+
+    if (analysis.replay) {
+        console.log('\n🧪 Rejeu local de la transaction de hack:');
+        formatReplay(analysis.replay).forEach(line => console.log(line));
+    }
+
+    if (analysis.timeline?.events.length) {
+        console.log('\n🕒 Chronologie de l\'incident:');
+        formatTimeline(analysis.timeline, { limit: 40 }).forEach(line => console.log(line));
+    }
 }
 
-async function generateReports(analysis) {
+async function generateReports(analysis, metadata, outputDir, { language = 'fr', explorer = null } = {}) {
     const timestamp = Date.now();
-    
+
     const reportData = {
         metadata: {
             analyzedAt: new Date().toISOString(),
-            hackTransaction: HACK_TX,
-            victimContract: VICTIM_CONTRACT,
-            hackerAddress: HACKER_ADDRESS,
-            knownImplementation: KNOWN_IMPLEMENTATION
+            ...metadata
         },
         analysis: {
             ...analysis,
@@ -129,7 +1223,7 @@ async function generateReports(analysis) {
         }
     };
 
-    const safeData = JSON.stringify(reportData, (key, value) => 
+    const safeData = JSON.stringify(reportData, (key, value) =>
         typeof value === 'bigint' ? value.toString() : value, 2);
 
     const textReport = `
@@ -139,10 +1233,23 @@ Date d'analyse: ${new Date().toISOString()}
 
 INFORMATIONS DE BASE
 -------------------
-Transaction de hack: ${HACK_TX}
-Contrat victime: ${VICTIM_CONTRACT}
-Adresse du hacker: ${HACKER_ADDRESS}
-Implémentation connue: ${KNOWN_IMPLEMENTATION}
+Chaîne: ${metadata.chain} (chain id ${metadata.chainId})
+Transaction de hack: ${metadata.hackTransaction || 'N/A'}
+Contrat victime: ${metadata.victimContract || 'N/A'}
+Adresse du hacker: ${metadata.hackerAddress || 'N/A'}
+Implémentation connue: ${metadata.knownImplementation || 'N/A'}
+
+TYPE DE PROXY
+-----------------
+${formatProxy(analysis.victimAnalysis?.proxy).join('\n') || 'Contrat victime non analysé'}
+
+DROITS D'ACCÈS
+-----------------
+${formatAccessControl(analysis.victimAnalysis?.accessControl).join('\n') || 'Pas d\'historique des droits d\'accès'}
+
+INITIALISATION
+-----------------
+${formatInitialization(analysis.victimAnalysis?.initialization).join('\n') || 'Initialisation non vérifiée'}
 
 CHANGEMENTS D'ÉTAT
 -----------------
@@ -154,38 +1261,98 @@ Après le hack:
 - Implementation: ${analysis.hackDetails?.stateChanges?.after?.implementation}
 - Admin: ${analysis.hackDetails?.stateChanges?.after?.admin}
 
+DIFF D'ÉTAT PAR COMPTE (source: ${analysis.hackDetails?.stateChanges?.source || 'N/A'})
+-----------------
+${formatStateDiff(analysis.hackDetails?.stateChanges?.accounts).join('\n') || 'Aucun diff d\'état disponible'}
+
+LOGS DÉCODÉS
+-----------------
+${analysis.hackDetails?.logs?.map(log => `#${log.logIndex} ${log.address} ${log.event
+    ? `${log.event}(${log.params.map(param => `${param.name}=${typeof param.value === 'object' ? JSON.stringify(param.value) : param.value}`).join(', ')})`
+    : `inconnu ${log.signature}`}`).join('\n') || 'Aucun log'}
+
+ARBRE D'APPELS (source: ${analysis.hackDetails?.traceSource || 'N/A'})
+-----------------
+${formatCallTree(analysis.hackDetails?.callTree).join('\n') || 'Aucune trace disponible'}
+
 ACTIONS SUSPECTES
 ----------------
 ${analysis.suspiciousActions?.map(action => `
 Transaction: ${action.hash}
-De: ${action.from}
-À: ${action.to}
-Raison: ${action.reason.join(', ')}
-Méthode: ${action.decodedInput?.method || 'N/A'}
+De: ${formatAddress(action.from, action.fromLabel)}
+À: ${action.to ? formatAddress(action.to, action.toLabel) : `déploiement de ${action.createdContract}`}
+Sévérité: ${action.severity}
+${formatReasonLines(action.reason).join('\n')}
+Méthode: ${action.decodedInput ? formatDecodedCall(action.decodedInput) : 'N/A'}
 Timestamp: ${action.timestamp}
 `).join('\n') || 'Aucune action suspecte détectée'}
 
+PROFIL DE L'ATTAQUANT
+-----------------
+${formatAttackerProfile(analysis.attackerProfile).join('\n') || 'Pas de profil de l\'attaquant'}
+
+FLUX DES FONDS VOLÉS
+-----------------
+${formatFundFlow(analysis.fundFlow).join('\n') || 'Pas de traçage des fonds'}
+
 CONTRATS IMPLIQUÉS
 -----------------
-${Array.from(analysis.relatedContracts || []).join('\n') || 'Aucun contrat impliqué'}
+${Array.from(analysis.relatedContracts || []).map(contract => formatAddress(contract, analysis.labels?.[contract.toLowerCase()])).join('\n') || 'Aucun contrat impliqué'}
+
+ADRESSES ÉTIQUETÉES (${(analysis.labelSources || []).map(({ source, version }) => `${source}${version ? ` v${version}` : ''}`).join(', ') || 'aucune source'})
+-----------------
+${formatLabels(analysis.labels).join('\n') || 'Aucune adresse étiquetée'}
+
+HISTORIQUE DES CHANGEMENTS DU PROXY
+---------------------------
+${analysis.upgradeHistory?.map(change => `Block ${change.blockNumber} [${change.kind}]: ${change.oldValue} -> ${change.newValue}
+  Tx: ${change.transactionHash || 'inconnue'} | Appelant: ${change.caller || 'inconnu'} | Source: ${change.source}`).join('\n') || 'Pas d\'historique d\'implémentation'}
+
+COMPARAISON DES IMPLÉMENTATIONS
+---------------------------
+${formatImplementationDiffs(analysis.implementationHistory, { sideBySide: true }).join('\n') || 'Pas de comparaison disponible'}
 
-HISTORIQUE DES IMPLÉMENTATIONS
+REJEU LOCAL (EVM)
 ---------------------------
-${analysis.implementationHistory?.map(change => `Block ${change.blockNumber}: ${change.implementation}`).join('\n') || 'Pas d\'historique d\'implémentation'}
+${formatReplay(analysis.replay).join('\n') || 'Pas de rejeu local'}
+
+CHRONOLOGIE DE L'INCIDENT
+---------------------------
+${analysis.timeline?.events.length ? formatTimeline(analysis.timeline).join('\n') : 'Pas de chronologie'}
 `;
 
-    const jsonPath = path.join(ANALYSIS_DIR, `analysis_${timestamp}.json`);
-    const textPath = path.join(ANALYSIS_DIR, `analysis_${timestamp}.txt`);
+    const jsonPath = path.join(outputDir, `analysis_${timestamp}.json`);
+    const textPath = path.join(outputDir, `analysis_${timestamp}.txt`);
+
+    const markdownPath = path.join(outputDir, `analysis_${timestamp}.md`);
+    const htmlPath = path.join(outputDir, `analysis_${timestamp}.html`);
+    const diagrams = buildDiagrams(analysis, { language });
+    const diagramPaths = Object.keys(diagrams).map(name => path.join(outputDir, `analysis_${timestamp}_${name}.mmd`));
+    const timelinePaths = analysis.timeline?.events.length
+        ? [path.join(outputDir, `analysis_${timestamp}_timeline.csv`), path.join(outputDir, `analysis_${timestamp}_timeline.jsonl`)]
+        : [];
+    const renderer = new ReportRenderer({ language, explorer });
 
     await fs.writeFile(jsonPath, safeData);
     await fs.writeFile(textPath, textReport);
+    await fs.writeFile(markdownPath, renderer.renderMarkdown(analysis, reportData.metadata, diagrams));
+    await fs.writeFile(htmlPath, renderer.renderHtml(analysis, reportData.metadata, diagrams));
+    await Promise.all(Object.values(diagrams).map((source, index) => fs.writeFile(diagramPaths[index], source + '\n')));
+    if (timelinePaths.length) {
+        await fs.writeFile(timelinePaths[0], timelineToCsv(analysis.timeline));
+        await fs.writeFile(timelinePaths[1], timelineToJsonLines(analysis.timeline));
+    }
 
     console.log(`\n✅ Rapports générés avec succès:`);
-    console.log(`- ${jsonPath}`);
-    console.log(`- ${textPath}`);
+    [jsonPath, textPath, markdownPath, htmlPath, ...diagramPaths, ...timelinePaths].forEach(file => console.log(`- ${file}`));
+    return { jsonPath, metadata: reportData.metadata };
 }
 
-main().catch(error => {
-    console.error('❌ Erreur critique:', error);
-    process.exit(1);
-});
+main(process.argv.slice(2))
+    .then(exitCode => {
+        process.exitCode = exitCode;
+    })
+    .catch(error => {
+        console.error('❌ Erreur critique:', error);
+        process.exit(EXIT_CODES.ANALYSIS_ERROR);
+    });
@@ -0,0 +1,320 @@
+import { stripMetadata } from './bytecode-diff.js';
+
+const CREATE_TYPES = ['create', 'create2'];
+
+const toIso = timestamp => new Date(Number(timestamp) * 1000).toISOString();
+
+/**
+ * Profil de l'adresse suspecte : premier financement remonté sur quelques sauts,
+ * contrats déployés (directement ou via une factory), nonce et ancienneté,
+ * autres contrats touchés et réutilisation du bytecode de l'exploit.
+ */
+export class AttackerProfiler {
+    /**
+     * @param {Object} options
+     * @param {number} options.fundingHops - Sauts remontés depuis le premier financement
+     * @param {number} options.maxTransactions - Transactions lues par adresse (les plus anciennes)
+     * @param {number} options.serviceNonce - Nonce à partir duquel un financeur est traité comme un service (exchange)
+     */
+    constructor(analyzer, { fundingHops = 3, maxTransactions = 500, serviceNonce = 1000 } = {}) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.explorer = analyzer.explorer;
+        this.fundingHops = fundingHops;
+        this.maxTransactions = maxTransactions;
+        this.serviceNonce = serviceNonce;
+        this.transactionLists = new Map();
+        this.internalLists = new Map();
+        this.codeHashes = new Map();
+    }
+
+    /**
+     * @param {Object} report - Rapport en cours (`suspectAddress`, `victimContract`, `hackTransaction`, `hackDetails`)
+     * @param {Object} options
+     * @param {string[]} options.knownContracts - Contrats déjà rencontrés, comparés au bytecode des contrats de l'attaquant
+     */
+    async profile({ suspectAddress, victimContract, hackTransaction, hackDetails }, { knownContracts = [] } = {}) {
+        const address = suspectAddress.toLowerCase();
+        // L'ancienneté est mesurée au bloc du hack, à défaut à l'instant présent
+        const referenceBlock = hackDetails?.receipt.blockNumber
+            ?? (hackTransaction ? (await this.web3.eth.getTransactionReceipt(hackTransaction)).blockNumber : null);
+        const referenceTimestamp = referenceBlock !== null
+            ? Number((await this.web3.eth.getBlock(referenceBlock)).timestamp)
+            : Math.floor(Date.now() / 1000);
+
+        const transactions = await this.getTransactions(address);
+        const nonce = Number(await this.web3.eth.getTransactionCount(suspectAddress));
+        const funding = await this.traceFunding(address);
+
+        console.log('🕵️  Recherche des contrats déployés...');
+        const deployedContracts = await this.findDeployedContracts(address, transactions);
+        const own = new Set([address, ...deployedContracts.map(contract => contract.address)]);
+        const interactions = await this.findInteractions(address, transactions, own, victimContract);
+        const bytecodeReuse = await this.findBytecodeReuse(deployedContracts, funding.chain, knownContracts);
+
+        // Première apparition : première transaction listée ou premier financement, le plus ancien des deux
+        const firstSeen = [transactions[0], funding.chain[0]?.item]
+            .filter(Boolean)
+            .sort((a, b) => Number(a.timeStamp) - Number(b.timeStamp))[0];
+
+        return {
+            address: suspectAddress,
+            isContract: await this.analyzer.isContract(suspectAddress),
+            nonce,
+            transactionCount: transactions.length,
+            truncated: transactions.length >= this.maxTransactions,
+            referenceTime: toIso(referenceTimestamp),
+            firstSeen: firstSeen ? {
+                txHash: firstSeen.hash,
+                blockNumber: Number(firstSeen.blockNumber),
+                timestamp: toIso(firstSeen.timeStamp)
+            } : null,
+            ageSeconds: firstSeen ? referenceTimestamp - Number(firstSeen.timeStamp) : null,
+            funding: funding.chain.map(({ item, ...entry }) => entry),
+            fundingOrigin: funding.origin,
+            deployedContracts,
+            interactions,
+            bytecodeReuse
+        };
+    }
+
+    /**
+     * Transactions normales d'une adresse, des plus anciennes aux plus récentes, dans la limite de maxTransactions
+     */
+    async getTransactions(address) {
+        if (!this.transactionLists.has(address)) {
+            const transactions = await this.explorer.getTransactions(address, { limit: this.maxTransactions });
+            if (transactions.length >= this.maxTransactions) {
+                console.warn(`⚠️  ${address} : seules les ${this.maxTransactions} premières transactions sont lues`);
+            }
+            this.transactionLists.set(address, transactions);
+        }
+        return this.transactionLists.get(address);
+    }
+
+    /**
+     * Transactions internes d'une adresse, dans la même limite, lues une seule fois
+     */
+    async getInternalTransactions(address) {
+        if (!this.internalLists.has(address)) {
+            this.internalLists.set(address, await this.explorer.getInternalTransactionsByAddress(address, { limit: this.maxTransactions }));
+        }
+        return this.internalLists.get(address);
+    }
+
+    /**
+     * Remonte le premier financement en natif, saut par saut. La remontée s'arrête sur un contrat
+     * (mixeur, bridge), sur une adresse très active (exchange), sur une boucle ou faute de financement.
+     */
+    async traceFunding(address) {
+        const chain = [];
+        const visited = new Set([address]);
+        let current = address;
+
+        for (let hop = 1; hop <= this.fundingHops; hop++) {
+            let funding;
+            try {
+                funding = await this.findFirstFunding(current);
+            } catch (error) {
+                console.warn(`⚠️  Financement de ${current} indisponible:`, error.message);
+                return { chain, origin: { address: current, reason: 'unavailable' } };
+            }
+            if (!funding) return { chain, origin: { address: current, reason: 'unfunded' } };
+
+            const funder = funding.item.from.toLowerCase();
+            const entry = {
+                hop,
+                address: current,
+                funder,
+                kind: funding.kind,
+                txHash: funding.item.hash,
+                blockNumber: Number(funding.item.blockNumber),
+                timestamp: toIso(funding.item.timeStamp),
+                value: this.web3.utils.fromWei(funding.item.value, 'ether'),
+                funderNonce: Number(await this.web3.eth.getTransactionCount(funder)),
+                funderIsContract: await this.analyzer.isContract(funder),
+                item: funding.item
+            };
+            chain.push(entry);
+            console.log(`🕵️  Financement ${hop}/${this.fundingHops} : ${current} ← ${funder} (${entry.value}, tx ${entry.txHash})`);
+
+            if (entry.funderIsContract) return { chain, origin: { address: funder, reason: 'contract' } };
+            if (entry.funderNonce >= this.serviceNonce) return { chain, origin: { address: funder, reason: 'service' } };
+            if (visited.has(funder)) return { chain, origin: { address: funder, reason: 'loop' } };
+            visited.add(funder);
+            current = funder;
+        }
+
+        return { chain, origin: { address: current, reason: 'max-hops' } };
+    }
+
+    /**
+     * Plus ancienne réception de natif réussie : transaction directe ou appel interne avec valeur
+     */
+    async findFirstFunding(address) {
+        const [transactions, internals] = await Promise.all([
+            this.getTransactions(address),
+            this.getInternalTransactions(address)
+        ]);
+        const isIncoming = item => item.to?.toLowerCase() === address && item.isError !== '1' && BigInt(item.value) > 0n;
+
+        return [
+            ...transactions.filter(isIncoming).map(item => ({ kind: 'native', item })),
+            ...internals.filter(isIncoming).map(item => ({ kind: 'internal', item }))
+        ].sort((a, b) => Number(a.item.blockNumber) - Number(b.item.blockNumber))[0] ?? null;
+    }
+
+    /**
+     * Contrats créés par l'adresse : déploiements directs (transaction sans destinataire) et
+     * créations internes (factory, constructeur, exploit) de sa liste de transactions internes,
+     * lue en une seule requête plutôt qu'une par transaction envoyée
+     */
+    async findDeployedContracts(address, transactions) {
+        const contracts = new Map();
+        const add = async (contractAddress, { item, via, factory = null }) => {
+            const key = contractAddress.toLowerCase();
+            if (contracts.has(key)) return;
+            const code = await this.getCodeHash(key);
+            contracts.set(key, {
+                address: key,
+                via,
+                factory,
+                txHash: item.hash,
+                blockNumber: Number(item.blockNumber),
+                timestamp: toIso(item.timeStamp),
+                codeHash: code.hash,
+                size: code.size,
+                destroyed: code.size === 0
+            });
+        };
+
+        const sent = transactions.filter(tx => tx.from?.toLowerCase() === address && tx.isError !== '1');
+        for (const tx of sent) {
+            if (!tx.to && this.analyzer.isValidAddress(tx.contractAddress)) {
+                await add(tx.contractAddress, { item: tx, via: 'direct' });
+            }
+        }
+
+        try {
+            for (const internal of await this.getInternalTransactions(address)) {
+                if (internal.isError === '1' || !CREATE_TYPES.includes(internal.type?.toLowerCase())) continue;
+                if (this.analyzer.isValidAddress(internal.contractAddress)) {
+                    await add(internal.contractAddress, { item: internal, via: 'factory', factory: internal.from.toLowerCase() });
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️  Transactions internes de ${address} indisponibles:`, error.message);
+        }
+
+        return [...contracts.values()];
+    }
+
+    /**
+     * Contrats appelés par l'adresse et contrats ayant envoyé des tokens à l'adresse ou à ses contrats ;
+     * en dehors de la victime analysée, ce sont d'autres victimes possibles
+     */
+    async findInteractions(address, transactions, own, victimContract) {
+        const interactions = new Map();
+        const touch = async (contract, field, timestamp) => {
+            const key = contract.toLowerCase();
+            if (own.has(key) || !await this.analyzer.isContract(key)) return;
+            if (!interactions.has(key)) {
+                interactions.set(key, {
+                    address: key,
+                    calls: 0,
+                    tokenTransfers: 0,
+                    firstSeen: timestamp,
+                    lastSeen: timestamp,
+                    currentVictim: key === victimContract?.toLowerCase()
+                });
+            }
+            const entry = interactions.get(key);
+            entry[field]++;
+            entry.firstSeen = Math.min(entry.firstSeen, timestamp);
+            entry.lastSeen = Math.max(entry.lastSeen, timestamp);
+        };
+
+        for (const tx of transactions) {
+            if (tx.from?.toLowerCase() === address && tx.to && tx.isError !== '1') {
+                await touch(tx.to, 'calls', Number(tx.timeStamp));
+            }
+        }
+
+        for (const holder of own) {
+            try {
+                const transfers = await this.explorer.getTokenTransfers(holder, { limit: this.maxTransactions });
+                for (const transfer of transfers.filter(item => own.has(item.to?.toLowerCase()))) {
+                    await touch(transfer.from, 'tokenTransfers', Number(transfer.timeStamp));
+                }
+            } catch (error) {
+                console.warn(`⚠️  Transferts de tokens de ${holder} indisponibles:`, error.message);
+            }
+        }
+
+        return [...interactions.values()]
+            .sort((a, b) => b.tokenTransfers - a.tokenTransfers || b.calls - a.calls)
+            .map(entry => ({ ...entry, firstSeen: toIso(entry.firstSeen), lastSeen: toIso(entry.lastSeen) }));
+    }
+
+    /**
+     * Contrats partageant le bytecode (hors métadonnées) d'un contrat de l'attaquant, parmi ses propres
+     * déploiements, ceux des adresses qui l'ont financé et les contrats déjà rencontrés par l'analyse
+     */
+    async findBytecodeReuse(deployedContracts, fundingChain, knownContracts) {
+        const candidates = new Map();
+        for (const contract of deployedContracts) {
+            candidates.set(contract.address, { ...contract, strippedHash: (await this.getCodeHash(contract.address)).strippedHash, origin: 'attacker' });
+        }
+
+        for (const { funder, funderIsContract } of fundingChain) {
+            if (funderIsContract) continue;
+            for (const tx of await this.getTransactions(funder)) {
+                const contract = tx.contractAddress?.toLowerCase();
+                if (tx.to || !this.analyzer.isValidAddress(contract) || candidates.has(contract)) continue;
+                const { hash, strippedHash } = await this.getCodeHash(contract);
+                candidates.set(contract, { address: contract, codeHash: hash, strippedHash, origin: 'funder', deployer: funder });
+            }
+        }
+        for (const known of knownContracts) {
+            const contract = known.toLowerCase();
+            if (candidates.has(contract) || !this.analyzer.isValidAddress(contract)) continue;
+            const { hash, strippedHash } = await this.getCodeHash(contract);
+            if (hash) candidates.set(contract, { address: contract, codeHash: hash, strippedHash, origin: 'related' });
+        }
+
+        // Regroupement sur le code sans métadonnées ; chaque contrat garde son code hash complet
+        const groups = new Map();
+        for (const candidate of candidates.values()) {
+            if (!candidate.strippedHash) continue;
+            if (!groups.has(candidate.strippedHash)) groups.set(candidate.strippedHash, []);
+            groups.get(candidate.strippedHash).push({
+                address: candidate.address,
+                codeHash: candidate.codeHash,
+                origin: candidate.origin,
+                deployer: candidate.deployer ?? null
+            });
+        }
+
+        return [...groups.entries()]
+            .filter(([, contracts]) => contracts.length > 1 && contracts.some(contract => contract.origin === 'attacker'))
+            .map(([strippedCodeHash, contracts]) => ({ strippedCodeHash, contracts }));
+    }
+
+    /**
+     * Hash du code runtime (`hash`, comme EXTCODEHASH et le reste de l'analyse) et du même code
+     * sans métadonnées du compilateur (`strippedHash`), null pour un contrat détruit ou un EOA
+     */
+    async getCodeHash(address) {
+        if (!this.codeHashes.has(address)) {
+            const code = await this.web3.eth.getCode(address);
+            const stripped = stripMetadata(code);
+            const size = (code.length - 2) / 2;
+            this.codeHashes.set(address, {
+                hash: size ? this.web3.utils.sha3(code) : null,
+                strippedHash: stripped.length ? this.web3.utils.sha3('0x' + stripped.toString('hex')) : null,
+                size
+            });
+        }
+        return this.codeHashes.get(address);
+    }
+}
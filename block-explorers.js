@@ -0,0 +1,273 @@
+import fetch from 'node-fetch';
+import { isImmutableExplorerQuery } from './response-cache.js';
+import { TokenBucket, withRetries } from './rate-limit.js';
+
+const LATEST_BLOCK = 99999999;
+// Etherscan refuse page × offset > 10 000
+const PAGE_SIZE = 10000;
+
+const EMPTY_RESULT_MESSAGES = /^No (transactions|records|token transfers|internal transactions|data) found/i;
+const RETRYABLE_MESSAGES = /rate limit|max calls|too many|timeout|temporarily|busy|try again/i;
+
+/**
+ * Erreur retournée par un explorer, distincte d'une réponse sans résultat
+ */
+export class ExplorerError extends Error {
+    constructor(message, { params = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'ExplorerError';
+        this.params = params;
+        this.retryable = retryable;
+    }
+}
+
+function isEmptyResult(data) {
+    return data.status === '0' && (EMPTY_RESULT_MESSAGES.test(data.message) || (Array.isArray(data.result) && !data.result.length));
+}
+
+// Un seau par clé d'API : les instances d'un même explorer partagent la limite de débit
+// (avec l'API Etherscan V2, toutes les chaînes partagent celle de la clé)
+const rateLimiters = new Map();
+
+function getRateLimiter(apiUrl, apiKey, requestsPerSecond) {
+    const key = `${apiUrl}|${apiKey || 'anonyme'}`;
+    if (!rateLimiters.has(key)) {
+        rateLimiters.set(key, new TokenBucket({ capacity: requestsPerSecond, refillPerSecond: requestsPerSecond }));
+    }
+    return rateLimiters.get(key);
+}
+
+/**
+ * Interface commune des block explorers.
+ * Un adaptateur doit exposer :
+ * - getTransactions(address, options) : transactions normales d'une adresse
+ * - getInternalTransactions(txHash) : appels internes d'une transaction
+ * - getInternalTransactionsByAddress(address, options) : appels internes impliquant une adresse
+ * - getTokenTransfers(address, { standard }) : transferts ERC-20, ERC-721 ou ERC-1155 d'une adresse
+ * - getContractCreation(address) : créateur et transaction de déploiement d'un contrat
+ * - getSourceCode(address) : ABI vérifiée, nom du contrat et implémentation déclarée
+ * - txUrl(hash) / addressUrl(address) : liens vers l'interface web
+ * Les résultats suivent le format des API de la famille Etherscan
+ * (`hash`, `from`, `to`, `value`, `input`, `timeStamp`, ...).
+ *
+ * Les listes sont paginées par plages de blocs, les requêtes limitées en débit par clé d'API
+ * et retentées avec un délai exponentiel. Une réponse sans résultat donne un tableau vide,
+ * toute autre erreur lève une ExplorerError.
+ *
+ * L'API Etherscan V2 sert toutes les chaînes depuis une même URL : chaque requête porte le `chainid`.
+ */
+export class EtherscanExplorer {
+    static REQUESTS_PER_SECOND = 5;
+    static MULTICHAIN = true;
+
+    constructor({ apiUrl, url, apiKey, chainId = null, cache = null, requestsPerSecond = null, pageSize = PAGE_SIZE, retries = 4 }) {
+        this.apiUrl = apiUrl;
+        this.chainParams = this.constructor.MULTICHAIN && chainId !== null ? { chainid: String(chainId) } : {};
+        this.url = url;
+        this.apiKey = apiKey;
+        this.cache = cache;
+        this.pageSize = pageSize;
+        this.retries = retries;
+        this.rateLimiter = getRateLimiter(apiUrl, apiKey, requestsPerSecond ?? this.constructor.REQUESTS_PER_SECOND);
+    }
+
+    /**
+     * Exécute une requête et retourne son champ `result`.
+     * Une réponse "aucun résultat" donne un tableau vide ; toute autre erreur lève une ExplorerError.
+     */
+    async request(params) {
+        params = { ...this.chainParams, ...params };
+        const data = this.cache
+            // La clé d'API ne fait pas partie de la clé de cache : un bundle se rejoue sans elle
+            ? await this.cache.fetch('explorer', { apiUrl: this.apiUrl, ...params }, () => this.fetchJson(params),
+                response => isImmutableExplorerQuery(params, response))
+            : await this.fetchJson(params);
+
+        return data.status === '1' ? data.result : [];
+    }
+
+    async fetchJson(params) {
+        const query = new URLSearchParams(params);
+        if (this.apiKey) query.set('apikey', this.apiKey);
+
+        return withRetries(async () => {
+            await this.rateLimiter.take();
+
+            const response = await fetch(`${this.apiUrl}?${query}`);
+            if (!response.ok) {
+                throw new ExplorerError(`HTTP ${response.status} sur ${params.module}.${params.action}`, {
+                    params,
+                    retryable: response.status === 429 || response.status >= 500
+                });
+            }
+
+            const data = await response.json();
+            if (data.status !== '1' && !isEmptyResult(data)) {
+                const detail = typeof data.result === 'string' ? data.result : data.message;
+                throw new ExplorerError(`${params.module}.${params.action} : ${detail}`, {
+                    params,
+                    retryable: RETRYABLE_MESSAGES.test(`${data.message} ${data.result}`)
+                });
+            }
+            return data;
+        }, {
+            retries: this.retries,
+            isRetryable: error => !(error instanceof ExplorerError) || error.retryable,
+            onRetry: (error, attempt, delay) => console.warn(`⚠️  Explorer : ${error.message}, nouvelle tentative ${attempt}/${this.retries} dans ${Math.round(delay)} ms`)
+        });
+    }
+
+    /**
+     * Parcourt une liste par plages de blocs, dans l'ordre demandé, pour dépasser la limite de lignes de l'API.
+     * Quand une page est pleine, son dernier bloc peut être incomplet : il est relu en tête de la page suivante.
+     * Avec `limit`, seules les `limit` premières entrées dans cet ordre sont lues : les plus récentes avec `sort: 'desc'`.
+     */
+    async paginate(params, { startBlock = 0, endBlock = LATEST_BLOCK, sort = 'asc', limit = null } = {}) {
+        const descending = sort === 'desc';
+        const results = [];
+        let fromBlock = startBlock;
+        let toBlock = endBlock;
+
+        for (;;) {
+            const page = await this.request({ ...params, startblock: fromBlock, endblock: toBlock, page: 1, offset: this.pageSize, sort: descending ? 'desc' : 'asc' });
+            if (page.length < this.pageSize) {
+                results.push(...page);
+                break;
+            }
+
+            const lastBlock = Number(page.at(-1).blockNumber);
+            if (Number(page[0].blockNumber) === lastBlock) {
+                console.warn(`⚠️  Plus de ${this.pageSize} entrées dans le bloc ${lastBlock} pour ${params.action}, liste tronquée`);
+                results.push(...page);
+                break;
+            }
+            results.push(...page.filter(item => Number(item.blockNumber) !== lastBlock));
+            if (limit !== null && results.length >= limit) break;
+            if (descending) {
+                toBlock = lastBlock;
+            } else {
+                fromBlock = lastBlock;
+            }
+        }
+        if (limit !== null) results.splice(limit);
+
+        return results;
+    }
+
+    async getTransactions(address, options = {}) {
+        return this.paginate({ module: 'account', action: 'txlist', address }, options);
+    }
+
+    async getInternalTransactions(txHash) {
+        return this.request({
+            module: 'account',
+            action: 'txlistinternal',
+            txhash: txHash
+        });
+    }
+
+    async getInternalTransactionsByAddress(address, options = {}) {
+        return this.paginate({ module: 'account', action: 'txlistinternal', address }, options);
+    }
+
+    async getTokenTransfers(address, { standard = 'erc20', ...options } = {}) {
+        const actions = { erc20: 'tokentx', erc721: 'tokennfttx', erc1155: 'token1155tx' };
+        return this.paginate({ module: 'account', action: actions[standard], address }, options);
+    }
+
+    /**
+     * Dernier bloc miné avant l'horodatage donné, null si l'explorer ne le connaît pas
+     * @param {number} timestamp - Horodatage Unix en secondes
+     */
+    async getBlockNumberByTime(timestamp) {
+        const result = await this.request({
+            module: 'block',
+            action: 'getblocknobytime',
+            timestamp: String(timestamp),
+            closest: 'before'
+        });
+        return typeof result === 'string' && /^\d+$/.test(result) ? Number(result) : null;
+    }
+
+    async getContractCreation(address) {
+        const result = await this.request({
+            module: 'contract',
+            action: 'getcontractcreation',
+            contractaddresses: address
+        });
+        return result?.[0] ?? null;
+    }
+
+    async getSourceCode(address) {
+        const result = await this.request({
+            module: 'contract',
+            action: 'getsourcecode',
+            address
+        });
+
+        const entry = Array.isArray(result) ? result[0] : null;
+        if (!entry) return null;
+
+        let abi = null;
+        try {
+            abi = JSON.parse(entry.ABI);
+        } catch {
+            abi = null;
+        }
+
+        return {
+            verified: Boolean(abi && entry.SourceCode),
+            contractName: entry.ContractName || null,
+            compilerVersion: entry.CompilerVersion || null,
+            abi,
+            implementation: entry.Implementation || null
+        };
+    }
+
+    txUrl(hash) {
+        return `${this.url}/tx/${hash}`;
+    }
+
+    addressUrl(address) {
+        return `${this.url}/address/${address}`;
+    }
+}
+
+/**
+ * Blockscout expose une API compatible Etherscan sous `/api`, la clé y est facultative
+ * et les limites de débit sont plus larges.
+ */
+export class BlockscoutExplorer extends EtherscanExplorer {
+    static REQUESTS_PER_SECOND = 10;
+    // Une instance Blockscout par chaîne, sans paramètre `chainid`
+    static MULTICHAIN = false;
+}
+
+const EXPLORER_ADAPTERS = {
+    etherscan: EtherscanExplorer,
+    blockscout: BlockscoutExplorer
+};
+
+/**
+ * Indique si le type d'explorer exige une clé d'API
+ * @param {string} type - Type d'explorer (`etherscan`, `blockscout`)
+ */
+export function explorerRequiresApiKey(type) {
+    return type === 'etherscan';
+}
+
+/**
+ * Instancie l'adaptateur d'explorer d'une chaîne
+ * @param {Object} chain - Configuration retournée par getChain
+ * @param {string} apiKey - Clé d'API de l'explorer
+ * @param {Object} options
+ * @param {ResponseCache} options.cache - Cache d'enregistrement/rejeu des réponses
+ * @returns {EtherscanExplorer}
+ */
+export function createExplorer(chain, apiKey, { cache = null } = {}) {
+    const Adapter = EXPLORER_ADAPTERS[chain.explorer.type];
+    if (!Adapter) {
+        throw new Error(`Type d'explorer non supporté : "${chain.explorer.type}"`);
+    }
+    return new Adapter({ ...chain.explorer, apiKey, chainId: chain.id, cache });
+}
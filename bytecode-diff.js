@@ -0,0 +1,287 @@
+import { canonicalSignature } from './abi-signatures.js';
+import { highestSeverity } from './detection-rules.js';
+
+// Nom et effet sur la pile (éléments retirés, ajoutés) des opcodes hors PUSH/DUP/SWAP/LOG
+const OPCODES = {
+    0x00: ['STOP', 0, 0], 0x01: ['ADD', 2, 1], 0x02: ['MUL', 2, 1], 0x03: ['SUB', 2, 1], 0x04: ['DIV', 2, 1],
+    0x05: ['SDIV', 2, 1], 0x06: ['MOD', 2, 1], 0x07: ['SMOD', 2, 1], 0x08: ['ADDMOD', 3, 1], 0x09: ['MULMOD', 3, 1],
+    0x0a: ['EXP', 2, 1], 0x0b: ['SIGNEXTEND', 2, 1],
+    0x10: ['LT', 2, 1], 0x11: ['GT', 2, 1], 0x12: ['SLT', 2, 1], 0x13: ['SGT', 2, 1], 0x14: ['EQ', 2, 1],
+    0x15: ['ISZERO', 1, 1], 0x16: ['AND', 2, 1], 0x17: ['OR', 2, 1], 0x18: ['XOR', 2, 1], 0x19: ['NOT', 1, 1],
+    0x1a: ['BYTE', 2, 1], 0x1b: ['SHL', 2, 1], 0x1c: ['SHR', 2, 1], 0x1d: ['SAR', 2, 1],
+    0x20: ['KECCAK256', 2, 1],
+    0x30: ['ADDRESS', 0, 1], 0x31: ['BALANCE', 1, 1], 0x32: ['ORIGIN', 0, 1], 0x33: ['CALLER', 0, 1],
+    0x34: ['CALLVALUE', 0, 1], 0x35: ['CALLDATALOAD', 1, 1], 0x36: ['CALLDATASIZE', 0, 1], 0x37: ['CALLDATACOPY', 3, 0],
+    0x38: ['CODESIZE', 0, 1], 0x39: ['CODECOPY', 3, 0], 0x3a: ['GASPRICE', 0, 1], 0x3b: ['EXTCODESIZE', 1, 1],
+    0x3c: ['EXTCODECOPY', 4, 0], 0x3d: ['RETURNDATASIZE', 0, 1], 0x3e: ['RETURNDATACOPY', 3, 0], 0x3f: ['EXTCODEHASH', 1, 1],
+    0x40: ['BLOCKHASH', 1, 1], 0x41: ['COINBASE', 0, 1], 0x42: ['TIMESTAMP', 0, 1], 0x43: ['NUMBER', 0, 1],
+    0x44: ['PREVRANDAO', 0, 1], 0x45: ['GASLIMIT', 0, 1], 0x46: ['CHAINID', 0, 1], 0x47: ['SELFBALANCE', 0, 1],
+    0x48: ['BASEFEE', 0, 1], 0x49: ['BLOBHASH', 1, 1], 0x4a: ['BLOBBASEFEE', 0, 1],
+    0x50: ['POP', 1, 0], 0x51: ['MLOAD', 1, 1], 0x52: ['MSTORE', 2, 0], 0x53: ['MSTORE8', 2, 0], 0x54: ['SLOAD', 1, 1],
+    0x55: ['SSTORE', 2, 0], 0x56: ['JUMP', 1, 0], 0x57: ['JUMPI', 2, 0], 0x58: ['PC', 0, 1], 0x59: ['MSIZE', 0, 1],
+    0x5a: ['GAS', 0, 1], 0x5b: ['JUMPDEST', 0, 0], 0x5c: ['TLOAD', 1, 1], 0x5d: ['TSTORE', 2, 0], 0x5e: ['MCOPY', 3, 0],
+    0x5f: ['PUSH0', 0, 1],
+    0xf0: ['CREATE', 3, 1], 0xf1: ['CALL', 7, 1], 0xf2: ['CALLCODE', 7, 1], 0xf3: ['RETURN', 2, 0],
+    0xf4: ['DELEGATECALL', 6, 1], 0xf5: ['CREATE2', 4, 1], 0xfa: ['STATICCALL', 6, 1], 0xfd: ['REVERT', 2, 0],
+    0xfe: ['INVALID', 0, 0], 0xff: ['SELFDESTRUCT', 1, 0]
+};
+
+const TERMINATORS = new Set(['STOP', 'JUMP', 'RETURN', 'REVERT', 'INVALID', 'SELFDESTRUCT']);
+// Opérations dont le résultat dérive de leurs opérandes (arithmétique, masques, décalages)
+const DERIVED = new Set(['ADD', 'MUL', 'SUB', 'DIV', 'SDIV', 'MOD', 'SMOD', 'ADDMOD', 'MULMOD', 'EXP', 'SIGNEXTEND',
+    'AND', 'OR', 'XOR', 'NOT', 'BYTE', 'SHL', 'SHR', 'SAR']);
+// Ordre de priorité des origines quand une valeur en combine plusieurs : une opérande
+// indéterminée rend le résultat indéterminé (AND(inconnue, masque) n'est pas une constante)
+const ORIGINS = ['constant', 'unknown', 'caller', 'storage', 'calldata'];
+
+const FINDINGS = {
+    selfdestruct: { severity: 'critical', explanation: 'SELFDESTRUCT : le contrat peut être détruit' },
+    callcode: { severity: 'high', explanation: 'CALLCODE : exécution de code externe dans le contexte du contrat' },
+    'delegatecall-calldata-target': { severity: 'critical', explanation: 'DELEGATECALL vers une adresse issue du calldata' },
+    delegatecall: { severity: 'medium', explanation: 'DELEGATECALL vers une adresse lue en stockage, constante ou indéterminée' },
+    'call-value-calldata-target': { severity: 'high', explanation: 'CALL avec valeur vers une adresse issue du calldata' },
+    'unverified-source': { severity: 'medium', explanation: 'Code source non vérifié sur l\'explorer' }
+};
+
+/**
+ * Retire les métadonnées CBOR de solc en fin de bytecode : deux contrats compilés
+ * depuis le même code mais avec des métadonnées différentes restent comparables
+ * @param {string} code - Bytecode hexadécimal
+ * @returns {Buffer} Octets du code sans métadonnées
+ */
+export function stripMetadata(code) {
+    const bytes = Buffer.from(code.replace(/^0x/, ''), 'hex');
+    if (bytes.length < 2) return bytes;
+
+    const metadataLength = bytes.readUInt16BE(bytes.length - 2);
+    const start = bytes.length - 2 - metadataLength;
+    // Les métadonnées solc sont une map CBOR (0xa1-0xa5) suivie de sa longueur sur deux octets
+    return start >= 0 && bytes[start] >= 0xa1 && bytes[start] <= 0xa5 ? bytes.subarray(0, start) : bytes;
+}
+
+/**
+ * Désassemble un bytecode runtime ; les métadonnées CBOR de solc en fin de code sont ignorées
+ * @param {string} code - Bytecode hexadécimal
+ * @returns {Object[]} Instructions `{ offset, opcode, name, push }`, `push` étant la donnée des PUSHn
+ */
+export function disassemble(code) {
+    const bytes = stripMetadata(code);
+    const end = bytes.length;
+
+    const instructions = [];
+    for (let offset = 0; offset < end; offset++) {
+        const opcode = bytes[offset];
+        if (opcode >= 0x60 && opcode <= 0x7f) {
+            const size = opcode - 0x5f;
+            instructions.push({ offset, opcode, name: `PUSH${size}`, push: '0x' + bytes.subarray(offset + 1, offset + 1 + size).toString('hex') });
+            offset += size;
+        } else if (opcode >= 0x80 && opcode <= 0x8f) {
+            instructions.push({ offset, opcode, name: `DUP${opcode - 0x7f}` });
+        } else if (opcode >= 0x90 && opcode <= 0x9f) {
+            instructions.push({ offset, opcode, name: `SWAP${opcode - 0x8f}` });
+        } else if (opcode >= 0xa0 && opcode <= 0xa4) {
+            instructions.push({ offset, opcode, name: `LOG${opcode - 0xa0}` });
+        } else {
+            instructions.push({ offset, opcode, name: OPCODES[opcode]?.[0] ?? `UNKNOWN_0x${opcode.toString(16).padStart(2, '0')}` });
+        }
+    }
+    return instructions;
+}
+
+/**
+ * Sélecteurs du dispatcher : PUSH4 suivi d'une comparaison EQ
+ * @param {Object[]} instructions - Résultat de disassemble
+ */
+export function extractSelectors(instructions) {
+    const selectors = new Set();
+    instructions.forEach((instruction, index) => {
+        if (instruction.name !== 'PUSH4' || instruction.push === '0xffffffff') return;
+        if (instructions.slice(index + 1, index + 3).some(next => next.name === 'EQ')) {
+            selectors.add(instruction.push);
+        }
+    });
+    return [...selectors].sort();
+}
+
+const stackEffect = ({ opcode, name }) => {
+    if (name.startsWith('LOG')) return [2 + Number(name.slice(3)), 0];
+    return OPCODES[opcode] ? OPCODES[opcode].slice(1) : [0, 0];
+};
+
+/**
+ * Repère les opcodes dangereux. L'origine des adresses appelées (calldata, stockage, constante)
+ * est suivie par simulation de la pile à l'intérieur de chaque bloc de base : une valeur venue
+ * d'un autre bloc est indéterminée, l'analyse ne signale donc que les cas établis localement.
+ * Limite : les origines ne traversent pas les JUMPDEST, si bien qu'une adresse lue dans le calldata
+ * puis passée par un saut (cas courant du code solc) donne `delegatecall` et non
+ * `delegatecall-calldata-target`, et n'est pas signalée par `call-value-calldata-target`.
+ * @param {Object[]} instructions - Résultat de disassemble
+ * @returns {Object[]} Constats `{ id, severity, explanation, offsets }`
+ */
+export function findDangerousOpcodes(instructions) {
+    const findings = new Map();
+    const report = (id, offset) => {
+        if (!findings.has(id)) findings.set(id, { id, ...FINDINGS[id], offsets: [] });
+        findings.get(id).offsets.push(offset);
+    };
+
+    let stack = [];
+    const unknown = { origin: 'unknown' };
+    const pop = () => stack.pop() ?? unknown;
+    const peek = depth => stack[stack.length - depth] ?? unknown;
+
+    for (const instruction of instructions) {
+        const { offset, name, push } = instruction;
+        if (name === 'JUMPDEST') {
+            stack = [];
+            continue;
+        }
+
+        if (name === 'SELFDESTRUCT') report('selfdestruct', offset);
+        if (name === 'CALLCODE') report('callcode', offset);
+        if (name === 'DELEGATECALL') {
+            report(peek(2).origin === 'calldata' ? 'delegatecall-calldata-target' : 'delegatecall', offset);
+        }
+        if (name === 'CALL') {
+            const value = peek(3);
+            const noValue = value.origin === 'constant' && value.value === 0n;
+            if (peek(2).origin === 'calldata' && !noValue) report('call-value-calldata-target', offset);
+        }
+
+        if (name.startsWith('PUSH')) {
+            stack.push({ origin: 'constant', value: BigInt(push ?? 0) });
+        } else if (name.startsWith('DUP')) {
+            stack.push(peek(Number(name.slice(3))));
+        } else if (name.startsWith('SWAP')) {
+            const depth = Number(name.slice(4)) + 1;
+            while (stack.length < depth) stack.unshift(unknown);
+            const top = stack.length - 1;
+            [stack[top], stack[top - depth + 1]] = [stack[top - depth + 1], stack[top]];
+        } else {
+            const [pops, pushes] = stackEffect(instruction);
+            const inputs = Array.from({ length: pops }, pop);
+            if (pushes) {
+                let origin = 'unknown';
+                if (name === 'CALLDATALOAD') origin = 'calldata';
+                else if (name === 'SLOAD') origin = 'storage';
+                else if (name === 'CALLER' || name === 'ORIGIN') origin = 'caller';
+                else if (DERIVED.has(name)) {
+                    origin = inputs.reduce((highest, input) =>
+                        ORIGINS.indexOf(input.origin) > ORIGINS.indexOf(highest) ? input.origin : highest, 'constant');
+                }
+                stack.push({ origin });
+            }
+        }
+
+        if (TERMINATORS.has(name)) stack = [];
+    }
+
+    return [...findings.values()];
+}
+
+/**
+ * Compare l'ancienne et la nouvelle implémentation d'un proxy lors d'un upgrade :
+ * sélecteurs ajoutés et retirés (nommés par la résolution de signatures), opcodes dangereux
+ * apparus, source vérifiée ou non sur l'explorer.
+ */
+export class ImplementationComparator {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.inspections = new Map();
+    }
+
+    /**
+     * @param {string|null} oldAddress - Implémentation remplacée, null pour la première
+     * @param {string} newAddress - Nouvelle implémentation
+     * @param {number} blockNumber - Bloc de l'upgrade
+     */
+    async compare(oldAddress, newAddress, blockNumber) {
+        const before = oldAddress ? await this.inspect(oldAddress, blockNumber - 1) : null;
+        const after = await this.inspect(newAddress, blockNumber);
+
+        const signatures = new Map([...(before?.selectors || []), ...after.selectors]
+            .map(({ selector, signature }) => [selector, signature]));
+        const beforeSelectors = new Set(before?.selectors.map(entry => entry.selector));
+        const afterSelectors = new Set(after.selectors.map(entry => entry.selector));
+        const selectors = [...signatures.keys()].sort().map(selector => ({
+            selector,
+            signature: signatures.get(selector),
+            before: beforeSelectors.has(selector),
+            after: afterSelectors.has(selector),
+            status: !beforeSelectors.has(selector) ? 'added' : !afterSelectors.has(selector) ? 'removed' : 'unchanged'
+        }));
+
+        const newFindings = after.findings.filter(finding => !before?.findings.some(previous => previous.id === finding.id));
+        return {
+            blockNumber,
+            before,
+            after,
+            identical: Boolean(before) && before.codeHash === after.codeHash,
+            selectors,
+            added: selectors.filter(entry => entry.status === 'added').length,
+            removed: selectors.filter(entry => entry.status === 'removed').length,
+            newFindings,
+            risk: highestSeverity(newFindings)
+        };
+    }
+
+    /**
+     * Bytecode d'une implémentation à un bloc : taille, hash, sélecteurs, opcodes dangereux, source
+     */
+    async inspect(address, blockNumber) {
+        const key = `${address.toLowerCase()}@${blockNumber}`;
+        if (!this.inspections.has(key)) {
+            this.inspections.set(key, this.loadInspection(address, blockNumber));
+        }
+        return this.inspections.get(key);
+    }
+
+    async loadInspection(address, blockNumber) {
+        let code;
+        try {
+            code = await this.web3.eth.getCode(address, blockNumber);
+        } catch (error) {
+            // Sans nœud archive, le code actuel remplace celui du bloc demandé
+            console.warn(`⚠️  Code de ${address} au bloc ${blockNumber} indisponible, code actuel utilisé :`, error.message);
+            code = await this.web3.eth.getCode(address);
+        }
+
+        const instructions = disassemble(code);
+        const source = await this.getSource(address);
+        const findings = findDangerousOpcodes(instructions);
+        if (source && !source.verified) {
+            findings.push({ id: 'unverified-source', ...FINDINGS['unverified-source'], offsets: [] });
+        }
+
+        const selectors = [];
+        for (const selector of extractSelectors(instructions)) {
+            selectors.push({ selector, signature: await this.resolveSelector(selector, address) });
+        }
+
+        return {
+            address,
+            blockNumber,
+            size: (code.length - 2) / 2,
+            codeHash: this.web3.utils.sha3(code),
+            selectors,
+            findings,
+            source
+        };
+    }
+
+    async resolveSelector(selector, address) {
+        const [candidate] = await this.analyzer.abiDecoder.candidates('functions', selector, address);
+        return candidate ? canonicalSignature(candidate.fragment) : null;
+    }
+
+    async getSource(address) {
+        try {
+            const source = await this.analyzer.explorer.getSourceCode(address);
+            return source && { verified: source.verified, contractName: source.contractName, compilerVersion: source.compilerVersion };
+        } catch (error) {
+            console.warn(`⚠️  Source de ${address} indisponible :`, error.message);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,193 @@
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+const CALL_TYPE_ALIASES = { SUICIDE: 'SELFDESTRUCT' };
+
+export const TRACE_SOURCES = ['debug', 'trace', 'explorer'];
+
+/**
+ * Reconstruit l'arbre d'appels complet d'une transaction.
+ * Sources essayées dans l'ordre :
+ * - `debug` : debug_traceTransaction avec le callTracer (geth, erigon, anvil)
+ * - `trace` : trace_transaction (traces plates OpenEthereum/erigon, reconstruites en arbre)
+ * - `explorer` : appels internes du block explorer, sans imbrication fiable
+ */
+export class CallTracer {
+    constructor(analyzer, { sources = TRACE_SOURCES } = {}) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.sources = sources;
+    }
+
+    async getCallTree(txHash) {
+        const loaders = {
+            debug: () => this.fromDebugTrace(txHash),
+            trace: () => this.fromParityTrace(txHash),
+            explorer: () => this.fromExplorer(txHash)
+        };
+
+        for (const source of this.sources) {
+            try {
+                const root = await loaders[source]();
+                if (root) return { source, root };
+            } catch (error) {
+                console.warn(`⚠️  Source de traces "${source}" indisponible:`, error.message);
+            }
+        }
+        return { source: null, root: null };
+    }
+
+    async rpc(method, params) {
+        return this.web3.requestManager.send({ method, params });
+    }
+
+    async fromDebugTrace(txHash) {
+        const frame = await this.rpc('debug_traceTransaction', [txHash, { tracer: 'callTracer' }]);
+        return frame ? this.normalizeCallFrame(frame, 0, '0') : null;
+    }
+
+    normalizeCallFrame(frame, depth, path) {
+        return this.createNode({
+            type: frame.type,
+            from: frame.from,
+            to: frame.to,
+            value: frame.value,
+            gas: frame.gas,
+            gasUsed: frame.gasUsed,
+            input: frame.input,
+            output: frame.output,
+            error: frame.error,
+            revertReason: frame.revertReason,
+            depth,
+            path,
+            calls: (frame.calls || []).map((child, index) =>
+                this.normalizeCallFrame(child, depth + 1, `${path}.${index}`))
+        });
+    }
+
+    async fromParityTrace(txHash) {
+        const traces = await this.rpc('trace_transaction', [txHash]);
+        if (!Array.isArray(traces) || !traces.length) return null;
+
+        const nodes = new Map();
+        let root = null;
+
+        for (const trace of traces) {
+            const { action = {}, result = {} } = trace;
+            const path = ['0', ...trace.traceAddress].join('.');
+            const node = this.createNode({
+                type: trace.type === 'call' ? action.callType : trace.type,
+                from: action.from || action.address,
+                to: action.to || result.address || action.refundAddress,
+                value: action.value || action.balance,
+                gas: action.gas,
+                gasUsed: result.gasUsed,
+                input: action.input || action.init,
+                output: result.output || result.code,
+                error: trace.error,
+                depth: trace.traceAddress.length,
+                path,
+                calls: []
+            });
+
+            nodes.set(path, node);
+            if (!trace.traceAddress.length) {
+                root = node;
+            } else {
+                nodes.get(path.slice(0, path.lastIndexOf('.')))?.calls.push(node);
+            }
+        }
+
+        return root;
+    }
+
+    async fromExplorer(txHash) {
+        const [tx, internalTransactions] = await Promise.all([
+            this.web3.eth.getTransaction(txHash),
+            this.analyzer.explorer.getInternalTransactions(txHash)
+        ]);
+
+        const root = this.createNode({
+            type: tx.to ? 'CALL' : 'CREATE',
+            from: tx.from,
+            to: tx.to,
+            value: tx.value,
+            gas: tx.gas,
+            input: tx.input,
+            depth: 0,
+            path: '0',
+            calls: []
+        });
+
+        internalTransactions.forEach((internal, index) => {
+            const traceAddress = internal.traceId ? internal.traceId.split('_').filter(Boolean) : [String(index)];
+            root.calls.push(this.createNode({
+                type: internal.callType || internal.type,
+                from: internal.from,
+                to: internal.to || internal.contractAddress,
+                value: internal.value,
+                gas: internal.gas,
+                gasUsed: internal.gasUsed,
+                input: internal.input,
+                error: internal.isError === '1' ? (internal.errCode || 'reverted') : null,
+                depth: traceAddress.length,
+                path: ['0', ...traceAddress].join('.'),
+                calls: []
+            }));
+        });
+
+        return root;
+    }
+
+    createNode({ type, from, to, value, gas, gasUsed, input, output, error, revertReason, depth, path, calls }) {
+        const callType = String(type || 'CALL').toUpperCase();
+        return {
+            type: CALL_TYPE_ALIASES[callType] || callType,
+            from: from || null,
+            to: to || null,
+            value: this.toDecimalString(value),
+            gas: gas !== undefined && gas !== null && gas !== '' ? Number(gas) : null,
+            gasUsed: gasUsed !== undefined && gasUsed !== null && gasUsed !== '' ? Number(gasUsed) : null,
+            input: input || '0x',
+            output: output || null,
+            error: error || null,
+            revertReason: revertReason || (error ? this.decodeRevertReason(output) : null),
+            depth,
+            path,
+            calls
+        };
+    }
+
+    decodeRevertReason(output) {
+        if (!output || output.length < 10) return null;
+
+        try {
+            const selector = output.slice(0, 10);
+            if (selector === ERROR_SELECTOR) {
+                return this.web3.eth.abi.decodeParameter('string', '0x' + output.slice(10));
+            }
+            if (selector === PANIC_SELECTOR) {
+                const code = this.web3.eth.abi.decodeParameter('uint256', '0x' + output.slice(10));
+                return `Panic(0x${BigInt(code).toString(16)})`;
+            }
+        } catch (error) {
+            console.warn('Erreur décodage revert:', error.message);
+        }
+        return `custom error ${output.slice(0, 10)}`;
+    }
+
+    toDecimalString(value) {
+        if (value === undefined || value === null || value === '') return '0';
+        return BigInt(value).toString();
+    }
+}
+
+/**
+ * Aplatit un arbre d'appels en liste, parcours en profondeur
+ * @param {Object} root - Nœud racine retourné par CallTracer
+ * @returns {Object[]} Nœuds sans leur champ `calls`
+ */
+export function flattenCallTree(root) {
+    if (!root) return [];
+    const { calls, ...node } = root;
+    return [node, ...calls.flatMap(child => flattenCallTree(child))];
+}
@@ -0,0 +1,139 @@
+// API Etherscan V2 multichaîne : une seule clé, la chaîne est choisie par le paramètre `chainid`
+const ETHERSCAN_V2_API_URL = 'https://api.etherscan.io/v2/api';
+
+/**
+ * Registre des chaînes supportées.
+ * Chaque entrée décrit l'identifiant de chaîne, les RPC publics par défaut
+ * (surchargeables par la variable `rpcEnv`) et le block explorer à utiliser.
+ */
+export const CHAINS = {
+    polygon: {
+        id: 137,
+        name: 'Polygon',
+        nativeSymbol: 'POL',
+        rpcEnv: 'POLYGON_RPC',
+        rpcs: ['https://polygon-rpc.com', 'https://rpc-mainnet.maticvigil.com'],
+        explorer: {
+            type: 'etherscan',
+            apiUrl: ETHERSCAN_V2_API_URL,
+            url: 'https://polygonscan.com',
+            apiKeyEnv: 'ETHERSCAN_API_KEY'
+        }
+    },
+    ethereum: {
+        id: 1,
+        name: 'Ethereum',
+        nativeSymbol: 'ETH',
+        rpcEnv: 'ETHEREUM_RPC',
+        rpcs: ['https://eth.llamarpc.com', 'https://rpc.ankr.com/eth', 'https://cloudflare-eth.com'],
+        explorer: {
+            type: 'etherscan',
+            apiUrl: ETHERSCAN_V2_API_URL,
+            url: 'https://etherscan.io',
+            apiKeyEnv: 'ETHERSCAN_API_KEY'
+        }
+    },
+    bsc: {
+        id: 56,
+        name: 'BNB Smart Chain',
+        nativeSymbol: 'BNB',
+        rpcEnv: 'BSC_RPC',
+        rpcs: ['https://bsc-dataseed.binance.org', 'https://bsc-dataseed1.defibit.io'],
+        explorer: {
+            type: 'etherscan',
+            apiUrl: ETHERSCAN_V2_API_URL,
+            url: 'https://bscscan.com',
+            apiKeyEnv: 'ETHERSCAN_API_KEY'
+        }
+    },
+    arbitrum: {
+        id: 42161,
+        name: 'Arbitrum One',
+        nativeSymbol: 'ETH',
+        rpcEnv: 'ARBITRUM_RPC',
+        rpcs: ['https://arb1.arbitrum.io/rpc', 'https://rpc.ankr.com/arbitrum'],
+        explorer: {
+            type: 'etherscan',
+            apiUrl: ETHERSCAN_V2_API_URL,
+            url: 'https://arbiscan.io',
+            apiKeyEnv: 'ETHERSCAN_API_KEY'
+        }
+    },
+    optimism: {
+        id: 10,
+        name: 'OP Mainnet',
+        nativeSymbol: 'ETH',
+        rpcEnv: 'OPTIMISM_RPC',
+        rpcs: ['https://mainnet.optimism.io', 'https://rpc.ankr.com/optimism'],
+        explorer: {
+            type: 'etherscan',
+            apiUrl: ETHERSCAN_V2_API_URL,
+            url: 'https://optimistic.etherscan.io',
+            apiKeyEnv: 'ETHERSCAN_API_KEY'
+        }
+    },
+    base: {
+        id: 8453,
+        name: 'Base',
+        nativeSymbol: 'ETH',
+        rpcEnv: 'BASE_RPC',
+        rpcs: ['https://mainnet.base.org', 'https://base.llamarpc.com'],
+        explorer: {
+            type: 'etherscan',
+            apiUrl: ETHERSCAN_V2_API_URL,
+            url: 'https://basescan.org',
+            apiKeyEnv: 'ETHERSCAN_API_KEY'
+        }
+    },
+    gnosis: {
+        id: 100,
+        name: 'Gnosis',
+        nativeSymbol: 'xDAI',
+        rpcEnv: 'GNOSIS_RPC',
+        rpcs: ['https://rpc.gnosischain.com'],
+        explorer: {
+            type: 'blockscout',
+            apiUrl: 'https://gnosis.blockscout.com/api',
+            url: 'https://gnosis.blockscout.com',
+            apiKeyEnv: 'GNOSIS_BLOCKSCOUT_API_KEY'
+        }
+    }
+};
+
+export const DEFAULT_CHAIN = 'polygon';
+
+/**
+ * Retrouve une chaîne par son nom (`polygon`) ou son identifiant (`137`)
+ * @param {string|number} nameOrId - Nom ou chain id
+ * @returns {Object} Configuration de la chaîne, avec sa clé dans `key`
+ */
+export function getChain(nameOrId = DEFAULT_CHAIN) {
+    const lookup = String(nameOrId).toLowerCase();
+    const entry = Object.entries(CHAINS).find(([key, chain]) => key === lookup || String(chain.id) === lookup);
+
+    if (!entry) {
+        throw new Error(`Chaîne inconnue : "${nameOrId}" (disponibles : ${Object.keys(CHAINS).join(', ')})`);
+    }
+
+    const [key, chain] = entry;
+    return { key, ...chain };
+}
+
+/**
+ * Liste des RPC d'une chaîne, la variable d'environnement dédiée en premier
+ * @param {Object} chain - Configuration retournée par getChain
+ * @returns {string[]} URLs RPC dédupliquées
+ */
+export function getDefaultRpcNodes(chain) {
+    const fromEnv = process.env[chain.rpcEnv];
+    return [...new Set([fromEnv, ...chain.rpcs].filter(Boolean))];
+}
+
+/**
+ * Clé d'API du block explorer d'une chaîne, lue dans l'environnement
+ * @param {Object} chain - Configuration retournée par getChain
+ * @returns {string|undefined}
+ */
+export function getExplorerApiKey(chain) {
+    return process.env[chain.explorer.apiKeyEnv];
+}
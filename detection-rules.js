@@ -0,0 +1,334 @@
+import { readFileSync } from 'fs';
+import { parse as parseYaml } from 'yaml';
+
+export const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+
+const DEFAULT_RULES_PATH = new URL('./data/rules/default.json', import.meta.url);
+
+const CONDITIONS = new Set(['kind', 'method', 'selector', 'params', 'event', 'caller', 'to', 'callType', 'value', 'callerDeployedWithin']);
+const COMPARATORS = new Set(['equals', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte']);
+
+/**
+ * Fichier de règles invalide : champ manquant, sévérité ou condition inconnue
+ */
+export class RuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RuleError';
+    }
+}
+
+const toArray = value => [value].flat();
+const normalize = value => typeof value === 'string' ? value.toLowerCase() : value;
+
+function toBigInt(value) {
+    try {
+        return BigInt(value);
+    } catch {
+        return null;
+    }
+}
+
+function validateComparator(comparator, where) {
+    if (comparator === null || typeof comparator !== 'object' || Array.isArray(comparator)) return;
+    for (const key of Object.keys(comparator)) {
+        if (!COMPARATORS.has(key)) {
+            throw new RuleError(`${where} : comparateur inconnu "${key}" (${[...COMPARATORS].join(', ')})`);
+        }
+    }
+}
+
+function validateConditions(conditions, where) {
+    if (!conditions || typeof conditions !== 'object' || Object.keys(conditions).length === 0) {
+        throw new RuleError(`${where} : conditions manquantes`);
+    }
+    for (const [name, value] of Object.entries(conditions)) {
+        if (!CONDITIONS.has(name)) {
+            throw new RuleError(`${where} : condition inconnue "${name}" (${[...CONDITIONS].join(', ')})`);
+        }
+        if (name === 'params') {
+            Object.entries(value).forEach(([param, comparator]) => validateComparator(comparator, `${where}, paramètre ${param}`));
+        } else if (['caller', 'to', 'value'].includes(name)) {
+            validateComparator(value, `${where}, ${name}`);
+        }
+    }
+}
+
+/**
+ * Valide un ensemble de règles : `{ lists: { nom: [adresses] }, rules: [...] }`
+ * @param {Object} data - Contenu du fichier de règles
+ * @param {string} source - Fichier d'origine, pour les messages d'erreur
+ */
+export function validateRuleSet(data, source = 'règles') {
+    if (!data || !Array.isArray(data.rules)) {
+        throw new RuleError(`${source} : tableau "rules" attendu`);
+    }
+
+    const lists = {};
+    for (const [name, values] of Object.entries(data.lists || {})) {
+        if (!Array.isArray(values)) throw new RuleError(`${source} : la liste "${name}" doit être un tableau`);
+        lists[name] = values.map(normalize);
+    }
+
+    const rules = data.rules.map((rule, index) => {
+        const where = `${source}, règle ${rule?.id || index}`;
+        if (typeof rule?.id !== 'string' || !rule.id) throw new RuleError(`${where} : identifiant manquant`);
+        if (rule.enabled === false) return { id: rule.id, enabled: false };
+
+        if (!SEVERITIES.includes(rule.severity)) {
+            throw new RuleError(`${where} : sévérité invalide "${rule.severity}" (${SEVERITIES.join(', ')})`);
+        }
+        if (typeof rule.explanation !== 'string' || !rule.explanation) {
+            throw new RuleError(`${where} : explication manquante`);
+        }
+        if (Boolean(rule.match) === Boolean(rule.sequence)) {
+            throw new RuleError(`${where} : "match" ou "sequence" attendu (un seul des deux)`);
+        }
+
+        if (rule.match) {
+            validateConditions(rule.match, where);
+        } else {
+            const { steps, within } = rule.sequence;
+            if (!Array.isArray(steps) || steps.length < 2) throw new RuleError(`${where} : une séquence compte au moins deux étapes`);
+            if (within !== 'transaction' && !(Number.isFinite(within) && within > 0)) {
+                throw new RuleError(`${where} : "within" vaut "transaction" ou une durée en secondes`);
+            }
+            steps.forEach((step, stepIndex) => validateConditions(step, `${where}, étape ${stepIndex + 1}`));
+        }
+        return { enabled: true, ...rule };
+    });
+
+    return { source, lists, rules };
+}
+
+/**
+ * Charge un fichier de règles JSON ou YAML (selon l'extension)
+ * @param {string|URL} file - Fichier de règles, data/rules/default.json par défaut
+ */
+export function loadRuleSet(file = DEFAULT_RULES_PATH) {
+    const source = file instanceof URL ? file.pathname : file;
+    let data;
+    try {
+        const text = readFileSync(file, 'utf8');
+        data = /\.ya?ml$/i.test(source) ? parseYaml(text) : JSON.parse(text);
+    } catch (error) {
+        throw new RuleError(`Fichier de règles illisible (${source}) : ${error.message}`);
+    }
+    return validateRuleSet(data, source);
+}
+
+/**
+ * Moteur de règles de détection déclaratives.
+ *
+ * Une règle `match` porte sur un appel (transaction ou trace) : méthode et paramètres décodés,
+ * événements émis par la transaction, appelant et cible (listes d'autorisation), type d'appel
+ * (DELEGATECALL), valeur transférée, appelant déployé récemment. Une règle `sequence` enchaîne
+ * plusieurs conditions dans l'ordre, dans une même transaction ou dans une fenêtre de temps.
+ *
+ * Les ensembles de règles sont fusionnés dans l'ordre : une règle de même identifiant remplace
+ * la précédente, `"enabled": false` la désactive. Une condition sur une liste vide ou absente
+ * ne correspond jamais : la règle reste inactive tant que la liste n'est pas renseignée.
+ */
+export class RuleEngine {
+    constructor(analyzer, { ruleSets = [loadRuleSet()], lists = {} } = {}) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+
+        const rules = new Map();
+        this.lists = {};
+        for (const ruleSet of ruleSets) {
+            ruleSet.rules.forEach(rule => rules.set(rule.id, rule));
+            Object.assign(this.lists, ruleSet.lists);
+        }
+        for (const [name, values] of Object.entries(lists)) {
+            this.lists[name] = [...(this.lists[name] || []), ...values.filter(Boolean).map(normalize)];
+        }
+        this.rules = [...rules.values()].filter(rule => rule.enabled);
+        this.creationTimes = new Map();
+    }
+
+    /**
+     * Règles `match` déclenchées par un appel
+     * @param {Object} call - Transaction ou trace analysée (from, to, value, input, decodedInput, callType)
+     * @param {Object} context - `{ kind, logs: async () => logs décodés, timestamp: async () => secondes }`
+     * @returns {Promise<Object[]>} Raisons `{ id, severity, explanation }`
+     */
+    async evaluate(call, context = {}) {
+        const reasons = [];
+        for (const rule of this.rules.filter(rule => rule.match)) {
+            if (await this.safeMatches(rule, rule.match, call, context)) {
+                reasons.push(this.reasonOf(rule));
+            }
+        }
+        return reasons;
+    }
+
+    /**
+     * Règles `sequence` sur une suite d'appels : la raison est ajoutée à l'appel qui complète
+     * la séquence, avec les références des étapes précédentes
+     * @param {Object[]} calls - Appels analysés, dans l'ordre d'exécution
+     * @param {'transaction'|'window'} scope - Traces d'une transaction, ou transactions datées
+     * @param {Function} contextOf - (appel) => contexte d'évaluation
+     */
+    async evaluateSequences(calls, scope, contextOf) {
+        const rules = this.rules.filter(rule => rule.sequence && (rule.sequence.within === 'transaction') === (scope === 'transaction'));
+        if (rules.length === 0 || calls.length < 2) return;
+
+        const contexts = calls.map(contextOf);
+        const times = scope === 'window' ? await Promise.all(contexts.map(context => context.timestamp?.() ?? null)) : null;
+        const order = calls.map((call, index) => index);
+        if (times) order.sort((a, b) => (times[a] ?? 0) - (times[b] ?? 0));
+
+        for (const rule of rules) {
+            const { steps, within } = rule.sequence;
+            const matched = [];
+            for (const step of steps) {
+                matched.push(await Promise.all(order.map(index => this.safeMatches(rule, step, calls[index], contexts[index]))));
+            }
+
+            for (let end = 0; end < order.length; end++) {
+                if (!matched[steps.length - 1][end]) continue;
+
+                // Étapes précédentes, de la plus récente à la plus ancienne
+                const positions = [end];
+                for (let step = steps.length - 2; step >= 0; step--) {
+                    let position = positions[0] - 1;
+                    while (position >= 0 && !matched[step][position]) position--;
+                    if (position < 0) break;
+                    if (times && times[order[end]] - times[order[position]] > within) break;
+                    positions.unshift(position);
+                }
+                if (positions.length !== steps.length) continue;
+
+                const call = calls[order[end]];
+                call.reason.push({
+                    ...this.reasonOf(rule),
+                    related: positions.slice(0, -1).map(position => calls[order[position]].hash ?? calls[order[position]].path)
+                });
+                call.suspicious = true;
+                call.severity = highestSeverity(call.reason);
+            }
+        }
+    }
+
+    reasonOf(rule) {
+        return { id: rule.id, severity: rule.severity, explanation: rule.explanation };
+    }
+
+    async safeMatches(rule, conditions, call, context) {
+        try {
+            return await this.matches(conditions, call, context);
+        } catch (error) {
+            console.warn(`⚠️  Règle ${rule.id} non évaluée :`, error.message);
+            return false;
+        }
+    }
+
+    async matches(conditions, call, context) {
+        for (const [name, expected] of Object.entries(conditions)) {
+            if (!await this.matchesCondition(name, expected, call, context)) return false;
+        }
+        return true;
+    }
+
+    async matchesCondition(name, expected, call, context) {
+        switch (name) {
+        case 'kind':
+            return toArray(expected).includes(context.kind);
+        case 'method':
+            return toArray(expected).includes(call.decodedInput?.method);
+        case 'selector':
+            return toArray(expected).map(normalize).includes(call.input?.slice(0, 10).toLowerCase());
+        case 'params':
+            return Object.entries(expected).every(([param, comparator]) => {
+                const value = call.decodedInput?.params?.find(candidate => candidate.name === param)?.value;
+                return value !== undefined && this.compare(value, comparator);
+            });
+        case 'event': {
+            const events = (await context.logs?.() || []).map(log => log.event);
+            return toArray(expected).some(event => events.includes(event));
+        }
+        case 'caller':
+            return this.compare(call.from, expected);
+        case 'to':
+            return this.compare(call.to, expected);
+        case 'callType':
+            return toArray(expected).map(type => type.toUpperCase()).includes((call.callType || 'CALL').toUpperCase());
+        case 'value':
+            return this.compare(toBigInt(call.value || 0), expected);
+        case 'callerDeployedWithin': {
+            const timestamp = await context.timestamp?.();
+            const createdAt = call.from ? await this.getCreationTime(call.from) : null;
+            return timestamp != null && createdAt !== null && timestamp >= createdAt && timestamp - createdAt <= expected;
+        }
+        default:
+            return false;
+        }
+    }
+
+    /**
+     * Compare une valeur à une condition : valeur simple (égalité) ou comparateurs
+     * `equals`, `in` / `notIn` (tableau ou nom de liste), `gt`, `gte`, `lt`, `lte`
+     */
+    compare(actual, comparator) {
+        if (comparator === null || typeof comparator !== 'object' || Array.isArray(comparator)) {
+            return Array.isArray(comparator)
+                ? comparator.map(normalize).includes(normalize(actual))
+                : normalize(actual) === normalize(comparator);
+        }
+
+        return Object.entries(comparator).every(([operator, operand]) => {
+            if (operator === 'equals') return normalize(actual) === normalize(operand);
+            if (operator === 'in' || operator === 'notIn') {
+                const list = typeof operand === 'string' ? this.lists[operand] : operand?.map(normalize);
+                if (!list?.length) return false;
+                return list.includes(normalize(actual)) === (operator === 'in');
+            }
+
+            const left = typeof actual === 'bigint' ? actual : toBigInt(actual);
+            const right = toBigInt(operand);
+            if (left === null || right === null) return false;
+            if (operator === 'gt') return left > right;
+            if (operator === 'gte') return left >= right;
+            if (operator === 'lt') return left < right;
+            return left <= right;
+        });
+    }
+
+    /**
+     * Horodatage du déploiement d'un contrat, null pour un EOA ou si l'explorer l'ignore
+     */
+    async getCreationTime(address) {
+        const key = address.toLowerCase();
+        if (!this.creationTimes.has(key)) {
+            this.creationTimes.set(key, this.loadCreationTime(address));
+        }
+        return this.creationTimes.get(key);
+    }
+
+    async loadCreationTime(address) {
+        if (!await this.analyzer.isContract(address)) return null;
+
+        const creation = await this.analyzer.explorer.getContractCreation(address);
+        if (!creation?.txHash) return null;
+        const receipt = await this.web3.eth.getTransactionReceipt(creation.txHash);
+        const block = await this.web3.eth.getBlock(receipt.blockNumber);
+        return Number(block.timestamp);
+    }
+}
+
+/**
+ * Sévérité la plus haute d'une liste de raisons, null si la liste est vide
+ * @param {Object[]} reasons - Raisons produites par le moteur de règles
+ */
+export function highestSeverity(reasons) {
+    return reasons.reduce((highest, reason) =>
+        SEVERITIES.indexOf(reason.severity) > SEVERITIES.indexOf(highest) ? reason.severity : highest, null);
+}
+
+/**
+ * Raisons sur une ligne : `id [sévérité]`
+ */
+export function formatReasons(reasons = []) {
+    return reasons.map(reason => typeof reason === 'string' ? reason : `${reason.id} [${reason.severity}]`).join(', ');
+}
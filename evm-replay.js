@@ -0,0 +1,434 @@
+import { createWriteStream } from 'fs';
+import { once } from 'events';
+import path from 'path';
+import { createEVM } from '@ethereumjs/evm';
+import { Common, Mainnet, createCustomCommon } from '@ethereumjs/common';
+import { createAccount, createAddressFromString, hexToBytes, bytesToHex, bigIntToBytes, setLengthLeft } from '@ethereumjs/util';
+import { normalizeSlot } from './known-slots.js';
+
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const ZERO_WORD = '0x' + '0'.repeat(64);
+// Précompilés : jamais présents dans le pré-état, rien à charger
+const MAX_PRECOMPILE = 0x100n;
+
+// Opcodes qui lisent un autre compte : position de l'adresse depuis le sommet de la pile
+const ACCOUNT_OPERAND = {
+    BALANCE: 0,
+    EXTCODESIZE: 0,
+    EXTCODECOPY: 0,
+    EXTCODEHASH: 0,
+    CALL: 1,
+    CALLCODE: 1,
+    DELEGATECALL: 1,
+    STATICCALL: 1,
+    SELFDESTRUCT: 0
+};
+
+/**
+ * Spécification de surcharge de stockage invalide (`<adresse>:<slot>=<valeur>`)
+ */
+export class ReplayError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReplayError';
+    }
+}
+
+/**
+ * Lit une surcharge de stockage `<adresse>:<slot>=<valeur>`, slot et valeur en hexadécimal ou en décimal
+ * @param {string} spec - Surcharge passée en ligne de commande
+ */
+export function parseStorageOverride(spec) {
+    const match = /^(0x[0-9a-fA-F]{40}):(0x[0-9a-fA-F]{1,64}|\d+)=(0x[0-9a-fA-F]{1,64}|\d+)$/.exec(spec);
+    if (!match) {
+        throw new ReplayError(`Surcharge de stockage invalide : "${spec}" (<adresse>:<slot>=<valeur> attendu)`);
+    }
+    return { address: match[1], slot: normalizeSlot(match[2]), value: normalizeSlot(match[3]) };
+}
+
+const toWord = value => normalizeSlot(value ?? ZERO_WORD);
+const toKey = value => setLengthLeft(bigIntToBytes(BigInt(value)), 32);
+const stackAddress = (stack, position) => '0x' + (stack[stack.length - 1 - position] & ((1n << 160n) - 1n)).toString(16).padStart(40, '0');
+
+/**
+ * Rejoue la transaction de hack dans un EVM JavaScript (@ethereumjs/evm), sans nœud pendant l'exécution.
+ *
+ * Le pré-état vient du prestateTracer (debug_traceTransaction), qui liste exactement les comptes et
+ * slots lus par la transaction. Un compte ou un slot lu hors de ce pré-état (scénario qui change le
+ * chemin d'exécution, nœud sans API debug) est chargé au bloc précédent puis la transaction est
+ * rejouée, jusqu'à ce que plus rien ne manque. Avec --record, tout ce pré-état est enregistré dans le
+ * bundle et l'analyse se rejoue ensuite hors ligne (--replay).
+ *
+ * Chaque scénario modifie l'appelant et/ou des slots de stockage avant l'exécution ; le résultat
+ * indique si l'attaque réussit encore (exécution sans revert et gain pour l'attaquant) et quels soldes
+ * changent, en natif (hors frais de gas) et en tokens ERC-20.
+ */
+export class EvmReplay {
+    /**
+     * @param {Object} analyzer - SmartContractAnalyzer
+     * @param {Object} options
+     * @param {number} options.maxRounds - Exécutions au plus par scénario pour compléter le pré-état
+     * @param {string|null} options.traceDir - Dossier des traces opcode par opcode (JSON lines), aucune si null
+     */
+    constructor(analyzer, { maxRounds = 8, traceDir = null } = {}) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.maxRounds = maxRounds;
+        this.traceDir = traceDir;
+        this.accounts = new Map();
+        this.fetched = 0;
+    }
+
+    /**
+     * @param {string} txHash - Transaction rejouée
+     * @param {Object} options
+     * @param {Object[]} options.scenarios - `{ id, description, caller, storage: [{ address, slot, value }] }`
+     * @param {string|null} options.victim - Contrat victime, jamais compté parmi les adresses de l'attaquant
+     * @param {string|null} options.suspect - Adresse suspecte
+     */
+    async replay(txHash, { scenarios = [], victim = null, suspect = null } = {}) {
+        const context = await this.load(txHash);
+        const prestate = await this.capturePrestate(txHash);
+        if (prestate) {
+            Object.entries(prestate).forEach(([address, account]) => this.addAccount(address, account));
+        }
+        const common = this.createCommon(context);
+
+        const runs = [];
+        for (const scenario of [{ id: 'baseline', description: 'Transaction d\'origine' }, ...scenarios]) {
+            console.log(`🧪 Scénario ${scenario.id}...`);
+            runs.push(await this.runScenario(common, context, scenario, { victim, suspect }));
+        }
+
+        const [baseline] = runs;
+        baseline.faithful = baseline.success === context.status && baseline.logCount === context.logCount;
+        for (const run of runs.slice(1)) {
+            run.mitigated = baseline.attackSucceeded && !run.attackSucceeded;
+            run.differences = this.compareBalances(baseline.balanceChanges, run.balanceChanges);
+        }
+
+        return {
+            transaction: {
+                hash: txHash,
+                from: context.from,
+                to: context.to,
+                blockNumber: context.blockNumber,
+                transactionIndex: context.transactionIndex,
+                status: context.status,
+                gasUsed: context.gasUsed
+            },
+            chainId: context.chainId,
+            hardfork: common.hardfork(),
+            prestate: {
+                source: prestate ? 'prestate' : 'node',
+                accounts: this.accounts.size,
+                fetched: this.fetched,
+                // Lu au bloc précédent : les transactions antérieures du même bloc ne sont pas prises en compte
+                approximate: this.fetched > 0 && context.transactionIndex > 0
+            },
+            runs
+        };
+    }
+
+    async load(txHash) {
+        const tx = await this.web3.eth.getTransaction(txHash);
+        const receipt = await this.web3.eth.getTransactionReceipt(txHash);
+        const block = await this.web3.eth.getBlock(receipt.blockNumber);
+        return {
+            hash: txHash,
+            chainId: this.analyzer.chain.id,
+            from: tx.from,
+            to: tx.to || null,
+            input: tx.input || tx.data || '0x',
+            value: BigInt(tx.value),
+            gas: BigInt(tx.gas),
+            gasPrice: BigInt(tx.gasPrice ?? 0),
+            accessList: tx.accessList || [],
+            blockNumber: Number(receipt.blockNumber),
+            transactionIndex: Number(receipt.transactionIndex),
+            status: Number(receipt.status) === 1,
+            gasUsed: Number(receipt.gasUsed),
+            logCount: receipt.logs.length,
+            block: {
+                number: BigInt(block.number),
+                timestamp: BigInt(block.timestamp),
+                coinbase: block.miner,
+                difficulty: BigInt(block.difficulty ?? 0),
+                prevRandao: block.mixHash || ZERO_WORD,
+                gasLimit: BigInt(block.gasLimit),
+                baseFeePerGas: block.baseFeePerGas !== undefined ? BigInt(block.baseFeePerGas) : undefined
+            }
+        };
+    }
+
+    /**
+     * Pré-état complet (sans diffMode) : solde, nonce, code et slots lus de chaque compte touché
+     */
+    async capturePrestate(txHash) {
+        try {
+            const result = await this.web3.requestManager.send({
+                method: 'debug_traceTransaction',
+                params: [txHash, { tracer: 'prestateTracer' }]
+            });
+            return result && typeof result === 'object' ? result : null;
+        } catch (error) {
+            console.warn('⚠️  Pré-état indisponible (prestateTracer), chargement compte par compte depuis le nœud:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Règles de la chaîne au bloc du hack ; hors Ethereum, le calendrier des hardforks d'Ethereum est appliqué
+     */
+    createCommon({ chainId, block }) {
+        const common = chainId === 1
+            ? new Common({ chain: Mainnet })
+            : createCustomCommon({ chainId, name: `chain-${chainId}` }, Mainnet);
+        common.setHardforkBy({ blockNumber: block.number, timestamp: block.timestamp });
+        return common;
+    }
+
+    addAccount(address, { balance = '0x0', nonce = 0, code = '0x', storage = {} } = {}) {
+        const key = address.toLowerCase();
+        const existing = this.accounts.get(key);
+        const slots = Object.fromEntries(Object.entries(storage).map(([slot, value]) => [normalizeSlot(slot), toWord(value)]));
+        this.accounts.set(key, existing
+            ? { ...existing, storage: { ...existing.storage, ...slots } }
+            : { balance: BigInt(balance), nonce: BigInt(nonce), code: code || '0x', storage: slots });
+    }
+
+    /**
+     * Comptes et slots lus pendant une exécution mais absents du pré-état, chargés au bloc précédent
+     */
+    async fetchMissing({ accounts, slots }, blockNumber) {
+        const block = blockNumber - 1;
+        for (const address of accounts) {
+            const [balance, nonce, code] = await Promise.all([
+                this.web3.eth.getBalance(address, block),
+                this.web3.eth.getTransactionCount(address, block),
+                this.web3.eth.getCode(address, block)
+            ]);
+            this.addAccount(address, { balance, nonce, code });
+            this.fetched++;
+        }
+        for (const { address, slot } of slots) {
+            if (!this.accounts.has(address)) {
+                await this.fetchMissing({ accounts: [address], slots: [] }, blockNumber);
+            }
+            const value = await this.web3.eth.getStorageAt(address, slot, block);
+            this.accounts.get(address).storage[slot] = toWord(value);
+            this.fetched++;
+        }
+    }
+
+    async runScenario(common, context, scenario, { victim, suspect }) {
+        // Appelant et destinataire : sans pré-état, aucun opcode ne les signale comme manquants
+        const entryPoints = [scenario.caller || context.from, context.to]
+            .filter(address => address && !this.accounts.has(address.toLowerCase()))
+            .map(address => address.toLowerCase());
+        await this.fetchMissing({ accounts: entryPoints, slots: [] }, context.blockNumber);
+
+        let execution;
+        let rounds = 0;
+        while (rounds < this.maxRounds) {
+            rounds++;
+            execution = await this.execute(common, context, scenario);
+            if (!execution.missing.accounts.length && !execution.missing.slots.length) break;
+            console.log(`  - ${execution.missing.accounts.length} compte(s) et ${execution.missing.slots.length} slot(s) hors du pré-état, rejeu ${rounds + 1}`);
+            await this.fetchMissing(execution.missing, context.blockNumber);
+        }
+
+        const { result, evm, trace, created, missing } = execution;
+        const success = result.execResult.exceptionError === undefined;
+        const caller = scenario.caller || context.from;
+        const balanceChanges = await this.balanceChanges(evm, result, { touched: trace.touched, success });
+
+        const attackers = new Set([caller, context.from, suspect, context.to, ...created]
+            .filter(Boolean)
+            .map(address => address.toLowerCase())
+            .filter(address => address !== victim?.toLowerCase()));
+        const attackerGains = balanceChanges.filter(change => attackers.has(change.address.toLowerCase()) && BigInt(change.delta) > 0n);
+
+        delete trace.touched;
+        return {
+            id: scenario.id,
+            description: scenario.description,
+            patches: { caller: scenario.caller || null, storage: scenario.storage || [] },
+            success,
+            error: success ? null : result.execResult.exceptionError.error,
+            executionGas: Number(result.execResult.executionGasUsed),
+            logCount: success ? (result.execResult.logs || []).length : 0,
+            rounds,
+            unresolved: missing,
+            createdContracts: created,
+            balanceChanges,
+            attackerGains,
+            attackSucceeded: success && attackerGains.length > 0,
+            trace
+        };
+    }
+
+    /**
+     * Une exécution sur un état neuf : pré-état connu, surcharges du scénario, puis l'appel de la transaction
+     */
+    async execute(common, context, scenario) {
+        const evm = await createEVM({ common });
+        const state = evm.stateManager;
+        for (const [address, account] of this.accounts) {
+            const target = createAddressFromString(address);
+            await state.putAccount(target, createAccount({ balance: account.balance, nonce: account.nonce }));
+            if (account.code !== '0x') await state.putCode(target, hexToBytes(account.code));
+            for (const [slot, value] of Object.entries(account.storage)) {
+                if (BigInt(value) !== 0n) await state.putStorage(target, toKey(slot), hexToBytes(value));
+            }
+        }
+
+        const overridden = new Set();
+        for (const { address, slot, value } of scenario.storage || []) {
+            const target = createAddressFromString(address);
+            if (!await state.getAccount(target)) await state.putAccount(target, createAccount({}));
+            await state.putStorage(target, toKey(slot), hexToBytes(toWord(value)));
+            overridden.add(`${address.toLowerCase()}:${normalizeSlot(slot)}`);
+        }
+
+        const trace = { steps: 0, opcodes: {}, calls: [], storageWrites: [], file: null, touched: new Set() };
+        const missing = { accounts: new Set(), slots: new Map() };
+        const created = [];
+        const known = address => this.accounts.has(address) || created.includes(address) || BigInt(address) < MAX_PRECOMPILE;
+        const stream = this.traceDir
+            ? createWriteStream(path.join(this.traceDir, `replay_${context.hash.slice(2, 10)}_${scenario.id}.trace.jsonl`))
+            : null;
+
+        evm.events.on('newContract', ({ address }, resolve) => {
+            created.push(address.toString().toLowerCase());
+            resolve?.();
+        });
+        evm.events.on('step', (step, resolve) => {
+            const op = step.opcode.name;
+            const address = step.address.toString().toLowerCase();
+            const { stack } = step;
+            trace.steps++;
+            trace.opcodes[op] = (trace.opcodes[op] || 0) + 1;
+            trace.touched.add(address);
+
+            if (op in ACCOUNT_OPERAND) {
+                const target = stackAddress(stack, ACCOUNT_OPERAND[op]);
+                trace.touched.add(target);
+                if (!known(target)) missing.accounts.add(target);
+                if (op !== 'BALANCE' && !op.startsWith('EXTCODE')) {
+                    const value = op === 'CALL' || op === 'CALLCODE' ? stack[stack.length - 3].toString() : null;
+                    trace.calls.push({ depth: step.depth, op, from: address, to: op === 'SELFDESTRUCT' ? null : target, beneficiary: op === 'SELFDESTRUCT' ? target : null, value });
+                }
+            } else if (op === 'CREATE' || op === 'CREATE2') {
+                trace.calls.push({ depth: step.depth, op, from: address, to: null, beneficiary: null, value: stack[stack.length - 1].toString() });
+            } else if (op === 'SLOAD') {
+                const slot = normalizeSlot(stack[stack.length - 1]);
+                const key = `${address}:${slot}`;
+                if (!overridden.has(key) && !created.includes(address) && this.accounts.get(address)?.storage[slot] === undefined) {
+                    missing.slots.set(key, { address, slot });
+                }
+            } else if (op === 'SSTORE') {
+                trace.storageWrites.push({ depth: step.depth, address, slot: normalizeSlot(stack[stack.length - 1]), value: normalizeSlot(stack[stack.length - 2]) });
+            }
+
+            if (!stream) return resolve?.();
+            const line = JSON.stringify({ depth: step.depth, address, pc: step.pc, op, gas: step.gasLeft.toString(), stack: stack.slice(-4).map(item => '0x' + item.toString(16)) });
+            if (stream.write(line + '\n')) return resolve?.();
+            once(stream, 'drain').then(() => resolve?.());
+        });
+
+        const caller = createAddressFromString(scenario.caller || context.from);
+        trace.touched.add(caller.toString().toLowerCase());
+        const result = await evm.runCall({
+            caller,
+            origin: caller,
+            to: context.to ? createAddressFromString(context.to) : undefined,
+            data: hexToBytes(context.input),
+            value: context.value,
+            gasLimit: context.gas - this.intrinsicGas(context),
+            gasPrice: context.gasPrice,
+            skipBalance: true,
+            block: {
+                header: {
+                    ...context.block,
+                    coinbase: createAddressFromString(context.block.coinbase),
+                    prevRandao: hexToBytes(context.block.prevRandao),
+                    getBlobGasPrice: () => 1n
+                }
+            }
+        });
+
+        if (stream) {
+            stream.end();
+            await once(stream, 'finish');
+            trace.file = stream.path;
+        }
+        return {
+            evm,
+            result,
+            trace,
+            created,
+            missing: { accounts: [...missing.accounts], slots: [...missing.slots.values()] }
+        };
+    }
+
+    /**
+     * Gas intrinsèque (EIP-2028, EIP-2930) : il n'est pas exécuté par runCall et est retiré de la limite
+     */
+    intrinsicGas({ to, input, accessList }) {
+        const data = hexToBytes(input);
+        let gas = 21000n + data.reduce((total, byte) => total + (byte === 0 ? 4n : 16n), 0n);
+        if (!to) gas += 32000n + 2n * BigInt(Math.ceil(data.length / 32));
+        for (const { storageKeys = [] } of accessList) {
+            gas += 2400n + 1900n * BigInt(storageKeys.length);
+        }
+        return gas;
+    }
+
+    /**
+     * Variations de solde natif des comptes touchés (hors frais de gas, non prélevés) et
+     * variations ERC-20 déduites des événements Transfer de l'exécution
+     */
+    async balanceChanges(evm, result, { touched, success }) {
+        const changes = [];
+        if (!success) return changes;
+
+        for (const address of touched) {
+            if (BigInt(address) < MAX_PRECOMPILE) continue;
+            const before = this.accounts.get(address)?.balance ?? 0n;
+            const after = (await evm.stateManager.getAccount(createAddressFromString(address)))?.balance ?? 0n;
+            if (after !== before) changes.push({ address, asset: 'native', delta: (after - before).toString() });
+        }
+
+        const tokens = new Map();
+        for (const [emitter, topics, data] of result.execResult.logs || []) {
+            // ERC-721 indexe aussi le montant (4 topics) : seuls les transferts ERC-20 sont comptés
+            if (topics.length !== 3 || bytesToHex(topics[0]) !== TRANSFER_TOPIC) continue;
+            const token = bytesToHex(emitter).toLowerCase();
+            const amount = data.length ? BigInt(bytesToHex(data)) : 0n;
+            const [from, to] = [topics[1], topics[2]].map(topic => '0x' + bytesToHex(topic).slice(-40));
+            for (const [holder, delta] of [[from, -amount], [to, amount]]) {
+                const key = `${token}:${holder}`;
+                tokens.set(key, (tokens.get(key) || 0n) + delta);
+            }
+        }
+        for (const [key, delta] of tokens) {
+            const [asset, address] = key.split(':');
+            if (delta !== 0n) changes.push({ address, asset, delta: delta.toString() });
+        }
+        return changes;
+    }
+
+    /**
+     * Écarts de solde d'un scénario par rapport à la transaction d'origine
+     */
+    compareBalances(baseline, scenario) {
+        const key = change => `${change.asset}:${change.address}`;
+        const deltas = new Map(baseline.map(change => [key(change), { address: change.address, asset: change.asset, baseline: change.delta, scenario: '0' }]));
+        for (const change of scenario) {
+            const entry = deltas.get(key(change)) || { address: change.address, asset: change.asset, baseline: '0' };
+            deltas.set(key(change), { ...entry, scenario: change.delta });
+        }
+        return [...deltas.values()].filter(entry => entry.baseline !== entry.scenario);
+    }
+}
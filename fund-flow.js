@@ -0,0 +1,338 @@
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const TRANSFER_SINGLE_TOPIC = '0xc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62';
+const TRANSFER_BATCH_TOPIC = '0x4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb';
+const VALUE_CALL_TYPES = ['CALL', 'CREATE', 'CREATE2', 'SELFDESTRUCT'];
+
+/**
+ * Formate un montant brut selon ses décimales, sans perte de précision
+ * @param {string|bigint} raw - Montant en plus petite unité
+ * @param {number} decimals - Nombre de décimales du token
+ */
+export function formatUnits(raw, decimals = 18) {
+    const value = BigInt(raw);
+    const negative = value < 0n;
+    const absolute = negative ? -value : value;
+    const base = 10n ** BigInt(decimals);
+    const fraction = (absolute % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+    return `${negative ? '-' : ''}${absolute / base}${fraction ? '.' + fraction : ''}`;
+}
+
+/**
+ * Suit les fonds sortis par la transaction de hack puis, saut par saut,
+ * les transferts sortants des adresses qui les ont reçus :
+ * transferts natifs, appels internes avec valeur et transferts ERC-20/721/1155.
+ */
+export class FundFlowTracer {
+    constructor(analyzer, { hops = 3, windowSeconds = 72 * 3600, maxAddressesPerHop = 25, maxItemsPerList = 1000 } = {}) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.explorer = analyzer.explorer;
+        this.hops = hops;
+        this.windowSeconds = windowSeconds;
+        this.maxAddressesPerHop = maxAddressesPerHop;
+        this.maxItemsPerList = maxItemsPerList;
+        this.tokens = new Map();
+        this.edges = [];
+        this.edgeKeys = new Set();
+    }
+
+    async trace({ hackDetails, victimContract, suspectAddress }) {
+        const { transaction, receipt, callTree, logs } = hackDetails;
+        const block = await this.web3.eth.getBlock(receipt.blockNumber);
+        const startTimestamp = Number(block.timestamp);
+        const endTimestamp = startTimestamp + this.windowSeconds;
+        const endBlock = await this.windowEndBlock(endTimestamp);
+
+        await this.collectHackTransfers({ transaction, receipt, callTree, logs, timestamp: startTimestamp });
+
+        // Seuls l'attaquant et les destinataires directs des fonds de la victime ou de l'attaquant sont suivis :
+        // les pools, routeurs et prêteurs traversés par la transaction ont un historique sans fin
+        const victim = victimContract?.toLowerCase();
+        const sources = new Set([victim, suspectAddress?.toLowerCase()].filter(Boolean));
+        const recipients = this.edges.filter(edge => sources.has(edge.from.toLowerCase())).map(edge => edge.to);
+        const attackerSide = new Set([suspectAddress, ...recipients]
+            .filter(Boolean)
+            .map(address => address.toLowerCase())
+            .filter(address => address !== victim));
+        const visited = new Set(attackerSide);
+        let frontier = [...attackerSide];
+
+        for (let hop = 1; hop <= this.hops && frontier.length; hop++) {
+            console.log(`💸 Saut ${hop}/${this.hops} : ${frontier.length} adresse(s) à suivre...`);
+            const next = new Set();
+
+            for (const address of frontier.slice(0, this.maxAddressesPerHop)) {
+                const outgoing = await this.collectOutgoingTransfers(address, {
+                    hop,
+                    startBlock: receipt.blockNumber,
+                    endBlock,
+                    startTimestamp,
+                    endTimestamp
+                });
+                for (const edge of outgoing) {
+                    const recipient = edge.to.toLowerCase();
+                    if (!visited.has(recipient) && recipient !== victim) next.add(recipient);
+                }
+            }
+
+            if (frontier.length > this.maxAddressesPerHop) {
+                console.warn(`⚠️  ${frontier.length - this.maxAddressesPerHop} adresse(s) non suivies au saut ${hop} (limite ${this.maxAddressesPerHop})`);
+            }
+            next.forEach(address => visited.add(address));
+            frontier = [...next];
+        }
+
+        return {
+            parameters: {
+                hops: this.hops,
+                windowSeconds: this.windowSeconds,
+                startBlock: receipt.blockNumber,
+                endBlock,
+                startTimestamp: new Date(startTimestamp * 1000).toISOString()
+            },
+            nodes: this.buildNodes(),
+            edges: this.edges,
+            summary: this.buildSummary(attackerSide)
+        };
+    }
+
+    /**
+     * Dernier bloc de la fenêtre de suivi ; une fenêtre pas encore écoulée s'arrête au dernier bloc
+     */
+    async windowEndBlock(endTimestamp) {
+        if (endTimestamp * 1000 < Date.now()) {
+            try {
+                const block = await this.explorer.getBlockNumberByTime(endTimestamp);
+                if (block !== null) return block;
+            } catch (error) {
+                console.warn('⚠️  Bloc de fin de la fenêtre de suivi introuvable:', error.message);
+            }
+        }
+        return Number(await this.web3.eth.getBlockNumber());
+    }
+
+    async collectHackTransfers({ transaction, receipt, callTree, logs, timestamp }) {
+        const base = { hop: 0, txHash: receipt.transactionHash, blockNumber: receipt.blockNumber, timestamp };
+        const native = await this.getToken(null);
+
+        const rootValue = BigInt(this.web3.utils.toWei(String(transaction.value), 'ether'));
+        if (rootValue > 0n && transaction.to) {
+            this.addEdge({ ...base, kind: 'native', from: transaction.from, to: transaction.to, token: native, amount: rootValue });
+        }
+
+        const walk = node => {
+            if (!node) return;
+            if (node.depth > 0 && VALUE_CALL_TYPES.includes(node.type) && BigInt(node.value) > 0n && node.to) {
+                this.addEdge({ ...base, kind: 'internal', from: node.from, to: node.to, token: native, amount: BigInt(node.value), path: node.path });
+            }
+            node.calls.forEach(walk);
+        };
+        walk(callTree);
+
+        for (const log of logs) {
+            for (const transfer of this.decodeTransferLog(log)) {
+                const token = await this.getToken(log.address, transfer.standard);
+                this.addEdge({ ...base, ...transfer, token, logIndex: log.logIndex });
+            }
+        }
+    }
+
+    decodeTransferLog(log) {
+        const topic = log.topics?.[0]?.toLowerCase();
+        const address = index => '0x' + log.topics[index].slice(26);
+
+        if (topic === TRANSFER_TOPIC && log.topics.length === 3) {
+            return [{ kind: 'erc20', standard: 'erc20', from: address(1), to: address(2), amount: BigInt(log.data) }];
+        }
+        if (topic === TRANSFER_TOPIC && log.topics.length === 4) {
+            return [{ kind: 'erc721', standard: 'erc721', from: address(1), to: address(2), amount: 1n, tokenId: BigInt(log.topics[3]).toString() }];
+        }
+        if (topic === TRANSFER_SINGLE_TOPIC) {
+            const { 0: id, 1: value } = this.web3.eth.abi.decodeParameters(['uint256', 'uint256'], log.data);
+            return [{ kind: 'erc1155', standard: 'erc1155', from: address(2), to: address(3), amount: BigInt(value), tokenId: id.toString() }];
+        }
+        if (topic === TRANSFER_BATCH_TOPIC) {
+            const { 0: ids, 1: values } = this.web3.eth.abi.decodeParameters(['uint256[]', 'uint256[]'], log.data);
+            return ids.map((id, index) => ({
+                kind: 'erc1155', standard: 'erc1155', from: address(2), to: address(3), amount: BigInt(values[index]), tokenId: id.toString()
+            }));
+        }
+        return [];
+    }
+
+    async collectOutgoingTransfers(address, { hop, startBlock, endBlock, startTimestamp, endTimestamp }) {
+        const inWindow = item => {
+            const timestamp = Number(item.timeStamp);
+            return timestamp >= startTimestamp && timestamp <= endTimestamp;
+        };
+        const isOutgoing = item => item.from?.toLowerCase() === address && item.to && item.isError !== '1';
+        // Listes bornées à la fenêtre et en nombre : la pagination s'arrête au bloc de fin
+        const options = { startBlock, endBlock, limit: this.maxItemsPerList };
+        const bounded = (items, action) => {
+            if (items.length >= this.maxItemsPerList) {
+                console.warn(`⚠️  ${action} de ${address} limité aux ${this.maxItemsPerList} premières entrées de la fenêtre`);
+            }
+            return items;
+        };
+        const native = await this.getToken(null);
+        const added = [];
+        const add = edge => {
+            const stored = this.addEdge(edge);
+            if (stored) added.push(stored);
+        };
+
+        try {
+            const [transactions, internals] = await Promise.all([
+                this.explorer.getTransactions(address, options),
+                this.explorer.getInternalTransactionsByAddress(address, options)
+            ]);
+
+            for (const [kind, items] of [['native', bounded(transactions, 'txlist')], ['internal', bounded(internals, 'txlistinternal')]]) {
+                for (const item of items.filter(item => isOutgoing(item) && inWindow(item) && BigInt(item.value) > 0n)) {
+                    add({ kind, hop, from: item.from, to: item.to, token: native, amount: BigInt(item.value), ...this.itemContext(item) });
+                }
+            }
+
+            for (const standard of ['erc20', 'erc721', 'erc1155']) {
+                const transfers = bounded(await this.explorer.getTokenTransfers(address, { standard, ...options }), standard);
+                for (const item of transfers.filter(item => isOutgoing(item) && inWindow(item))) {
+                    const token = await this.getToken(item.contractAddress, standard, item);
+                    add({
+                        kind: standard,
+                        hop,
+                        from: item.from,
+                        to: item.to,
+                        token,
+                        amount: BigInt(standard === 'erc721' ? 1 : standard === 'erc1155' ? item.tokenValue : item.value),
+                        tokenId: item.tokenID ?? null,
+                        ...this.itemContext(item)
+                    });
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️  Transferts sortants de ${address} indisponibles:`, error.message);
+        }
+
+        return added;
+    }
+
+    itemContext(item) {
+        return {
+            txHash: item.hash,
+            blockNumber: Number(item.blockNumber),
+            timestamp: Number(item.timeStamp)
+        };
+    }
+
+    addEdge({ kind, hop, from, to, token, amount, tokenId = null, txHash, blockNumber, timestamp, logIndex = null, path = null }) {
+        const key = [txHash, kind, from, to, token.address, amount, tokenId, logIndex, path].join('|').toLowerCase();
+        if (this.edgeKeys.has(key)) return null;
+        this.edgeKeys.add(key);
+
+        const edge = {
+            hop,
+            kind,
+            from: this.analyzer.web3.utils.toChecksumAddress(from),
+            to: this.analyzer.web3.utils.toChecksumAddress(to),
+            token: { address: token.address, symbol: token.symbol, decimals: token.decimals, standard: token.standard },
+            amount: amount.toString(),
+            formattedAmount: formatUnits(amount, token.decimals),
+            tokenId,
+            txHash,
+            blockNumber,
+            timestamp: new Date(timestamp * 1000).toISOString()
+        };
+        this.edges.push(edge);
+        return edge;
+    }
+
+    async getToken(address, standard = 'erc20', explorerItem = null) {
+        const key = address ? address.toLowerCase() : 'native';
+        if (this.tokens.has(key)) return this.tokens.get(key);
+
+        let token;
+        if (!address) {
+            token = { address: null, symbol: this.analyzer.chain.nativeSymbol, decimals: 18, standard: 'native' };
+        } else if (explorerItem?.tokenSymbol) {
+            token = {
+                address,
+                symbol: explorerItem.tokenSymbol,
+                decimals: standard === 'erc20' ? Number(explorerItem.tokenDecimal || 0) : 0,
+                standard
+            };
+        } else {
+            token = {
+                address,
+                symbol: await this.callToken(address, '0x95d89b41', 'string') ?? '???',
+                decimals: standard === 'erc20' ? Number(await this.callToken(address, '0x313ce567', 'uint8') ?? 18) : 0,
+                standard
+            };
+        }
+
+        this.tokens.set(key, token);
+        return token;
+    }
+
+    async callToken(address, selector, type) {
+        try {
+            const result = await this.web3.eth.call({ to: address, data: selector });
+            return this.web3.eth.abi.decodeParameter(type, result);
+        } catch {
+            return null;
+        }
+    }
+
+    buildNodes() {
+        const nodes = new Map();
+        const node = address => {
+            const key = address.toLowerCase();
+            if (!nodes.has(key)) nodes.set(key, { address, firstHop: Infinity, received: 0, sent: 0 });
+            return nodes.get(key);
+        };
+
+        for (const edge of this.edges) {
+            const sender = node(edge.from);
+            const recipient = node(edge.to);
+            sender.sent++;
+            recipient.received++;
+            recipient.firstHop = Math.min(recipient.firstHop, edge.hop);
+            sender.firstHop = Math.min(sender.firstHop, edge.hop);
+        }
+        return [...nodes.values()];
+    }
+
+    /**
+     * Par token : montant volé (transferts de la transaction de hack vers le camp de l'attaquant)
+     * et adresses où les fonds reposent en fin de traçage (solde net positif).
+     */
+    buildSummary(attackerSide) {
+        const summary = new Map();
+
+        for (const edge of this.edges) {
+            const key = edge.token.address?.toLowerCase() ?? 'native';
+            if (!summary.has(key)) summary.set(key, { token: edge.token, stolen: 0n, balances: new Map() });
+            const entry = summary.get(key);
+            const amount = BigInt(edge.amount);
+
+            if (edge.hop === 0 && attackerSide.has(edge.to.toLowerCase()) && !attackerSide.has(edge.from.toLowerCase())) {
+                entry.stolen += amount;
+            }
+            entry.balances.set(edge.to, (entry.balances.get(edge.to) || 0n) + amount);
+            entry.balances.set(edge.from, (entry.balances.get(edge.from) || 0n) - amount);
+        }
+
+        return [...summary.values()].map(({ token, stolen, balances }) => ({
+            token,
+            stolen: stolen.toString(),
+            formattedStolen: formatUnits(stolen, token.decimals),
+            finalHolders: [...balances.entries()]
+                .filter(([, balance]) => balance > 0n)
+                .sort(([, a], [, b]) => (b > a ? 1 : b < a ? -1 : 0))
+                .map(([address, balance]) => ({
+                    address,
+                    amount: balance.toString(),
+                    formattedAmount: formatUnits(balance, token.decimals)
+                }))
+        }));
+    }
+}
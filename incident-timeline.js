@@ -0,0 +1,369 @@
+import { formatDecodedCall } from './abi-decoder.js';
+import { flattenCallTree } from './call-tracer.js';
+import { highestSeverity } from './detection-rules.js';
+import { describeAccessChange } from './access-control.js';
+import { reportStrings } from './report-strings.js';
+
+export const TIMELINE_COLUMNS = ['position', 'blockNumber', 'timestamp', 'txIndex', 'txHash', 'logIndex', 'kind', 'actor', 'actorLabel', 'target', 'targetLabel', 'description', 'severity'];
+
+// Dans une transaction : l'appel, ses appels internes, les logs, les transferts suivis puis l'état final
+const PHASES = { funding: 0, deployment: 0, upgrade: 0, 'access-change': 0, transaction: 0, 'internal-call': 1, event: 2, transfer: 3, 'state-change': 4 };
+
+const toIso = timestamp => new Date(Number(timestamp) * 1000).toISOString();
+
+const formatParams = params => params
+    .map(param => `${param.name}=${typeof param.value === 'object' ? JSON.stringify(param.value) : param.value}`)
+    .join(', ');
+
+/**
+ * Chronologie unique de l'incident : financement et déploiements de l'attaquant,
+ * changements du proxy et des droits d'accès, transactions sur la victime, appels internes, logs et diff d'état
+ * de la transaction de hack, transferts suivis par le flux de fonds.
+ *
+ * Chaque événement porte son bloc, son horodatage, sa position dans le bloc et son acteur ;
+ * les blocs et horodatages manquants sont complétés par RPC. Les descriptions sont rédigées
+ * dans la langue du rapport.
+ */
+export class TimelineBuilder {
+    /**
+     * @param {SmartContractAnalyzer} analyzer
+     * @param {Object} options
+     * @param {string} options.language - Langue des descriptions (`fr`, `en`)
+     */
+    constructor(analyzer, { language = 'fr' } = {}) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.strings = reportStrings(language);
+        this.blocks = new Map();
+        this.transactions = new Map();
+    }
+
+    /**
+     * @param {Object} report - Rapport analysé (après labelReport pour les étiquettes)
+     * @param {Object} options
+     * @param {number|null} options.window - Blocs gardés de part et d'autre du bloc du hack, tous si null
+     * @returns {{ parameters: Object, events: Object[] }}
+     */
+    async build(report, { window = null } = {}) {
+        const events = this.dedupe([
+            ...this.attackerEvents(report.attackerProfile),
+            ...this.upgradeEvents(report.upgradeHistory, report.victimContract),
+            ...this.accessEvents(report.victimAnalysis?.accessControl),
+            ...this.transactionEvents(report),
+            ...this.hackEvents(report.hackDetails),
+            ...this.transferEvents(report.fundFlow)
+        ]);
+
+        await this.resolveTimes(events);
+
+        const hackBlock = report.hackDetails?.receipt.blockNumber ?? null;
+        let fromBlock = null;
+        let toBlock = null;
+        let kept = events;
+        if (window !== null) {
+            if (hackBlock === null) {
+                console.warn('⚠️  Fenêtre de chronologie ignorée : pas de transaction de hack analysée');
+            } else {
+                fromBlock = Math.max(hackBlock - window, 0);
+                toBlock = hackBlock + window;
+                // Un événement sans bloc connu ne peut pas être placé dans la fenêtre
+                kept = events.filter(event => event.blockNumber !== null && event.blockNumber >= fromBlock && event.blockNumber <= toBlock);
+            }
+        }
+
+        kept.sort((a, b) => this.compare(a, b));
+        return {
+            parameters: { hackBlock, window, fromBlock, toBlock, total: events.length },
+            events: kept.map((event, index) => this.finalize(event, index + 1, report.labels || {}))
+        };
+    }
+
+    event(kind, fields) {
+        return {
+            kind,
+            blockNumber: null,
+            timestamp: null,
+            txIndex: null,
+            txHash: null,
+            logIndex: null,
+            order: 0,
+            actor: null,
+            target: null,
+            description: '',
+            severity: null,
+            ...fields
+        };
+    }
+
+    attackerEvents(profile) {
+        if (!profile) return [];
+        const t = this.strings.events;
+        return [
+            ...(profile.funding || []).map(funding => this.event('funding', {
+                blockNumber: funding.blockNumber,
+                timestamp: funding.timestamp,
+                txHash: funding.txHash,
+                actor: funding.funder,
+                target: funding.address,
+                description: `${t.funding} (${t.hop} ${funding.hop}, ${funding.kind})${this.strings.separator}${funding.value} ${t.native}`
+            })),
+            ...(profile.deployedContracts || []).map(contract => this.event('deployment', {
+                blockNumber: contract.blockNumber,
+                timestamp: contract.timestamp,
+                txHash: contract.txHash,
+                actor: contract.factory || profile.address,
+                target: contract.address,
+                description: `${t.attackerDeployment}${contract.via === 'factory' ? ` ${t.viaFactory}` : ''}${contract.destroyed ? ` (${t.destroyedSince})` : ''}`
+            }))
+        ];
+    }
+
+    upgradeEvents(changes, victimContract) {
+        const t = this.strings.events;
+        return (changes || []).map(change => this.event('upgrade', {
+            blockNumber: change.blockNumber,
+            txHash: change.transactionHash,
+            logIndex: change.logIndex,
+            actor: change.caller,
+            target: victimContract,
+            description: `${t.proxyChange} (${change.kind})${this.strings.separator}${change.oldValue ?? '?'} → ${change.newValue} (${t.source} ${change.source})`,
+            severity: change.kind === 'implementation' ? 'high' : 'medium'
+        }));
+    }
+
+    accessEvents(accessControl) {
+        return (accessControl?.changes || []).map(change => this.event('access-change', {
+            blockNumber: change.blockNumber,
+            timestamp: change.timestamp,
+            txHash: change.transactionHash,
+            logIndex: change.logIndex,
+            order: change.logIndex,
+            actor: change.sender || change.caller,
+            target: change.contract,
+            description: [describeAccessChange(change, this.strings.accessChanges), ...change.reason.map(reason => `[${reason.severity}] ${reason.id}`)].join(' — '),
+            severity: change.severity
+        }));
+    }
+
+    /**
+     * Transactions sur la victime et actions suspectes ; la transaction de hack est décrite par hackEvents
+     */
+    transactionEvents({ victimAnalysis, suspiciousActions, hackTransaction }) {
+        const hack = hackTransaction?.toLowerCase();
+        const t = this.strings.events;
+        return [...(victimAnalysis?.transactions || []), ...(suspiciousActions || [])]
+            .filter(tx => tx.hash?.toLowerCase() !== hack)
+            .map(tx => this.event('transaction', {
+                blockNumber: tx.blockNumber ?? null,
+                timestamp: tx.timestamp,
+                txIndex: tx.transactionIndex ?? null,
+                txHash: tx.hash,
+                actor: tx.from,
+                target: tx.to || tx.createdContract,
+                description: [
+                    tx.to ? (tx.decodedInput ? formatDecodedCall(tx.decodedInput) : tx.input?.slice(0, 10) || t.transfer) : t.deployment,
+                    ...(tx.reason || []).map(reason => `[${reason.severity}] ${reason.id}`)
+                ].join(' — '),
+                severity: tx.severity
+            }));
+    }
+
+    hackEvents(hackDetails) {
+        if (!hackDetails) return [];
+        const { transaction, receipt, callTree, logs, stateChanges, traces } = hackDetails;
+        const base = {
+            blockNumber: receipt.blockNumber,
+            txIndex: Number(receipt.transactionIndex),
+            txHash: receipt.transactionHash
+        };
+        const analyzedTraces = new Map((traces || []).map(trace => [trace.path, trace]));
+        const t = this.strings.events;
+
+        const events = [this.event('transaction', {
+            ...base,
+            actor: transaction.from,
+            target: transaction.to,
+            description: `${t.hackTransaction}${this.strings.separator}${callTree?.decodedInput ? formatDecodedCall(callTree.decodedInput) : transaction.input?.slice(0, 10)}`
+                + (Number(transaction.value) ? `, ${transaction.value} ${t.native}` : ''),
+            // La transaction de hack prend la sévérité la plus haute de ses appels internes
+            severity: highestSeverity((traces || []).flatMap(trace => trace.reason || []))
+        })];
+
+        flattenCallTree(callTree).filter(node => node.depth > 0).forEach((node, index) => {
+            const trace = analyzedTraces.get(node.path);
+            events.push(this.event('internal-call', {
+                ...base,
+                order: index,
+                actor: node.from,
+                target: node.to,
+                description: `${node.type} [${node.path}] ${node.decodedInput ? formatDecodedCall(node.decodedInput) : node.input.slice(0, 10)}`
+                    + (node.value && node.value !== '0' ? `, ${this.web3.utils.fromWei(node.value, 'ether')} ${t.native}` : '')
+                    + (node.error ? ` ✖ ${node.revertReason || node.error}` : ''),
+                severity: trace?.severity ?? null
+            }));
+        });
+
+        (logs || []).forEach(log => events.push(this.event('event', {
+            ...base,
+            logIndex: log.logIndex,
+            order: log.logIndex,
+            actor: log.address,
+            description: log.event ? `${log.event}(${formatParams(log.params)})` : `${t.unknownLog} ${log.signature}`
+        })));
+
+        (stateChanges?.accounts || []).forEach((account, index) => {
+            const changes = [
+                account.created && t.created,
+                account.destroyed && t.destroyed,
+                account.balance && `${t.balance} ${account.balance.before} → ${account.balance.after} wei`,
+                account.nonce && `nonce ${account.nonce.before} → ${account.nonce.after}`,
+                account.code && t.codeChanged,
+                account.storage?.length && `${account.storage.length} ${t.slotsChanged}${account.storage.some(slot => slot.label)
+                    ? ` ${t.including} ${account.storage.filter(slot => slot.label).map(slot => slot.label).join(', ')}` : ''}`
+            ].filter(Boolean);
+            if (!changes.length) return;
+            events.push(this.event('state-change', {
+                ...base,
+                order: index,
+                actor: account.address,
+                description: `${t.state}${this.strings.separator}${changes.join(', ')}`
+            }));
+        });
+
+        return events;
+    }
+
+    /**
+     * Transferts suivis après le hack ; ceux de la transaction de hack (saut 0) sont déjà dans ses logs et appels
+     */
+    transferEvents(fundFlow) {
+        const t = this.strings.events;
+        return (fundFlow?.edges || []).filter(edge => edge.hop > 0).map(edge => this.event('transfer', {
+            blockNumber: edge.blockNumber,
+            timestamp: edge.timestamp,
+            txHash: edge.txHash,
+            logIndex: edge.logIndex ?? null,
+            order: edge.logIndex ?? 0,
+            actor: edge.from,
+            target: edge.to,
+            description: `${t.trackedTransfer} (${t.hop} ${edge.hop})${this.strings.separator}${edge.formattedAmount} ${edge.token.symbol || edge.token.address || t.native}`
+        }));
+    }
+
+    /**
+     * Une transaction présente dans plusieurs sections (transactions de la victime et actions suspectes,
+     * financement et déploiement) n'apparaît qu'une fois par type
+     */
+    dedupe(events) {
+        const seen = new Set();
+        return events.filter(event => {
+            if (!['transaction', 'funding', 'deployment'].includes(event.kind)) return true;
+            const key = `${event.kind}|${event.txHash}|${event.target}`.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Complète blocs et horodatages, puis la position dans le bloc
+     * des transactions partageant un bloc avec une autre
+     */
+    async resolveTimes(events) {
+        for (const event of events) {
+            if (event.blockNumber === null && event.txHash) {
+                const tx = await this.getTransaction(event.txHash);
+                if (tx) {
+                    event.blockNumber = Number(tx.blockNumber);
+                    event.txIndex ??= Number(tx.transactionIndex);
+                }
+            }
+            if (event.timestamp === null && event.blockNumber !== null) {
+                event.timestamp = await this.getBlockTime(event.blockNumber);
+            }
+        }
+
+        const hashesByBlock = new Map();
+        for (const event of events.filter(item => item.blockNumber !== null && item.txHash)) {
+            if (!hashesByBlock.has(event.blockNumber)) hashesByBlock.set(event.blockNumber, new Set());
+            hashesByBlock.get(event.blockNumber).add(event.txHash.toLowerCase());
+        }
+        for (const event of events.filter(item => item.txIndex === null && item.txHash)) {
+            if (hashesByBlock.get(event.blockNumber)?.size > 1) {
+                const tx = await this.getTransaction(event.txHash);
+                if (tx) event.txIndex = Number(tx.transactionIndex);
+            }
+        }
+    }
+
+    async getTransaction(hash) {
+        const key = hash.toLowerCase();
+        if (!this.transactions.has(key)) {
+            this.transactions.set(key, await this.web3.eth.getTransaction(hash).catch(error => {
+                console.warn(`⚠️  Transaction ${hash} introuvable pour la chronologie:`, error.message);
+                return null;
+            }));
+        }
+        return this.transactions.get(key);
+    }
+
+    async getBlockTime(blockNumber) {
+        if (!this.blocks.has(blockNumber)) {
+            this.blocks.set(blockNumber, await this.web3.eth.getBlock(blockNumber)
+                .then(block => toIso(block.timestamp))
+                .catch(error => {
+                    console.warn(`⚠️  Horodatage du bloc ${blockNumber} indisponible:`, error.message);
+                    return null;
+                }));
+        }
+        return this.blocks.get(blockNumber);
+    }
+
+    /**
+     * Ordre par bloc (à défaut par horodatage), position dans le bloc, phase dans la transaction
+     */
+    compare(a, b) {
+        if (a.blockNumber !== null && b.blockNumber !== null && a.blockNumber !== b.blockNumber) {
+            return a.blockNumber - b.blockNumber;
+        }
+        if (a.blockNumber === null || b.blockNumber === null) {
+            const byTime = (a.timestamp ?? '').localeCompare(b.timestamp ?? '');
+            if (byTime) return byTime;
+        }
+        return (a.txIndex ?? Infinity) - (b.txIndex ?? Infinity)
+            || (a.txHash ?? '').localeCompare(b.txHash ?? '')
+            || PHASES[a.kind] - PHASES[b.kind]
+            || a.order - b.order;
+    }
+
+    finalize(event, position, labels) {
+        const record = {
+            ...event,
+            position,
+            actorLabel: labels[event.actor?.toLowerCase()]?.name ?? null,
+            targetLabel: labels[event.target?.toLowerCase()]?.name ?? null
+        };
+        return Object.fromEntries(TIMELINE_COLUMNS.map(column => [column, record[column]]));
+    }
+}
+
+const csvCell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Chronologie au format CSV, une ligne par événement (colonnes TIMELINE_COLUMNS)
+ */
+export function timelineToCsv(timeline) {
+    return [TIMELINE_COLUMNS, ...(timeline?.events || []).map(event => TIMELINE_COLUMNS.map(column => event[column]))]
+        .map(row => row.map(csvCell).join(','))
+        .join('\n') + '\n';
+}
+
+/**
+ * Chronologie au format JSON lines, un objet par événement
+ */
+export function timelineToJsonLines(timeline) {
+    return (timeline?.events || []).map(event => JSON.stringify(event) + '\n').join('');
+}
@@ -0,0 +1,214 @@
+import { KNOWN_SLOTS, decodeSlotValue } from './known-slots.js';
+import { ImplementationComparator } from './bytecode-diff.js';
+import { highestSeverity } from './detection-rules.js';
+
+const slotOfType = type => Object.keys(KNOWN_SLOTS).find(slot => KNOWN_SLOTS[slot].type === type);
+
+// Stockage d'Initializable : slot 0 en v4 (uint8 + bool), slot namespacé en v5 (uint64 + bool)
+const LAYOUTS = {
+    v4: { slot: slotOfType('initializable-v4'), disabled: String(2 ** 8 - 1) },
+    v5: { slot: slotOfType('initializable-v5'), disabled: String(2n ** 64n - 1n) }
+};
+
+const INITIALIZED_TOPICS = [
+    '0x7f26b83ff96e1f2b6a682f133852f6798a09c465da95921460cefb3847402498', // Initialized(uint8), v4.4+
+    '0xc7f505b2f371ae2175ee4913f4499e1f2633a7b5936321eed1cdaeb6115181d2' // Initialized(uint64), v5
+];
+
+const isInitializer = ({ selector, signature }, initializeSelector) =>
+    selector === initializeSelector || /^(initialize|init)\w*\(/.test(signature || '');
+
+/**
+ * Vérifie l'initialisation OpenZeppelin `Initializable` des proxies et des implémentations :
+ * état lu dans le stockage (v4 et v5), transaction d'initialisation retrouvée par dichotomie
+ * sur le slot puis par l'événement `Initialized`, et appelant comparé au déployeur et aux admins.
+ *
+ * Une implémentation ni initialisée ni verrouillée (`_disableInitializers`) qui expose un
+ * initialiseur peut être prise par n'importe qui ; un initialiseur appelé par une autre adresse
+ * que le déployeur ou un admin signale un front-running de l'initialisation.
+ */
+export class InitializerCheck {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.explorer = analyzer.explorer;
+        this.comparator = new ImplementationComparator(analyzer);
+        this.initializeSelector = analyzer.FUNCTION_SIGNATURES.INITIALIZE;
+    }
+
+    /**
+     * @param {Object[]} targets - `{ address, role: proxy|implementation|contract, codeAddress, expectedCallers }`
+     *                             (`codeAddress` porte les initialiseurs : l'implémentation pour un proxy)
+     * @param {Object} options
+     * @param {string|null} options.suspect - Adresse suspecte
+     * @param {boolean} options.uups - Proxy UUPS : l'implémentation porte la logique d'upgrade
+     */
+    async check(targets, { suspect = null, uups = false } = {}) {
+        const contracts = [];
+        for (const target of targets) {
+            console.log(`  - ${target.role} ${target.address}`);
+            contracts.push(await this.inspect(target, { suspect, uups }));
+        }
+        return { contracts };
+    }
+
+    async inspect({ address, role, codeAddress = address, expectedCallers = [] }, { suspect, uups }) {
+        const result = { address, role, destroyed: false, layout: null, initialized: '0', initializing: false, disabled: false,
+            hasInitializer: false, deployer: null, deploymentTx: null, initialization: null, reason: [] };
+
+        if (await this.web3.eth.getCode(address) === '0x') {
+            result.destroyed = true;
+            return this.withSeverity(result);
+        }
+
+        Object.assign(result, await this.readState(address, 'latest'));
+        const { selectors } = await this.comparator.inspect(codeAddress, 'latest');
+        const initializers = selectors.filter(entry => isInitializer(entry, this.initializeSelector));
+        result.hasInitializer = initializers.length > 0;
+
+        const creation = await this.explorer.getContractCreation(address).catch(error => {
+            console.warn(`⚠️  Déploiement de ${address} introuvable:`, error.message);
+            return null;
+        });
+        result.deployer = creation?.contractCreator ?? null;
+        result.deploymentTx = creation?.txHash ?? null;
+
+        if (result.initialized !== '0') {
+            result.initialization = await this.findInitialization(address, result.layout, creation?.txHash,
+                new Set(initializers.map(entry => entry.selector)));
+        }
+
+        result.reason = this.evaluate(result, { expectedCallers, suspect, uups });
+        return this.withSeverity(result);
+    }
+
+    withSeverity(result) {
+        result.suspicious = result.reason.length > 0;
+        result.severity = highestSeverity(result.reason);
+        return result;
+    }
+
+    evaluate(result, { expectedCallers, suspect, uups }) {
+        const reasons = [];
+        const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+        if (result.initialized === '0' && !result.initializing && result.hasInitializer) {
+            reasons.push(result.role === 'proxy'
+                ? {
+                    id: 'uninitialized-proxy',
+                    severity: 'critical',
+                    explanation: `Proxy jamais initialisé : son initialiseur est appelable par n'importe qui`
+                }
+                : {
+                    id: 'uninitialized-implementation',
+                    severity: uups && result.role === 'implementation' ? 'critical' : 'high',
+                    explanation: `${result.role === 'implementation' ? 'Implémentation' : 'Contrat'} ni initialisé ni verrouillé par _disableInitializers : `
+                        + `son initialiseur est appelable directement${uups && result.role === 'implementation' ? ', puis upgradeToAndCall (proxy UUPS)' : ''}`
+                });
+        }
+
+        const initialization = result.initialization;
+        if (initialization?.caller && !same(initialization.txHash, result.deploymentTx)) {
+            const expected = [result.deployer, ...expectedCallers].filter(Boolean);
+            if (same(initialization.caller, suspect)) {
+                reasons.push({
+                    id: 'initialized-by-suspect',
+                    severity: 'critical',
+                    explanation: `Initialisé par l'adresse suspecte ${initialization.caller} (tx ${initialization.txHash})`
+                });
+            } else if (!expected.some(address => same(address, initialization.caller))) {
+                reasons.push({
+                    id: 'initialized-by-unexpected-caller',
+                    severity: 'high',
+                    explanation: `Initialisé au bloc ${initialization.blockNumber} par ${initialization.caller}, `
+                        + `ni déployeur ni admin (attendus : ${expected.join(', ') || 'inconnus'}) : initialisation devancée ?`
+                });
+            }
+        }
+        return reasons;
+    }
+
+    /**
+     * État d'Initializable ; le slot 0 n'est retenu en v4 que s'il n'utilise que ses deux octets bas
+     */
+    async readState(address, blockNumber) {
+        const v5 = await this.web3.eth.getStorageAt(address, LAYOUTS.v5.slot, blockNumber);
+        if (BigInt(v5) !== 0n) return this.decodeState('v5', v5);
+
+        const v4 = await this.web3.eth.getStorageAt(address, LAYOUTS.v4.slot, blockNumber);
+        const word = BigInt(v4);
+        if (word !== 0n && word >> 16n === 0n) return this.decodeState('v4', v4);
+
+        return { layout: null, initialized: '0', initializing: false, disabled: false };
+    }
+
+    decodeState(layout, value) {
+        const decoded = decodeSlotValue(`initializable-${layout}`, value);
+        const { initialized, initializing } = layout === 'v4' ? decoded.asInitializable : decoded;
+        return { layout, initialized: String(initialized), initializing, disabled: String(initialized) === LAYOUTS[layout].disabled };
+    }
+
+    /**
+     * Premier bloc où le compteur d'Initializable est non nul (nœud archive), puis transaction
+     * émettant `Initialized` dans ce bloc ; sans archive, premier appel d'un initialiseur listé par l'explorer
+     */
+    async findInitialization(address, layout, deploymentTx, initializerSelectors) {
+        try {
+            const deploymentBlock = deploymentTx
+                ? Number((await this.web3.eth.getTransactionReceipt(deploymentTx)).blockNumber)
+                : 0;
+            const blockNumber = await this.findFirstInitializedBlock(address, layout, deploymentBlock, Number(await this.web3.eth.getBlockNumber()));
+
+            const [log] = await this.web3.eth.getPastLogs({ address, topics: [INITIALIZED_TOPICS], fromBlock: blockNumber, toBlock: blockNumber });
+            // Sans événement au bloc du déploiement, le constructeur a initialisé (ou verrouillé) le contrat
+            const txHash = log?.transactionHash
+                ?? (deploymentTx && blockNumber === deploymentBlock ? deploymentTx : await this.findCallingTransaction(address, blockNumber));
+            const tx = txHash ? await this.web3.eth.getTransaction(txHash) : null;
+            return {
+                blockNumber,
+                txHash,
+                caller: tx?.from ?? null,
+                version: log ? BigInt(log.data).toString() : null,
+                source: 'storage'
+            };
+        } catch (error) {
+            console.warn(`⚠️  Recherche de l'initialisation de ${address} par le stockage impossible (nœud non archive ?):`, error.message);
+        }
+
+        try {
+            const transactions = await this.explorer.getTransactions(address, { limit: 100 });
+            const call = transactions.find(tx => initializerSelectors.has(tx.input?.slice(0, 10)) && tx.isError !== '1');
+            if (call) {
+                return { blockNumber: Number(call.blockNumber), txHash: call.hash, caller: call.from, version: null, source: 'transaction' };
+            }
+        } catch (error) {
+            console.warn(`⚠️  Transactions de ${address} indisponibles:`, error.message);
+        }
+        return null;
+    }
+
+    async findFirstInitializedBlock(address, layout, low, high) {
+        const initializedAt = async blockNumber => {
+            const raw = await this.web3.eth.getStorageAt(address, LAYOUTS[layout].slot, blockNumber);
+            return this.decodeState(layout, raw).initialized !== '0';
+        };
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (await initializedAt(middle)) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Initialiseur sans événement (OpenZeppelin < 4.4) : seule transaction du bloc adressée au contrat
+     */
+    async findCallingTransaction(address, blockNumber) {
+        const block = await this.web3.eth.getBlock(blockNumber, true);
+        const candidates = (block.transactions || []).filter(tx => tx.to && tx.to.toLowerCase() === address.toLowerCase());
+        return candidates.length === 1 ? candidates[0].hash : null;
+    }
+}
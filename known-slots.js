@@ -0,0 +1,65 @@
+/**
+ * Slots de stockage connus, utilisés pour étiqueter les diffs d'état.
+ * `type` indique comment interpréter la valeur (adresse, drapeaux d'initialisation, brut).
+ */
+export const KNOWN_SLOTS = {
+    '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc': { label: 'EIP-1967 implementation', type: 'address' },
+    '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103': { label: 'EIP-1967 admin', type: 'address' },
+    '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50': { label: 'EIP-1967 beacon', type: 'address' },
+    '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3': { label: 'ZeppelinOS implementation (legacy)', type: 'address' },
+    '0x10d6a54a4754c8869d6886b5f5d7fbfa5b4522237ea5c60d11bc4e7a1ff9390b': { label: 'ZeppelinOS admin (legacy)', type: 'address' },
+    '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7': { label: 'EIP-1822 proxiable implementation', type: 'address' },
+    '0x9016d09d72d40fdae2fd8ceac6b6234c7706214fd39c1cd1e609a0528c199300': { label: 'Ownable owner (OZ v5)', type: 'address' },
+    '0x237e158222e3e6968b72b9db0d8043aacf074ad9f650f0d1606b4d82ee432c00': { label: 'Ownable2Step pendingOwner (OZ v5)', type: 'address' },
+    '0xf0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a00': { label: 'Initializable (OZ v5)', type: 'initializable-v5' },
+    '0x02dd7bc7dec4dceedda775e58dd541e08a116c6c53815c0bd028192f7b626800': { label: 'AccessControl roles (OZ v5)', type: 'raw' },
+    '0xcd5ed15c6e187e77e9aee88184c21f4f2182ab5827cb3b7e07fbedcd63f03300': { label: 'Pausable paused (OZ v5)', type: 'raw' },
+    '0x0000000000000000000000000000000000000000000000000000000000000000': { label: 'slot 0 : Ownable owner ou Initializable (OZ v4)', type: 'initializable-v4' },
+    '0x0000000000000000000000000000000000000000000000000000000000000033': { label: 'OwnableUpgradeable owner (OZ v4)', type: 'address' }
+};
+
+/**
+ * Normalise un numéro de slot en hexadécimal sur 32 octets
+ * @param {string} slot - Slot hexadécimal, avec ou sans zéros de tête
+ */
+export function normalizeSlot(slot) {
+    return '0x' + BigInt(slot).toString(16).padStart(64, '0');
+}
+
+/**
+ * Décode la valeur d'un slot connu
+ * @param {string} type - Type déclaré dans KNOWN_SLOTS
+ * @param {string} value - Valeur brute sur 32 octets
+ */
+export function decodeSlotValue(type, value) {
+    const word = BigInt(value || 0);
+
+    if (type === 'address') {
+        return '0x' + (word & ((1n << 160n) - 1n)).toString(16).padStart(40, '0');
+    }
+    if (type === 'initializable-v4') {
+        return {
+            asOwner: '0x' + (word & ((1n << 160n) - 1n)).toString(16).padStart(40, '0'),
+            asInitializable: {
+                initialized: Number(word & 0xffn),
+                initializing: ((word >> 8n) & 0xffn) === 1n
+            }
+        };
+    }
+    if (type === 'initializable-v5') {
+        return {
+            initialized: (word & 0xffffffffffffffffn).toString(),
+            initializing: ((word >> 64n) & 0xffn) === 1n
+        };
+    }
+    return null;
+}
+
+/**
+ * Étiquette un slot de stockage s'il est connu
+ * @param {string} slot - Numéro de slot
+ * @returns {{label: string, type: string}|null}
+ */
+export function labelSlot(slot) {
+    return KNOWN_SLOTS[normalizeSlot(slot)] || null;
+}
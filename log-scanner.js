@@ -0,0 +1,37 @@
+const MIN_CHUNK_SIZE = 1;
+
+/**
+ * Récupère les logs d'un filtre par tranches de blocs via eth_getLogs.
+ * La tranche est divisée par deux quand le nœud refuse la plage
+ * (trop de résultats, plage trop large), puis ré-augmentée progressivement.
+ * @param {Web3} web3 - Instance web3 connectée
+ * @param {Object} filter - Filtre eth_getLogs sans fromBlock/toBlock (address, topics)
+ * @param {number} fromBlock - Premier bloc inclus
+ * @param {number} toBlock - Dernier bloc inclus
+ * @param {Object} options
+ * @param {number} options.chunkSize - Taille initiale des tranches
+ * @param {Function} options.onProgress - Appelé avec (blocTraité, toBlock, nombreDeLogs)
+ * @returns {Promise<Object[]>} Logs triés par bloc puis par index
+ */
+export async function getLogsInChunks(web3, filter, fromBlock, toBlock, { chunkSize = 2000, onProgress = null } = {}) {
+    const logs = [];
+    let size = chunkSize;
+    let start = fromBlock;
+
+    while (start <= toBlock) {
+        const end = Math.min(start + size - 1, toBlock);
+        try {
+            const chunk = await web3.eth.getPastLogs({ ...filter, fromBlock: start, toBlock: end });
+            logs.push(...chunk);
+            onProgress?.(end, toBlock, logs.length);
+            start = end + 1;
+            size = Math.min(size * 2, chunkSize);
+        } catch (error) {
+            if (size <= MIN_CHUNK_SIZE) throw error;
+            size = Math.max(Math.floor(size / 2), MIN_CHUNK_SIZE);
+        }
+    }
+
+    return logs.sort((a, b) =>
+        Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex));
+}
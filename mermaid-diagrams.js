@@ -0,0 +1,158 @@
+import { reportStrings } from './report-strings.js';
+
+const MAX_SEQUENCE_MESSAGES = 150;
+
+function shortAddress(address) {
+    return address ? `${address.slice(0, 6)}…${address.slice(-4)}` : '∅';
+}
+
+/**
+ * Nom affiché d'une adresse : étiquette du rapport si elle existe, sinon adresse abrégée
+ */
+function displayName(address, labels = {}) {
+    const label = address ? labels[address.toLowerCase()] : null;
+    return label ? `${label.name} (${shortAddress(address)})` : shortAddress(address);
+}
+
+function nodeId(address) {
+    return `a_${(address || 'none').toLowerCase().replace(/^0x/, '')}`;
+}
+
+function escapeLabel(text) {
+    return String(text).replace(/"/g, '#quot;').replace(/[;\n]/g, ' ');
+}
+
+function callLabel(node) {
+    const method = node.decodedInput?.method && node.decodedInput.method !== 'unknown'
+        ? node.decodedInput.method
+        : node.input && node.input.length >= 10 ? node.input.slice(0, 10) : '';
+    return [node.callType || node.type, method].filter(Boolean).join(' ');
+}
+
+/**
+ * Flowchart des interactions entre contrats : contrats impliqués et appels des traces
+ * @param {Object} analysis - Rapport d'analyse
+ * @param {Object} strings - Libellés `diagramLabels` de reportStrings
+ * @returns {string|null} Source Mermaid
+ */
+export function buildInteractionFlowchart(analysis, strings = reportStrings('fr').diagramLabels) {
+    const traces = analysis.hackDetails?.traces || [];
+    const contracts = Array.from(analysis.relatedContracts || []);
+    if (!traces.length && !contracts.length) return null;
+
+    const lines = ['flowchart LR'];
+    const declared = new Set();
+    const declare = (address, role) => {
+        if (!address || declared.has(address.toLowerCase())) return;
+        declared.add(address.toLowerCase());
+        // Les rôles Attaquant / Victime reprennent déjà les étiquettes déduites de l'analyse
+        const name = role && analysis.labels?.[address.toLowerCase()]?.source === 'auto'
+            ? shortAddress(address)
+            : displayName(address, analysis.labels);
+        const shape = role ? `{{"${escapeLabel(`${role}\n${name}`)}"}}` : `["${escapeLabel(name)}"]`;
+        lines.push(`    ${nodeId(address)}${shape}`);
+    };
+
+    declare(analysis.suspectAddress, strings.attacker);
+    declare(analysis.victimContract, strings.victim);
+    contracts.forEach(address => declare(address));
+
+    const edges = new Map();
+    for (const trace of traces) {
+        if (!trace.from || !trace.to) continue;
+        declare(trace.from);
+        declare(trace.to);
+        const key = `${nodeId(trace.from)}|${nodeId(trace.to)}|${callLabel(trace)}`;
+        edges.set(key, { trace, count: (edges.get(key)?.count || 0) + 1 });
+    }
+
+    for (const { trace, count } of edges.values()) {
+        const label = `${callLabel(trace)}${count > 1 ? ` ×${count}` : ''}`;
+        const arrow = trace.suspicious ? '==>' : '-->';
+        lines.push(`    ${nodeId(trace.from)} ${arrow}|"${escapeLabel(label)}"| ${nodeId(trace.to)}`);
+    }
+
+    if (analysis.suspectAddress) lines.push(`    style ${nodeId(analysis.suspectAddress)} fill:#f8d7da,stroke:#c0392b`);
+    if (analysis.victimContract) lines.push(`    style ${nodeId(analysis.victimContract)} fill:#fff3cd,stroke:#b7950b`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Diagramme de séquence de l'arbre d'appels de la transaction de hack
+ * @param {Object} callTree - Nœud racine de l'arbre d'appels
+ * @param {Object} labels - Étiquettes du rapport, indexées par adresse
+ * @param {Object} strings - Libellés `diagramLabels` de reportStrings
+ * @returns {string|null} Source Mermaid
+ */
+export function buildCallSequenceDiagram(callTree, labels = {}, strings = reportStrings('fr').diagramLabels) {
+    if (!callTree) return null;
+
+    const lines = ['sequenceDiagram'];
+    const participants = new Set();
+    const messages = [];
+
+    const visit = node => {
+        if (messages.length >= MAX_SEQUENCE_MESSAGES) return;
+        for (const address of [node.from, node.to]) {
+            if (address && !participants.has(address.toLowerCase())) {
+                participants.add(address.toLowerCase());
+                lines.push(`    participant ${nodeId(address)} as ${escapeLabel(displayName(address, labels))}`);
+            }
+        }
+        if (!node.from || !node.to) return;
+
+        const value = node.value && node.value !== '0' ? ` {${node.value} wei}` : '';
+        messages.push(`    ${nodeId(node.from)}->>+${nodeId(node.to)}: ${escapeLabel(callLabel(node) + value)}`);
+        node.calls.forEach(visit);
+        messages.push(node.error
+            ? `    ${nodeId(node.to)}-->>-${nodeId(node.from)}: ${escapeLabel(`❌ revert ${node.revertReason || node.error}`)}`
+            : `    ${nodeId(node.to)}-->>-${nodeId(node.from)}: ok`);
+    };
+    visit(callTree);
+
+    if (messages.length >= MAX_SEQUENCE_MESSAGES) {
+        messages.push(`    Note over ${nodeId(callTree.from)}: ${strings.truncated} ${MAX_SEQUENCE_MESSAGES} ${strings.messages}`);
+    }
+    return [...lines, ...messages].join('\n');
+}
+
+/**
+ * Timeline des changements d'implémentation, d'admin et de beacon
+ * @param {Object[]} upgradeHistory - Changements retournés par UpgradeHistory
+ * @param {Object} strings - Libellés `diagramLabels` de reportStrings
+ * @returns {string|null} Source Mermaid
+ */
+export function buildUpgradeTimeline(upgradeHistory = [], strings = reportStrings('fr').diagramLabels) {
+    if (!upgradeHistory.length) return null;
+
+    const lines = ['timeline', `    title ${strings.proxyChanges}`];
+    const byBlock = new Map();
+    for (const change of upgradeHistory) {
+        byBlock.set(change.blockNumber, [...(byBlock.get(change.blockNumber) || []), change]);
+    }
+
+    for (const [blockNumber, changes] of byBlock) {
+        const events = changes.map(change =>
+            escapeLabel(`${change.kind} ${shortAddress(change.oldValue)} → ${shortAddress(change.newValue)} ${strings.by} ${shortAddress(change.caller)}`).replace(/:/g, ' '));
+        lines.push(`    ${strings.block} ${blockNumber} : ${events.join(' : ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Toutes les sources Mermaid disponibles pour un rapport
+ * @param {Object} analysis - Rapport d'analyse
+ * @param {Object} options
+ * @param {string} options.language - Langue des libellés (`fr`, `en`)
+ * @returns {Object} Sources indexées par nom de diagramme, les diagrammes vides sont omis
+ */
+export function buildDiagrams(analysis, { language = 'fr' } = {}) {
+    const strings = reportStrings(language).diagramLabels;
+    const diagrams = {
+        interactions: buildInteractionFlowchart(analysis, strings),
+        callTree: buildCallSequenceDiagram(analysis.hackDetails?.callTree, analysis.labels, strings),
+        timeline: buildUpgradeTimeline(analysis.upgradeHistory, strings)
+    };
+    return Object.fromEntries(Object.entries(diagrams).filter(([, source]) => source));
+}
@@ -0,0 +1,231 @@
+import { KNOWN_SLOTS } from './known-slots.js';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const slotOf = label => Object.keys(KNOWN_SLOTS).find(slot => KNOWN_SLOTS[slot].label === label);
+
+const SLOTS = {
+    ZEPPELINOS_IMPLEMENTATION: slotOf('ZeppelinOS implementation (legacy)'),
+    ZEPPELINOS_ADMIN: slotOf('ZeppelinOS admin (legacy)'),
+    PROXIABLE: slotOf('EIP-1822 proxiable implementation')
+};
+
+const SELECTORS = {
+    OWNER: '0x8da5cb5b',
+    IMPLEMENTATION: '0x5c60da1b',
+    PROXIABLE_UUID: '0x52d1902d',
+    FACETS: '0x7a0ed627'
+};
+
+// Runtime EIP-1167 : 363d3d373d3d3d363d73 <adresse> 5af43d82803e903d91602b57fd5bf3
+const MINIMAL_PROXY_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/;
+
+export const PROXY_KINDS = {
+    TRANSPARENT: 'eip1967-transparent',
+    UUPS: 'eip1967-uups',
+    EIP1967: 'eip1967',
+    BEACON: 'eip1967-beacon',
+    MINIMAL: 'eip1167-minimal',
+    ZEPPELINOS: 'zeppelinos',
+    EIP1822: 'eip1822',
+    DIAMOND: 'eip2535-diamond',
+    NONE: 'none'
+};
+
+/**
+ * Identifie le type de proxy d'un contrat à partir de son bytecode, des slots
+ * de stockage standards et d'appels de lecture (beacon, loupe EIP-2535).
+ *
+ * Le résultat indique l'implémentation résolue (en suivant les proxies de proxies),
+ * et qui est autorisé à la changer :
+ * - `admin` / `proxy-admin` : admin EIP-1967 ou ZeppelinOS, et propriétaire du ProxyAdmin
+ * - `beacon-owner` : propriétaire du beacon, qui change l'implémentation de tous ses proxies
+ * - `owner` : `owner()` du proxy, qui passe par l'implémentation (UUPS, EIP-1822, diamond)
+ * - `immutable` : clone EIP-1167, aucun upgrade possible
+ * - `unknown` : autorisation non déterminée
+ */
+export class ProxyDetector {
+    constructor(analyzer, { maxDepth = 5 } = {}) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.maxDepth = maxDepth;
+    }
+
+    /**
+     * @param {string} address - Adresse du contrat
+     * @param {number|string} blockNumber - Bloc de lecture, `latest` par défaut
+     */
+    async detect(address, blockNumber = 'latest') {
+        const result = await this.classify(address, blockNumber);
+
+        const implementationChain = [];
+        let current = result;
+        while (current.implementation && implementationChain.length < this.maxDepth) {
+            const next = await this.classify(current.implementation, blockNumber);
+            implementationChain.push({ address: current.implementation, kind: next.kind });
+            if (next.kind === PROXY_KINDS.NONE) break;
+            current = next;
+        }
+
+        return {
+            ...result,
+            isProxy: result.kind !== PROXY_KINDS.NONE,
+            implementationChain,
+            finalImplementation: implementationChain.at(-1)?.address || null
+        };
+    }
+
+    async classify(address, blockNumber) {
+        const code = (await this.web3.eth.getCode(address, blockNumber)).toLowerCase();
+        const base = { address, kind: PROXY_KINDS.NONE, implementation: null, admin: null, beacon: null, facets: null, upgradeAuthority: null };
+        if (code === '0x') return base;
+
+        const minimal = code.match(MINIMAL_PROXY_PATTERN);
+        if (minimal) {
+            return {
+                ...base,
+                kind: PROXY_KINDS.MINIMAL,
+                implementation: this.web3.utils.toChecksumAddress('0x' + minimal[1]),
+                upgradeAuthority: { type: 'immutable', address: null }
+            };
+        }
+
+        const { IMPLEMENTATION, ADMIN, BEACON } = this.analyzer.STORAGE_SLOTS;
+        const beacon = await this.readAddressSlot(address, BEACON, blockNumber);
+        if (beacon) {
+            return {
+                ...base,
+                kind: PROXY_KINDS.BEACON,
+                beacon,
+                implementation: await this.callForAddress(beacon, SELECTORS.IMPLEMENTATION, blockNumber),
+                upgradeAuthority: await this.ownerAuthority(beacon, 'beacon-owner', blockNumber)
+            };
+        }
+
+        const implementation = await this.readAddressSlot(address, IMPLEMENTATION, blockNumber);
+        if (implementation) {
+            const admin = await this.readAddressSlot(address, ADMIN, blockNumber);
+            if (admin) {
+                return {
+                    ...base,
+                    kind: PROXY_KINDS.TRANSPARENT,
+                    implementation,
+                    admin,
+                    upgradeAuthority: await this.adminAuthority(admin, blockNumber)
+                };
+            }
+
+            const implementationCode = (await this.web3.eth.getCode(implementation, blockNumber)).toLowerCase();
+            const isUups = this.hasSelector(implementationCode, SELECTORS.PROXIABLE_UUID);
+            return {
+                ...base,
+                kind: isUups ? PROXY_KINDS.UUPS : PROXY_KINDS.EIP1967,
+                implementation,
+                upgradeAuthority: await this.ownerAuthority(address, 'owner', blockNumber)
+            };
+        }
+
+        const zosImplementation = await this.readAddressSlot(address, SLOTS.ZEPPELINOS_IMPLEMENTATION, blockNumber);
+        if (zosImplementation) {
+            const admin = await this.readAddressSlot(address, SLOTS.ZEPPELINOS_ADMIN, blockNumber);
+            return {
+                ...base,
+                kind: PROXY_KINDS.ZEPPELINOS,
+                implementation: zosImplementation,
+                admin,
+                upgradeAuthority: admin ? await this.adminAuthority(admin, blockNumber) : { type: 'unknown', address: null }
+            };
+        }
+
+        const proxiable = await this.readAddressSlot(address, SLOTS.PROXIABLE, blockNumber);
+        if (proxiable) {
+            return {
+                ...base,
+                kind: PROXY_KINDS.EIP1822,
+                implementation: proxiable,
+                upgradeAuthority: await this.ownerAuthority(address, 'owner', blockNumber)
+            };
+        }
+
+        const facets = await this.getFacets(address, blockNumber);
+        if (facets?.length) {
+            return {
+                ...base,
+                kind: PROXY_KINDS.DIAMOND,
+                facets,
+                upgradeAuthority: await this.ownerAuthority(address, 'owner', blockNumber)
+            };
+        }
+
+        return base;
+    }
+
+    /**
+     * Un admin de proxy transparent est souvent un contrat ProxyAdmin : l'autorité réelle est alors son propriétaire
+     */
+    async adminAuthority(admin, blockNumber) {
+        if (await this.analyzer.isContract(admin)) {
+            const owner = await this.callForAddress(admin, SELECTORS.OWNER, blockNumber);
+            if (owner) return { type: 'proxy-admin', address: admin, owner };
+        }
+        return { type: 'admin', address: admin };
+    }
+
+    async ownerAuthority(address, type, blockNumber) {
+        const owner = await this.callForAddress(address, SELECTORS.OWNER, blockNumber);
+        return owner ? { type, address: owner } : { type: 'unknown', address: null };
+    }
+
+    /**
+     * Facettes d'un diamond via la fonction loupe `facets()`
+     * @returns {Array<{address: string, selectors: string[]}>|null}
+     */
+    async getFacets(address, blockNumber) {
+        const result = await this.call(address, SELECTORS.FACETS, blockNumber);
+        if (!result || result === '0x') return null;
+
+        try {
+            const facets = this.web3.eth.abi.decodeParameter({
+                type: 'tuple[]',
+                components: [
+                    { name: 'facetAddress', type: 'address' },
+                    { name: 'functionSelectors', type: 'bytes4[]' }
+                ]
+            }, result);
+            return Array.from(facets, facet => ({
+                address: facet.facetAddress,
+                selectors: Array.from(facet.functionSelectors)
+            }));
+        } catch {
+            return null;
+        }
+    }
+
+    hasSelector(code, selector) {
+        // PUSH4 <sélecteur> dans le dispatcher
+        return code.includes('63' + selector.slice(2));
+    }
+
+    async readAddressSlot(address, slot, blockNumber) {
+        const raw = await this.web3.eth.getStorageAt(address, slot, blockNumber);
+        const value = this.analyzer.normalizeAddress(raw);
+        return value === ZERO_ADDRESS ? null : value;
+    }
+
+    async call(address, data, blockNumber) {
+        try {
+            return await this.web3.eth.call({ to: address, data }, blockNumber);
+        } catch {
+            return null;
+        }
+    }
+
+    async callForAddress(address, selector, blockNumber) {
+        const result = await this.call(address, selector, blockNumber);
+        if (!result || result.length < 66) return null;
+
+        const word = BigInt(result.slice(0, 66));
+        if (word === 0n || word >> 160n !== 0n) return null;
+        return this.analyzer.normalizeAddress(result.slice(0, 66));
+    }
+}
@@ -0,0 +1,303 @@
+import { getLogsInChunks } from './log-scanner.js';
+import { UpgradeHistory } from './upgrade-history.js';
+import { formatDecodedCall } from './abi-decoder.js';
+import { StdoutSink } from './alert-sinks.js';
+
+const EXPECTED_FIELDS = {
+    implementation: 'expectedImplementation',
+    admin: 'expectedAdmin',
+    beacon: 'expectedBeacon'
+};
+
+/**
+ * Valide et normalise une liste de proxies à surveiller.
+ * Chaque entrée : `{ address, label?, expectedImplementation?, expectedAdmin?, expectedBeacon? }`,
+ * la liste pouvant aussi être fournie sous la forme `{ proxies: [...] }`.
+ * @param {Object[]|Object} data - Contenu du fichier de watchlist
+ * @param {Function} isValidAddress - (adresse) => adresse utilisable
+ */
+export function normalizeWatchlist(data, isValidAddress) {
+    const entries = Array.isArray(data) ? data : data?.proxies;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('Watchlist vide : un tableau de proxies ou { "proxies": [...] } est attendu');
+    }
+
+    const seen = new Set();
+    return entries.map((entry, index) => {
+        const normalized = { label: entry.label || null };
+        for (const field of ['address', ...Object.values(EXPECTED_FIELDS)]) {
+            const value = entry[field];
+            if (value === undefined || value === null) {
+                if (field === 'address') throw new Error(`Watchlist : entrée ${index} sans adresse`);
+                normalized[field] = null;
+                continue;
+            }
+            if (!isValidAddress(value)) {
+                throw new Error(`Watchlist : ${field} invalide pour l'entrée ${index} ("${value}")`);
+            }
+            normalized[field] = value.toLowerCase();
+        }
+        if (seen.has(normalized.address)) {
+            throw new Error(`Watchlist : ${normalized.address} apparaît plusieurs fois`);
+        }
+        seen.add(normalized.address);
+        return normalized;
+    });
+}
+
+/**
+ * Surveillance continue d'une liste de proxies.
+ *
+ * À chaque intervalle, les nouveaux blocs (moins `confirmations` blocs, pour ne pas alerter
+ * sur un bloc réorganisé) sont parcourus : les événements Upgraded / AdminChanged / BeaconUpgraded
+ * des proxies sont décodés, et les slots EIP-1967 sont relus pour détecter une écriture sans
+ * événement, localisée ensuite par recherche dichotomique. Chaque changement devient une alerte
+ * comparée à la valeur attendue de la watchlist et envoyée à toutes les destinations.
+ */
+export class ProxyWatchdog {
+    constructor(analyzer, { watchlist, sinks = [new StdoutSink()], interval = 12, confirmations = 2, chunkSize = 2000 } = {}) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.history = new UpgradeHistory(analyzer);
+        this.watchlist = watchlist;
+        this.sinks = sinks;
+        this.interval = interval;
+        this.confirmations = confirmations;
+        this.chunkSize = chunkSize;
+        // Dernière valeur connue de chaque slot, par proxy
+        this.state = new Map();
+        this.lastBlock = null;
+        this.stopped = false;
+        this.wake = null;
+        this.stats = { startBlock: null, polls: 0, failedPolls: 0, alerts: 0, undelivered: 0 };
+    }
+
+    /**
+     * Surveille jusqu'à l'appel de stop(), ou un seul passage si `once`
+     * @param {Object} options
+     * @param {number} options.fromBlock - Premier bloc parcouru, le dernier bloc confirmé par défaut
+     * @param {boolean} options.once - Un seul passage jusqu'au dernier bloc confirmé
+     * @returns {Promise<Object>} Bilan de la surveillance
+     */
+    async run({ fromBlock = null, once = false } = {}) {
+        await this.start(fromBlock);
+
+        while (!this.stopped) {
+            try {
+                await this.poll();
+                this.stats.failedPolls = 0;
+            } catch (error) {
+                if (once) throw error;
+                // Les blocs non parcourus le seront au passage suivant
+                this.stats.failedPolls++;
+                console.warn(`⚠️  Passage de surveillance en échec (${this.stats.failedPolls} de suite) : ${error.message}`);
+            }
+            if (once) break;
+            await this.pause(this.interval * 1000);
+        }
+
+        console.log(`\n👁️  Surveillance terminée : blocs ${this.stats.startBlock} à ${this.lastBlock}, ${this.stats.alerts} alerte(s)`);
+        return { ...this.stats, lastBlock: this.lastBlock, state: Object.fromEntries(this.state) };
+    }
+
+    stop() {
+        if (this.stopped) return;
+        console.log('\n🛑 Arrêt de la surveillance demandé...');
+        this.stopped = true;
+        this.wake?.();
+    }
+
+    pause(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this.wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    async confirmedHead() {
+        return Math.max(Number(await this.web3.eth.getBlockNumber()) - this.confirmations, 0);
+    }
+
+    /**
+     * Relit l'état initial de chaque proxy et signale les écarts avec la watchlist
+     */
+    async start(fromBlock) {
+        const head = await this.confirmedHead();
+        this.lastBlock = fromBlock !== null ? Math.max(fromBlock - 1, 0) : head;
+        this.stats.startBlock = this.lastBlock + 1;
+
+        console.log(`👁️  Surveillance de ${this.watchlist.length} proxy(s) à partir du bloc ${this.stats.startBlock} (intervalle ${this.interval} s, ${this.confirmations} confirmation(s))`);
+        for (const entry of this.watchlist) {
+            const values = {};
+            for (const [kind, { slot }] of Object.entries(this.history.kinds)) {
+                values[kind] = await this.history.readSlot(entry.address, slot, this.lastBlock);
+            }
+            this.state.set(entry.address, values);
+            console.log(`  - ${entry.label ? `${entry.label} ` : ''}${entry.address} : implémentation ${values.implementation ?? 'aucune'}, admin ${values.admin ?? 'aucun'}`);
+
+            for (const kind of Object.keys(EXPECTED_FIELDS)) {
+                const expected = entry[EXPECTED_FIELDS[kind]];
+                if (expected && values[kind]?.toLowerCase() !== expected) {
+                    await this.dispatch(await this.buildAlert(entry, {
+                        kind,
+                        blockNumber: this.lastBlock,
+                        logIndex: null,
+                        transactionHash: null,
+                        caller: null,
+                        oldValue: null,
+                        newValue: values[kind],
+                        source: 'startup'
+                    }));
+                }
+            }
+        }
+    }
+
+    /**
+     * Parcourt les blocs confirmés depuis le dernier passage
+     * @returns {Promise<Object[]>} Alertes émises
+     */
+    async poll() {
+        const head = await this.confirmedHead();
+        if (head <= this.lastBlock) return [];
+
+        const alerts = await this.scan(this.lastBlock + 1, head);
+        this.lastBlock = head;
+        this.stats.polls++;
+        // Les transactions déjà décodées ne servent plus au passage suivant
+        this.history.transactions.clear();
+        return alerts;
+    }
+
+    async scan(fromBlock, toBlock) {
+        const logs = await getLogsInChunks(this.web3, {
+            address: this.watchlist.map(entry => entry.address),
+            topics: [Object.values(this.history.kinds).map(kind => kind.event)]
+        }, fromBlock, toBlock, { chunkSize: this.chunkSize });
+
+        // L'état n'est mis à jour qu'une fois toutes les alertes construites :
+        // un passage en échec est rejoué entièrement au passage suivant
+        const alerts = [];
+        const nextState = new Map();
+        for (const entry of this.watchlist) {
+            const proxyLogs = logs.filter(log => log.address.toLowerCase() === entry.address);
+            const values = { ...this.state.get(entry.address) };
+
+            for (const [kind, { slot }] of Object.entries(this.history.kinds)) {
+                const changes = await this.history.changesFromLogs(kind, proxyLogs);
+                // Le slot est relu à chaque bloc d'événement et en fin de plage : une écriture
+                // silencieuse entre deux upgrades est trouvée même si le slot revient ensuite
+                // à sa valeur de départ
+                const boundaries = [...new Set([...changes.map(change => change.blockNumber), toBlock])].sort((a, b) => a - b);
+
+                // Chaque écriture du slot est localisée par dichotomie ; celles qu'aucun
+                // événement du même bloc n'explique sont des changements silencieux
+                let current = values[kind];
+                let segmentStart = fromBlock;
+                for (const boundary of boundaries) {
+                    const slotValue = await this.history.readSlot(entry.address, slot, boundary);
+                    while (current !== slotValue) {
+                        const block = await this.history.findFirstChange(entry.address, slot, current, segmentStart, boundary);
+                        const newValue = await this.history.readSlot(entry.address, slot, block);
+                        if (!changes.some(change => change.blockNumber === block && change.newValue === newValue)) {
+                            changes.push({
+                                kind,
+                                blockNumber: block,
+                                logIndex: null,
+                                ...await this.history.findWritingTransaction(entry.address, block),
+                                oldValue: current,
+                                newValue,
+                                source: 'storage'
+                            });
+                        }
+                        current = newValue;
+                        segmentStart = block + 1;
+                    }
+                    segmentStart = boundary + 1;
+                }
+                changes.sort((a, b) => a.blockNumber - b.blockNumber || (a.logIndex ?? 0) - (b.logIndex ?? 0));
+
+                let previous = values[kind];
+                for (const change of changes) {
+                    if (kind !== 'admin') change.oldValue = previous;
+                    previous = change.newValue;
+                    alerts.push(await this.buildAlert(entry, change));
+                }
+                // La référence reste la valeur du slot, y compris pour un contrat qui émet
+                // Upgraded sans utiliser le slot EIP-1967 (UpgradeableBeacon)
+                values[kind] = current;
+            }
+            nextState.set(entry.address, values);
+        }
+
+        nextState.forEach((values, address) => this.state.set(address, values));
+        alerts.sort((a, b) => a.blockNumber - b.blockNumber || (a.logIndex ?? 0) - (b.logIndex ?? 0));
+        for (const alert of alerts) {
+            await this.dispatch(alert);
+        }
+        return alerts;
+    }
+
+    /**
+     * Construit l'alerte d'un changement : sévérité selon la watchlist et transaction décodée
+     */
+    async buildAlert(entry, change) {
+        const expected = entry[EXPECTED_FIELDS[change.kind]];
+        const matchesExpected = expected ? change.newValue?.toLowerCase() === expected : null;
+        let severity = 'warning';
+        if (change.source === 'storage' || matchesExpected === false) {
+            severity = 'critical';
+        } else if (matchesExpected) {
+            severity = 'info';
+        }
+
+        return {
+            ...change,
+            proxy: entry.address,
+            label: entry.label,
+            expected,
+            matchesExpected,
+            severity,
+            chain: { key: this.analyzer.chain.key, name: this.analyzer.chain.name, id: this.analyzer.chain.id },
+            transaction: change.transactionHash ? await this.decodeTransaction(change.transactionHash) : null,
+            links: {
+                proxy: this.analyzer.explorer.addressUrl?.(entry.address) ?? null,
+                transaction: change.transactionHash ? this.analyzer.explorer.txUrl?.(change.transactionHash) ?? null : null
+            },
+            detectedAt: new Date().toISOString()
+        };
+    }
+
+    async decodeTransaction(hash) {
+        const tx = await this.history.getTransaction(hash);
+        if (!tx) return null;
+
+        const call = await this.analyzer.decodeTransactionInput(tx.input, tx.to);
+        return {
+            hash,
+            from: tx.from,
+            to: tx.to,
+            value: String(tx.value ?? 0),
+            blockNumber: Number(tx.blockNumber),
+            call,
+            summary: formatDecodedCall(call)
+        };
+    }
+
+    /**
+     * Envoie l'alerte à chaque destination ; l'échec de l'une n'empêche pas les autres
+     */
+    async dispatch(alert) {
+        this.stats.alerts++;
+        const results = await Promise.allSettled(this.sinks.map(sink => sink.send(alert)));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                this.stats.undelivered++;
+                console.warn(`⚠️  Alerte non envoyée vers ${this.sinks[index].name} : ${result.reason.message}`);
+            }
+        });
+    }
+}
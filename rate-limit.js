@@ -0,0 +1,59 @@
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Seau à jetons : au plus `capacity` requêtes en rafale, rechargé de `refillPerSecond` jetons par seconde
+ */
+export class TokenBucket {
+    constructor({ capacity = 5, refillPerSecond = 5 } = {}) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.refillPerSecond);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Attend qu'un jeton soit disponible ; les appels concurrents sont servis dans l'ordre
+     */
+    take() {
+        const turn = this.queue.then(async () => {
+            this.refill();
+            if (this.tokens < 1) {
+                await sleep((1 - this.tokens) / this.refillPerSecond * 1000);
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+        this.queue = turn;
+        return turn;
+    }
+}
+
+/**
+ * Exécute `operation` avec des tentatives espacées exponentiellement
+ * @param {Function} operation - (attempt) => Promise
+ * @param {Object} options
+ * @param {number} options.retries - Nombre de nouvelles tentatives après le premier échec
+ * @param {number} options.baseDelay - Délai avant la première nouvelle tentative, en ms
+ * @param {Function} options.isRetryable - (error) => l'erreur est transitoire
+ * @param {Function} options.onRetry - (error, attempt, delay) => void
+ */
+export async function withRetries(operation, { retries = 4, baseDelay = 500, isRetryable = () => true, onRetry = () => {} } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) throw error;
+
+            const delay = baseDelay * 2 ** attempt * (0.5 + Math.random() / 2);
+            onRetry(error, attempt + 1, delay);
+            await sleep(delay);
+        }
+    }
+}
@@ -0,0 +1,635 @@
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { formatDecodedCall } from './abi-decoder.js';
+import { formatReasons } from './detection-rules.js';
+import { describeAccessChange } from './access-control.js';
+import { reportStrings } from './report-strings.js';
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 1200px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+h1 { border-bottom: 3px solid #c0392b; padding-bottom: .3rem; }
+h2 { border-bottom: 1px solid #ddd; padding-bottom: .2rem; margin-top: 2rem; }
+table { border-collapse: collapse; width: 100%; margin: .5rem 0 1rem; font-size: .9rem; }
+th, td { border: 1px solid #ddd; padding: .3rem .5rem; text-align: left; vertical-align: top; word-break: break-all; }
+th { background: #f5f5f5; }
+dl { display: grid; grid-template-columns: max-content auto; gap: .2rem 1rem; }
+dt { font-weight: bold; }
+dd { margin: 0; word-break: break-all; }
+pre { background: #f7f7f7; padding: .8rem; overflow-x: auto; font-size: .85rem; }
+code, pre { font-family: SFMono-Regular, Consolas, monospace; }
+details { margin: .5rem 0; }
+summary { cursor: pointer; color: #555; }
+footer { margin-top: 3rem; color: #888; font-size: .8rem; }
+`;
+
+const stringify = data => JSON.stringify(data, (key, value) => {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Set) return Array.from(value);
+    return value;
+}, 2);
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeMarkdownCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+let mermaidBundle;
+
+/**
+ * Bundle `mermaid` intégré au HTML (environ 3 Mo par rapport), lu une seule fois ;
+ * sans le paquet, les diagrammes restent affichés en source Mermaid
+ */
+function loadMermaidBundle() {
+    if (mermaidBundle === undefined) {
+        try {
+            const require = createRequire(import.meta.url);
+            mermaidBundle = readFileSync(require.resolve('mermaid/dist/mermaid.min.js'), 'utf8');
+        } catch {
+            console.warn('⚠️  Paquet mermaid introuvable : les diagrammes du rapport HTML restent en source Mermaid (npm install mermaid)');
+            mermaidBundle = null;
+        }
+    }
+    return mermaidBundle;
+}
+
+/**
+ * Rendu des rapports d'incident en HTML autonome et en Markdown.
+ * Les deux formats partagent le même modèle de sections, construit depuis l'objet d'analyse ;
+ * les adresses et transactions pointent vers l'explorer de la chaîne analysée.
+ */
+export class ReportRenderer {
+    /**
+     * @param {Object} options
+     * @param {string} options.language - Langue du rapport (`fr`, `en`)
+     * @param {Object} options.explorer - Adaptateur d'explorer, pour les liens (`txUrl`, `addressUrl`)
+     */
+    constructor({ language = 'fr', explorer = null } = {}) {
+        this.strings = reportStrings(language);
+        this.language = language;
+        this.explorer = explorer;
+    }
+
+    /**
+     * Sections du rapport, indépendantes du format de sortie.
+     * Chaque section contient des blocs `fields`, `table`, `pre`, `list`, `diagram` ou `raw` ;
+     * les valeurs sont du texte ou des références `{ address }` / `{ tx }`.
+     */
+    buildSections(analysis, metadata, diagrams = {}) {
+        const t = this.strings;
+        const sections = [];
+        const add = (id, blocks) => sections.push({ id, title: t.sections[id], blocks: blocks.filter(Boolean) });
+        const labelOf = value => analysis.labels?.[value.toLowerCase()];
+        // Une adresse étiquetée est affichée avec son nom et sa catégorie, le lien reste celui de l'adresse
+        const address = value => {
+            if (!value) return null;
+            const label = labelOf(value);
+            return label ? { address: value, label: `${value} (${label.name}, ${label.category})` } : { address: value };
+        };
+        const tx = value => value ? { tx: value } : null;
+        const stateChanges = analysis.hackDetails?.stateChanges;
+        const proxy = analysis.victimAnalysis?.proxy;
+        const authority = ({ type, address, owner }) => [type, address, owner && `(owner ${owner})`].filter(Boolean).join(' ');
+
+        add('summary', [
+            {
+                kind: 'fields',
+                items: [
+                    [t.fields.chain, `${metadata.chain} (chain id ${metadata.chainId})`],
+                    [t.fields.hackTransaction, tx(metadata.hackTransaction)],
+                    [t.fields.victimContract, address(metadata.victimContract)],
+                    [t.fields.hackerAddress, address(metadata.hackerAddress)],
+                    [t.fields.knownImplementation, address(metadata.knownImplementation)],
+                    [t.fields.analyzedAt, metadata.analyzedAt],
+                    analysis.victimAnalysis && [t.fields.isProxy, analysis.victimAnalysis.isProxy ? t.yes : t.no],
+                    analysis.victimAnalysis?.codeHash && [t.fields.codeHash, analysis.victimAnalysis.codeHash],
+                    proxy?.isProxy && [t.fields.proxyKind, proxy.kind],
+                    proxy?.implementationChain.length && [t.fields.implementationChain,
+                        proxy.implementationChain.map(step => `${step.address} (${step.kind})`).join(' → ')],
+                    proxy?.facets && [t.fields.facets, proxy.facets.map(facet => `${facet.address} (${facet.selectors.length})`).join(', ')],
+                    proxy?.upgradeAuthority && [t.fields.upgradeAuthority, authority(proxy.upgradeAuthority)],
+                    [t.fields.suspiciousCount, String(analysis.suspiciousActions?.length || 0)],
+                    [t.fields.upgradeCount, String(analysis.upgradeHistory?.length || 0)],
+                    analysis.fundFlow && [t.fields.stolenTokens, analysis.fundFlow.summary
+                        .map(entry => `${entry.formattedStolen} ${entry.token.symbol}`).join(', ')]
+                ].filter(item => item && item[1])
+            }
+        ]);
+
+        if (stateChanges) {
+            const storageRows = (stateChanges.accounts || []).flatMap(account => [
+                account.balance && [address(account.address), 'balance', account.balance.before, account.balance.after],
+                account.nonce && [address(account.address), 'nonce', String(account.nonce.before), String(account.nonce.after)],
+                account.code && [address(account.address), 'code hash', account.code.before, account.code.after],
+                ...account.storage.map(entry => [
+                    address(account.address),
+                    entry.label ? `${entry.label} (${entry.slot})` : entry.slot,
+                    entry.decoded?.before ?? entry.before,
+                    entry.decoded?.after ?? entry.after
+                ])
+            ].filter(Boolean));
+
+            add('stateChanges', [
+                {
+                    kind: 'table',
+                    headers: [t.headers.slot, t.headers.before, t.headers.after],
+                    rows: [
+                        ['Implementation', address(stateChanges.before?.implementation), address(stateChanges.after?.implementation)],
+                        ['Admin', address(stateChanges.before?.admin), address(stateChanges.after?.admin)]
+                    ]
+                },
+                storageRows.length && {
+                    kind: 'table',
+                    title: `${t.accountDiff} (${t.source}: ${stateChanges.source || 'N/A'})`,
+                    headers: [t.headers.account, t.headers.slot, t.headers.before, t.headers.after],
+                    rows: storageRows
+                },
+                { kind: 'raw', data: stateChanges }
+            ]);
+        }
+
+        if (analysis.hackDetails) {
+            const { callTree, logs = [], traceSource } = analysis.hackDetails;
+            add('decodedCalls', [
+                callTree && {
+                    kind: 'pre',
+                    title: `${t.callTree} (${t.source}: ${traceSource || 'N/A'})`,
+                    lines: this.callTreeLines(callTree)
+                },
+                logs.length && {
+                    kind: 'table',
+                    title: t.logs,
+                    headers: [t.headers.index, t.headers.address, t.headers.event],
+                    rows: logs.map(log => [
+                        String(log.logIndex),
+                        address(log.address),
+                        log.event
+                            ? `${log.event}(${log.params.map(param => `${param.name}=${typeof param.value === 'object' ? JSON.stringify(param.value) : param.value}`).join(', ')})`
+                            : `${t.unknown} ${log.signature}`
+                    ])
+                },
+                { kind: 'raw', data: { callTree, logs } }
+            ]);
+        }
+
+        const accessControl = analysis.victimAnalysis?.accessControl;
+        if (accessControl) {
+            const holderRows = holders => Object.entries(holders).flatMap(([contract, { owner, pendingOwner, roles, safe }]) => [
+                owner && [address(contract), t.access.owner, address(owner)],
+                pendingOwner && [address(contract), t.access.pendingOwner, address(pendingOwner)],
+                ...Object.entries(roles).map(([role, { name, members }]) => [address(contract), `${t.access.role} ${name || role}`, members.join(', ')]),
+                safe && [address(contract), t.access.safe, `${safe.threshold ?? '?'} / ${safe.owners.join(', ')}`]
+            ].filter(Boolean));
+            const holderTable = (title, holders) => {
+                const rows = holderRows(holders);
+                return rows.length && { kind: 'table', title, headers: [t.headers.address, t.headers.privilege, t.headers.holders], rows };
+            };
+
+            add('accessControl', [
+                {
+                    kind: 'list',
+                    title: t.access.contracts,
+                    items: accessControl.contracts.map(contract =>
+                        `${contract.address} (${t.access.deployedAt} ${contract.deploymentBlock ?? '?'}${contract.complete ? '' : `, ${t.access.partial}`})`)
+                },
+                accessControl.changes.length && {
+                    kind: 'table',
+                    headers: [t.headers.block, t.headers.kind, t.headers.description, t.headers.caller, t.headers.transaction, t.headers.reason],
+                    rows: accessControl.changes.map(change => [
+                        String(change.blockNumber),
+                        change.kind,
+                        describeAccessChange(change, t.accessChanges),
+                        address(change.caller) || t.unknown,
+                        tx(change.transactionHash),
+                        formatReasons(change.reason) || '—'
+                    ])
+                },
+                holderTable(`${t.access.holdersAt} ${accessControl.toBlock}`, accessControl.holders),
+                accessControl.holdersBeforeHack && holderTable(`${t.access.holdersAt} ${accessControl.hackBlock - 1} (${t.access.beforeHack})`, accessControl.holdersBeforeHack),
+                accessControl.holdersAtBlock && holderTable(`${t.access.holdersAt} ${accessControl.holdersAtBlock.blockNumber}`, accessControl.holdersAtBlock.holders),
+                { kind: 'raw', data: accessControl }
+            ]);
+        }
+
+        const initialization = analysis.victimAnalysis?.initialization;
+        if (initialization?.contracts.length) {
+            const state = contract => {
+                if (contract.destroyed) return t.initialization.destroyed;
+                if (contract.disabled) return `${t.initialization.disabled} (${contract.layout})`;
+                if (contract.initialized !== '0') return `${t.initialization.initialized} ${contract.initialized} (${contract.layout})`;
+                return contract.hasInitializer ? t.initialization.uninitialized : `${t.initialization.uninitialized}, ${t.initialization.noInitializer}`;
+            };
+
+            add('initialization', [
+                {
+                    kind: 'table',
+                    headers: [t.headers.address, t.headers.role, t.headers.state, t.headers.deployer, t.headers.block, t.headers.caller, t.headers.transaction, t.headers.reason],
+                    rows: initialization.contracts.map(contract => [
+                        address(contract.address),
+                        t.initialization.roles[contract.role],
+                        state(contract),
+                        address(contract.deployer) || t.unknown,
+                        contract.initialization ? String(contract.initialization.blockNumber) : '—',
+                        address(contract.initialization?.caller) || '—',
+                        tx(contract.initialization?.txHash) || '—',
+                        formatReasons(contract.reason) || '—'
+                    ])
+                },
+                { kind: 'raw', data: initialization }
+            ]);
+        }
+
+        if (analysis.suspiciousActions?.length) {
+            add('suspiciousActions', [
+                {
+                    kind: 'table',
+                    headers: [t.headers.transaction, t.headers.from, t.headers.to, t.headers.method, t.headers.reason, t.headers.date],
+                    rows: analysis.suspiciousActions.map(action => [
+                        tx(action.hash),
+                        address(action.from),
+                        address(action.to),
+                        action.decodedInput ? formatDecodedCall(action.decodedInput) : 'N/A',
+                        formatReasons(action.reason),
+                        action.timestamp
+                    ])
+                },
+                { kind: 'raw', data: analysis.suspiciousActions }
+            ]);
+        }
+
+        const profile = analysis.attackerProfile;
+        if (profile) {
+            add('attackerProfile', [
+                {
+                    kind: 'fields',
+                    items: [
+                        [t.fields.hackerAddress, address(profile.address)],
+                        [t.fields.isContract, profile.isContract ? t.yes : t.no],
+                        [t.fields.nonce, String(profile.nonce)],
+                        [t.fields.firstSeen, profile.firstSeen ? `${profile.firstSeen.timestamp} (${t.headers.block} ${profile.firstSeen.blockNumber})` : t.unknown],
+                        [t.fields.ageDays, profile.ageSeconds !== null ? (profile.ageSeconds / 86400).toFixed(1) : t.unknown],
+                        [t.fields.fundingOrigin, `${profile.fundingOrigin.address} (${t.attacker.origins[profile.fundingOrigin.reason]})`]
+                    ]
+                },
+                profile.funding.length && {
+                    kind: 'table',
+                    title: t.attacker.funding,
+                    headers: [t.headers.index, t.headers.address, t.headers.funder, t.headers.amount, t.headers.transaction, t.headers.date],
+                    rows: profile.funding.map(entry => [
+                        String(entry.hop),
+                        address(entry.address),
+                        address(entry.funder),
+                        entry.value,
+                        tx(entry.txHash),
+                        entry.timestamp
+                    ])
+                },
+                profile.deployedContracts.length && {
+                    kind: 'table',
+                    title: t.attacker.deployedContracts,
+                    headers: [t.headers.address, t.headers.deployedVia, t.headers.transaction, t.headers.block, t.headers.codeHash],
+                    rows: profile.deployedContracts.map(contract => [
+                        address(contract.address),
+                        contract.factory ? address(contract.factory) : t.attacker.direct,
+                        tx(contract.txHash),
+                        String(contract.blockNumber),
+                        contract.codeHash || 'N/A'
+                    ])
+                },
+                profile.interactions.length && {
+                    kind: 'table',
+                    title: t.attacker.interactions,
+                    headers: [t.headers.address, t.headers.calls, t.headers.tokenTransfers, t.fields.firstSeen, t.headers.lastSeen],
+                    rows: profile.interactions.map(entry => [
+                        address(entry.address),
+                        String(entry.calls),
+                        String(entry.tokenTransfers),
+                        entry.firstSeen,
+                        entry.lastSeen
+                    ])
+                },
+                profile.bytecodeReuse.length && {
+                    kind: 'table',
+                    title: t.attacker.bytecodeReuse,
+                    headers: [t.headers.strippedCodeHash, t.headers.address, t.headers.origin, t.headers.codeHash],
+                    rows: profile.bytecodeReuse.flatMap(({ strippedCodeHash, contracts }) => contracts.map(contract => [
+                        strippedCodeHash,
+                        address(contract.address),
+                        contract.origin,
+                        contract.codeHash || 'N/A'
+                    ]))
+                },
+                { kind: 'raw', data: profile }
+            ]);
+        }
+
+        if (analysis.fundFlow) {
+            add('fundFlow', [
+                {
+                    kind: 'table',
+                    headers: [t.headers.token, t.headers.stolen, t.headers.finalHolders],
+                    rows: analysis.fundFlow.summary.map(entry => [
+                        entry.token.address ? { address: entry.token.address, label: entry.token.symbol } : entry.token.symbol,
+                        entry.formattedStolen,
+                        entry.finalHolders.map(holder => `${holder.label ? `${holder.label.name} ` : ''}${holder.address} (${holder.formattedAmount})`).join(', ')
+                    ])
+                },
+                { kind: 'raw', data: analysis.fundFlow }
+            ]);
+        }
+
+        if (analysis.upgradeHistory?.length) {
+            add('upgradeHistory', [
+                {
+                    kind: 'table',
+                    headers: [t.headers.block, t.headers.kind, t.headers.before, t.headers.after, t.headers.transaction, t.headers.caller, t.headers.source],
+                    rows: analysis.upgradeHistory.map(change => [
+                        String(change.blockNumber),
+                        change.kind,
+                        address(change.oldValue),
+                        address(change.newValue),
+                        tx(change.transactionHash) || t.unknown,
+                        address(change.caller) || t.unknown,
+                        change.source
+                    ])
+                },
+                { kind: 'raw', data: analysis.upgradeHistory }
+            ]);
+        }
+
+        const comparisons = (analysis.implementationHistory || []).filter(entry => entry.comparison);
+        if (comparisons.length) {
+            const verified = inspection => inspection?.source ? (inspection.source.verified ? t.yes : t.no) : t.unknown;
+            add('implementationDiff', comparisons.flatMap(({ blockNumber, comparison }) => {
+                const { before, after } = comparison;
+                const title = `${t.headers.block} ${blockNumber}${t.separator}${before?.address || '—'} → ${after.address}`;
+                return [
+                    {
+                        kind: 'fields',
+                        title,
+                        items: [
+                            [t.headers.previousImplementation, address(before?.address) || '—'],
+                            [t.headers.newImplementation, address(after.address)],
+                            [t.fields.verifiedSource, `${verified(before)} → ${verified(after)}`],
+                            [t.fields.codeSize, `${before?.size ?? 0} → ${after.size}`],
+                            [t.fields.identical, comparison.identical ? t.yes : t.no],
+                            [t.fields.selectorChanges, `+${comparison.added} / -${comparison.removed}`],
+                            [t.fields.risk, comparison.risk || '—']
+                        ]
+                    },
+                    comparison.selectors.length && {
+                        kind: 'table',
+                        headers: [t.headers.selector, t.headers.signature, t.headers.previousImplementation, t.headers.newImplementation],
+                        rows: comparison.selectors.map(entry => [
+                            entry.selector,
+                            entry.signature || t.unknown,
+                            entry.before ? '✓' : '—',
+                            entry.after ? '✓' : '—'
+                        ])
+                    },
+                    comparison.newFindings.length && {
+                        kind: 'list',
+                        items: comparison.newFindings.map(finding => `[${finding.severity}] ${finding.explanation}`)
+                    }
+                ];
+            }));
+        }
+
+        const replay = analysis.replay;
+        if (replay) {
+            const asset = value => value === 'native' ? value : address(value);
+            add('replay', [
+                {
+                    kind: 'fields',
+                    items: [
+                        [t.fields.hackTransaction, tx(replay.transaction.hash)],
+                        [t.replay.hardfork, replay.hardfork],
+                        [t.replay.prestate, `${replay.prestate.source}, ${replay.prestate.accounts} ${t.replay.accounts}, ${replay.prestate.fetched} ${t.replay.fetched}`
+                            + `${replay.prestate.approximate ? `, ${t.replay.approximate}` : ''}`]
+                    ]
+                },
+                {
+                    kind: 'table',
+                    headers: [t.replay.scenario, t.headers.description, t.replay.outcome, t.replay.attack, t.replay.opcodes, t.replay.trace],
+                    rows: replay.runs.map(run => [
+                        run.id,
+                        run.description,
+                        run.success ? t.replay.executed : `${t.replay.reverted} (${run.error})`,
+                        `${run.attackSucceeded ? t.replay.succeeded : t.replay.failed}${run.mitigated ? `, ${t.replay.blocked}` : ''}${run.faithful === false ? `, ${t.replay.unfaithful}` : ''}`,
+                        String(run.trace.steps),
+                        run.trace.file || '—'
+                    ])
+                },
+                ...replay.runs.map(run => run.balanceChanges.length && {
+                    kind: 'table',
+                    title: `${t.replay.balances} : ${run.id}`,
+                    headers: [t.headers.address, t.replay.asset, t.replay.delta],
+                    rows: run.balanceChanges.map(change => [address(change.address), asset(change.asset), change.delta])
+                }),
+                ...replay.runs.map(run => run.differences?.length && {
+                    kind: 'table',
+                    title: `${t.replay.differences} : ${run.id}`,
+                    headers: [t.headers.address, t.replay.asset, t.replay.baseline, t.replay.scenario],
+                    rows: run.differences.map(diff => [address(diff.address), asset(diff.asset), diff.baseline, diff.scenario])
+                }),
+                { kind: 'raw', data: replay }
+            ]);
+        }
+
+        const timeline = analysis.timeline;
+        if (timeline?.events.length) {
+            const { parameters, events } = timeline;
+            add('timeline', [
+                {
+                    kind: 'fields',
+                    items: [
+                        [t.fields.eventCount, parameters.fromBlock !== null ? `${events.length} / ${parameters.total}` : String(events.length)],
+                        parameters.fromBlock !== null && [t.fields.timelineWindow,
+                            `${parameters.fromBlock} → ${parameters.toBlock} (${t.headers.block} ${parameters.hackBlock} ± ${parameters.window})`]
+                    ].filter(Boolean)
+                },
+                {
+                    kind: 'table',
+                    headers: [t.headers.date, t.headers.block, t.headers.kind, t.headers.actor, t.headers.target, t.headers.description, t.headers.severity, t.headers.transaction],
+                    rows: events.map(event => [
+                        event.timestamp || t.unknown,
+                        `${event.blockNumber ?? '?'}${event.txIndex !== null ? ` #${event.txIndex}` : ''}`,
+                        event.kind,
+                        address(event.actor) || '—',
+                        address(event.target) || '—',
+                        event.description,
+                        event.severity || '—',
+                        tx(event.txHash) || '—'
+                    ])
+                }
+            ]);
+        }
+
+        const relatedContracts = Array.from(analysis.relatedContracts || []);
+        if (relatedContracts.length) {
+            add('relatedContracts', [{ kind: 'list', items: relatedContracts.map(address) }]);
+        }
+
+        const labels = Object.entries(analysis.labels || {});
+        if (labels.length) {
+            add('labels', [
+                {
+                    kind: 'table',
+                    headers: [t.headers.address, t.headers.name, t.headers.category, t.headers.source],
+                    rows: labels.map(([value, label]) => [{ address: value }, label.name, label.category, label.source])
+                },
+                analysis.labelSources?.length && {
+                    kind: 'table',
+                    headers: [t.headers.source, t.headers.version, t.headers.count],
+                    rows: analysis.labelSources.map(({ source, version, count }) => [source, version || t.unknown, String(count)])
+                }
+            ]);
+        }
+
+        if (Object.keys(diagrams).length) {
+            add('diagrams', Object.entries(diagrams).map(([name, source]) => ({
+                kind: 'diagram',
+                title: t.diagrams[name] || name,
+                source
+            })));
+        }
+
+        add('rawData', [{ kind: 'raw', data: analysis }]);
+        return sections;
+    }
+
+    callTreeLines(node, lines = []) {
+        const selector = node.input && node.input.length >= 10 ? node.input.slice(0, 10) : '';
+        const call = node.decodedInput && node.decodedInput.method !== 'unknown' ? formatDecodedCall(node.decodedInput) : selector;
+        const value = node.value && node.value !== '0' ? ` value=${node.value}` : '';
+        const status = node.error ? ` ❌ ${node.revertReason || node.error}` : '';
+        lines.push(`${'  '.repeat(node.depth)}${node.type} ${node.from} → ${node.to} ${call}${value} gas=${node.gasUsed ?? '?'}${status}`);
+        node.calls.forEach(child => this.callTreeLines(child, lines));
+        return lines;
+    }
+
+    linkOf(value) {
+        if (value?.address) return { text: value.label || value.address, url: this.explorer?.addressUrl(value.address) };
+        if (value?.tx) return { text: value.tx, url: this.explorer?.txUrl(value.tx) };
+        return null;
+    }
+
+    /**
+     * Rapport Markdown, les diagrammes étant intégrés en blocs ```mermaid
+     */
+    renderMarkdown(analysis, metadata, diagrams = {}) {
+        const inline = value => {
+            if (value === null || value === undefined) return 'N/A';
+            const link = this.linkOf(value);
+            if (link) return link.url ? `[\`${link.text}\`](${link.url})` : `\`${link.text}\``;
+            return String(value);
+        };
+
+        const lines = [`# ${this.strings.title}`, ''];
+        for (const section of this.buildSections(analysis, metadata, diagrams)) {
+            lines.push(`## ${section.title}`, '');
+            for (const block of section.blocks) {
+                if (block.title) lines.push(`### ${block.title}`, '');
+                switch (block.kind) {
+                case 'fields':
+                    block.items.forEach(([label, value]) => lines.push(`- **${label}**${this.strings.separator}${inline(value)}`));
+                    break;
+                case 'table':
+                    lines.push(`| ${block.headers.join(' | ')} |`, `|${block.headers.map(() => '---').join('|')}|`);
+                    block.rows.forEach(row => lines.push(`| ${row.map(cell => escapeMarkdownCell(inline(cell))).join(' | ')} |`));
+                    break;
+                case 'list':
+                    block.items.forEach(item => lines.push(`- ${inline(item)}`));
+                    break;
+                case 'pre':
+                    lines.push('```', ...block.lines, '```');
+                    break;
+                case 'diagram':
+                    lines.push('```mermaid', block.source, '```');
+                    break;
+                case 'raw':
+                    lines.push('<details>', `<summary>${this.strings.rawSummary}</summary>`, '', '```json', stringify(block.data), '```', '', '</details>');
+                    break;
+                }
+                lines.push('');
+            }
+        }
+        lines.push('---', `_${this.strings.generatedBy}_`, '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Rapport HTML autonome : styles intégrés et, si le paquet mermaid est installé,
+     * bundle mermaid intégré pour afficher les diagrammes hors ligne
+     */
+    renderHtml(analysis, metadata, diagrams = {}) {
+        const inline = value => {
+            if (value === null || value === undefined) return 'N/A';
+            const link = this.linkOf(value);
+            if (link) {
+                const code = `<code>${escapeHtml(link.text)}</code>`;
+                return link.url ? `<a href="${escapeHtml(link.url)}" target="_blank" rel="noopener">${code}</a>` : code;
+            }
+            return escapeHtml(value);
+        };
+
+        const body = [];
+        for (const section of this.buildSections(analysis, metadata, diagrams)) {
+            body.push(`<section id="${section.id}">`, `<h2>${escapeHtml(section.title)}</h2>`);
+            for (const block of section.blocks) {
+                if (block.title) body.push(`<h3>${escapeHtml(block.title)}</h3>`);
+                switch (block.kind) {
+                case 'fields':
+                    body.push('<dl>', ...block.items.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${inline(value)}</dd>`), '</dl>');
+                    break;
+                case 'table':
+                    body.push('<table>',
+                        `<thead><tr>${block.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`,
+                        '<tbody>', ...block.rows.map(row => `<tr>${row.map(cell => `<td>${inline(cell)}</td>`).join('')}</tr>`), '</tbody>',
+                        '</table>');
+                    break;
+                case 'list':
+                    body.push('<ul>', ...block.items.map(item => `<li>${inline(item)}</li>`), '</ul>');
+                    break;
+                case 'pre':
+                    body.push(`<pre>${escapeHtml(block.lines.join('\n'))}</pre>`);
+                    break;
+                case 'diagram':
+                    body.push(`<pre class="mermaid">${escapeHtml(block.source)}</pre>`);
+                    break;
+                case 'raw':
+                    body.push(`<details><summary>${escapeHtml(this.strings.rawSummary)}</summary><pre>${escapeHtml(stringify(block.data))}</pre></details>`);
+                    break;
+                }
+            }
+            body.push('</section>');
+        }
+
+        const bundle = Object.keys(diagrams).length ? loadMermaidBundle() : null;
+        const scripts = bundle
+            ? `<script>${bundle.replace(/<\/script/gi, '<\\/script')}</script>\n<script>mermaid.initialize({ startOnLoad: true });</script>`
+            : '';
+
+        return `<!DOCTYPE html>
+<html lang="${this.language}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(this.strings.title)} — ${escapeHtml(metadata.hackTransaction || metadata.victimContract || metadata.hackerAddress || '')}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(this.strings.title)}</h1>
+${body.join('\n')}
+<footer>${escapeHtml(this.strings.generatedBy)} — ${escapeHtml(metadata.analyzedAt || '')}</footer>
+${scripts}
+</body>
+</html>
+`;
+    }
+}
@@ -0,0 +1,451 @@
+export const REPORT_LANGUAGES = ['fr', 'en'];
+
+const STRINGS = {
+    fr: {
+        title: 'Rapport d\'incident',
+        sections: {
+            summary: 'Résumé',
+            stateChanges: 'Changements d\'état',
+            decodedCalls: 'Appels décodés',
+            accessControl: 'Droits d\'accès',
+            initialization: 'Initialisation',
+            suspiciousActions: 'Actions suspectes',
+            attackerProfile: 'Profil de l\'attaquant',
+            fundFlow: 'Fonds volés',
+            upgradeHistory: 'Historique des changements du proxy',
+            implementationDiff: 'Comparaison des implémentations',
+            replay: 'Rejeu local (EVM)',
+            timeline: 'Chronologie de l\'incident',
+            relatedContracts: 'Contrats impliqués',
+            labels: 'Adresses étiquetées',
+            diagrams: 'Diagrammes',
+            rawData: 'Données brutes'
+        },
+        fields: {
+            chain: 'Chaîne',
+            hackTransaction: 'Transaction de hack',
+            victimContract: 'Contrat victime',
+            hackerAddress: 'Adresse du hacker',
+            knownImplementation: 'Implémentation connue',
+            analyzedAt: 'Date d\'analyse',
+            isProxy: 'Proxy',
+            codeHash: 'Code hash',
+            suspiciousCount: 'Actions suspectes',
+            upgradeCount: 'Changements du proxy',
+            proxyKind: 'Type de proxy',
+            implementationChain: 'Chaîne d\'implémentations',
+            upgradeAuthority: 'Autorité d\'upgrade',
+            facets: 'Facettes',
+            stolenTokens: 'Tokens volés',
+            verifiedSource: 'Source vérifiée',
+            codeSize: 'Taille du code (octets)',
+            selectorChanges: 'Sélecteurs ajoutés / retirés',
+            risk: 'Risque',
+            identical: 'Bytecode identique',
+            isContract: 'Contrat',
+            nonce: 'Nonce',
+            firstSeen: 'Première activité',
+            ageDays: 'Ancienneté au hack (jours)',
+            fundingOrigin: 'Origine du financement',
+            eventCount: 'Événements',
+            timelineWindow: 'Fenêtre (blocs)'
+        },
+        headers: {
+            slot: 'Slot',
+            before: 'Avant',
+            after: 'Après',
+            account: 'Compte',
+            index: '#',
+            address: 'Adresse',
+            event: 'Événement',
+            transaction: 'Transaction',
+            from: 'De',
+            to: 'À',
+            method: 'Méthode',
+            reason: 'Raison',
+            date: 'Date',
+            token: 'Token',
+            stolen: 'Volé',
+            finalHolders: 'Détenteurs finaux',
+            block: 'Bloc',
+            kind: 'Type',
+            caller: 'Appelant',
+            source: 'Source',
+            selector: 'Sélecteur',
+            signature: 'Signature',
+            previousImplementation: 'Ancienne implémentation',
+            newImplementation: 'Nouvelle implémentation',
+            funder: 'Financeur',
+            amount: 'Montant',
+            deployedVia: 'Déploiement',
+            calls: 'Appels',
+            tokenTransfers: 'Transferts de tokens reçus',
+            lastSeen: 'Dernière activité',
+            codeHash: 'Code hash',
+            strippedCodeHash: 'Code hash hors métadonnées',
+            origin: 'Origine',
+            name: 'Nom',
+            category: 'Catégorie',
+            version: 'Version',
+            count: 'Étiquettes',
+            actor: 'Acteur',
+            target: 'Cible',
+            description: 'Description',
+            severity: 'Sévérité',
+            privilege: 'Droit',
+            holders: 'Détenteurs',
+            role: 'Rôle',
+            state: 'État',
+            deployer: 'Déployeur'
+        },
+        attacker: {
+            funding: 'Financement',
+            deployedContracts: 'Contrats déployés',
+            interactions: 'Contrats touchés (victimes possibles)',
+            bytecodeReuse: 'Bytecode réutilisé',
+            direct: 'direct',
+            origins: {
+                contract: 'contrat (mixeur, bridge...)',
+                service: 'adresse très active (exchange ?)',
+                loop: 'boucle de financement',
+                unfunded: 'aucun financement trouvé',
+                unavailable: 'explorer indisponible',
+                'max-hops': 'limite de sauts atteinte'
+            }
+        },
+        access: {
+            contracts: 'Contrats suivis',
+            deployedAt: 'déployé au bloc',
+            partial: 'historique partiel',
+            holdersAt: 'Détenteurs au bloc',
+            beforeHack: 'avant le hack',
+            owner: 'Propriétaire',
+            pendingOwner: 'Propriétaire en attente',
+            role: 'Rôle',
+            safe: 'Safe (seuil / propriétaires)'
+        },
+        initialization: {
+            destroyed: 'code détruit',
+            disabled: 'initialiseurs désactivés',
+            initialized: 'initialisé, version',
+            uninitialized: 'non initialisé',
+            noInitializer: 'sans initialiseur connu',
+            roles: { proxy: 'proxy', implementation: 'implémentation', contract: 'contrat' }
+        },
+        replay: {
+            hardfork: 'Hardfork',
+            prestate: 'Pré-état',
+            accounts: 'comptes',
+            fetched: 'lectures complémentaires',
+            approximate: 'approximatif (bloc précédent)',
+            scenario: 'Scénario',
+            outcome: 'Exécution',
+            attack: 'Attaque',
+            executed: 'exécutée',
+            reverted: 'revert',
+            succeeded: 'réussie',
+            failed: 'échouée',
+            blocked: 'bloquée par le scénario',
+            unfaithful: 'différente de la transaction minée',
+            opcodes: 'Opcodes',
+            trace: 'Trace opcode par opcode',
+            asset: 'Actif',
+            delta: 'Variation',
+            baseline: 'Transaction d\'origine',
+            balances: 'Variations de solde',
+            differences: 'Écarts avec la transaction d\'origine'
+        },
+        diagrams: {
+            interactions: 'Interactions entre contrats',
+            callTree: 'Arbre d\'appels de la transaction de hack',
+            timeline: 'Chronologie des changements du proxy'
+        },
+        diagramLabels: {
+            attacker: 'Attaquant',
+            victim: 'Victime',
+            proxyChanges: 'Changements du proxy',
+            by: 'par',
+            block: 'Bloc',
+            truncated: 'arbre tronqué à',
+            messages: 'messages'
+        },
+        events: {
+            funding: 'Financement',
+            hop: 'saut',
+            native: 'natif',
+            attackerDeployment: 'Déploiement d\'un contrat de l\'attaquant',
+            viaFactory: 'via une factory',
+            destroyedSince: 'détruit depuis',
+            proxyChange: 'Changement du proxy',
+            source: 'source',
+            transfer: 'transfert',
+            deployment: 'déploiement',
+            hackTransaction: 'Transaction de hack',
+            unknownLog: 'Log inconnu',
+            state: 'État',
+            created: 'créé',
+            destroyed: 'détruit',
+            balance: 'solde',
+            codeChanged: 'code modifié',
+            slotsChanged: 'slot(s) modifié(s)',
+            including: 'dont',
+            trackedTransfer: 'Transfert'
+        },
+        accessChanges: {
+            ownership: 'Transfert de propriété',
+            ownershipPending: 'Transfert de propriété proposé à',
+            role: 'Rôle',
+            grantedTo: 'accordé à',
+            revokedFrom: 'retiré à',
+            roleAdmin: 'Rôle admin de',
+            changedTo: 'changé en',
+            safeSetup: 'Safe initialisé',
+            owners: 'propriétaires',
+            threshold: 'seuil',
+            safeOwner: 'Propriétaire',
+            addedToSafe: 'ajouté au Safe',
+            removedFromSafe: 'retiré du Safe',
+            safeThreshold: 'Seuil du Safe changé à'
+        },
+        callTree: 'Arbre d\'appels',
+        logs: 'Logs décodés',
+        accountDiff: 'Diff par compte',
+        source: 'source',
+        yes: 'oui',
+        no: 'non',
+        unknown: 'inconnu',
+        none: 'Aucune donnée',
+        rawSummary: 'Afficher les données',
+        generatedBy: 'Généré par analyze_hack.js',
+        separator: ' : '
+    },
+    en: {
+        title: 'Incident report',
+        sections: {
+            summary: 'Summary',
+            stateChanges: 'State changes',
+            decodedCalls: 'Decoded calls',
+            accessControl: 'Access control',
+            initialization: 'Initialization',
+            suspiciousActions: 'Suspicious actions',
+            attackerProfile: 'Attacker profile',
+            fundFlow: 'Stolen funds',
+            upgradeHistory: 'Proxy change history',
+            implementationDiff: 'Implementation comparison',
+            replay: 'Local replay (EVM)',
+            timeline: 'Incident timeline',
+            relatedContracts: 'Related contracts',
+            labels: 'Labelled addresses',
+            diagrams: 'Diagrams',
+            rawData: 'Raw data'
+        },
+        fields: {
+            chain: 'Chain',
+            hackTransaction: 'Hack transaction',
+            victimContract: 'Victim contract',
+            hackerAddress: 'Attacker address',
+            knownImplementation: 'Known implementation',
+            analyzedAt: 'Analyzed at',
+            isProxy: 'Proxy',
+            codeHash: 'Code hash',
+            suspiciousCount: 'Suspicious actions',
+            upgradeCount: 'Proxy changes',
+            proxyKind: 'Proxy kind',
+            implementationChain: 'Implementation chain',
+            upgradeAuthority: 'Upgrade authority',
+            facets: 'Facets',
+            stolenTokens: 'Stolen tokens',
+            verifiedSource: 'Verified source',
+            codeSize: 'Code size (bytes)',
+            selectorChanges: 'Selectors added / removed',
+            risk: 'Risk',
+            identical: 'Identical bytecode',
+            isContract: 'Contract',
+            nonce: 'Nonce',
+            firstSeen: 'First seen',
+            ageDays: 'Age at hack time (days)',
+            fundingOrigin: 'Funding origin',
+            eventCount: 'Events',
+            timelineWindow: 'Window (blocks)'
+        },
+        headers: {
+            slot: 'Slot',
+            before: 'Before',
+            after: 'After',
+            account: 'Account',
+            index: '#',
+            address: 'Address',
+            event: 'Event',
+            transaction: 'Transaction',
+            from: 'From',
+            to: 'To',
+            method: 'Method',
+            reason: 'Reason',
+            date: 'Date',
+            token: 'Token',
+            stolen: 'Stolen',
+            finalHolders: 'Final holders',
+            block: 'Block',
+            kind: 'Kind',
+            caller: 'Caller',
+            source: 'Source',
+            selector: 'Selector',
+            signature: 'Signature',
+            previousImplementation: 'Previous implementation',
+            newImplementation: 'New implementation',
+            funder: 'Funder',
+            amount: 'Amount',
+            deployedVia: 'Deployed via',
+            calls: 'Calls',
+            tokenTransfers: 'Token transfers received',
+            lastSeen: 'Last seen',
+            codeHash: 'Code hash',
+            strippedCodeHash: 'Code hash without metadata',
+            origin: 'Origin',
+            name: 'Name',
+            category: 'Category',
+            version: 'Version',
+            count: 'Labels',
+            actor: 'Actor',
+            target: 'Target',
+            description: 'Description',
+            severity: 'Severity',
+            privilege: 'Privilege',
+            holders: 'Holders',
+            role: 'Role',
+            state: 'State',
+            deployer: 'Deployer'
+        },
+        attacker: {
+            funding: 'Funding',
+            deployedContracts: 'Deployed contracts',
+            interactions: 'Contracts interacted with (possible victims)',
+            bytecodeReuse: 'Reused bytecode',
+            direct: 'direct',
+            origins: {
+                contract: 'contract (mixer, bridge...)',
+                service: 'highly active address (exchange?)',
+                loop: 'funding loop',
+                unfunded: 'no funding found',
+                unavailable: 'explorer unavailable',
+                'max-hops': 'hop limit reached'
+            }
+        },
+        access: {
+            contracts: 'Tracked contracts',
+            deployedAt: 'deployed at block',
+            partial: 'partial history',
+            holdersAt: 'Holders at block',
+            beforeHack: 'before the hack',
+            owner: 'Owner',
+            pendingOwner: 'Pending owner',
+            role: 'Role',
+            safe: 'Safe (threshold / owners)'
+        },
+        initialization: {
+            destroyed: 'code destroyed',
+            disabled: 'initializers disabled',
+            initialized: 'initialized, version',
+            uninitialized: 'not initialized',
+            noInitializer: 'no known initializer',
+            roles: { proxy: 'proxy', implementation: 'implementation', contract: 'contract' }
+        },
+        replay: {
+            hardfork: 'Hardfork',
+            prestate: 'Pre-state',
+            accounts: 'accounts',
+            fetched: 'additional reads',
+            approximate: 'approximate (previous block)',
+            scenario: 'Scenario',
+            outcome: 'Execution',
+            attack: 'Attack',
+            executed: 'executed',
+            reverted: 'reverted',
+            succeeded: 'succeeded',
+            failed: 'failed',
+            blocked: 'blocked by the scenario',
+            unfaithful: 'differs from the mined transaction',
+            opcodes: 'Opcodes',
+            trace: 'Opcode trace',
+            asset: 'Asset',
+            delta: 'Change',
+            baseline: 'Original transaction',
+            balances: 'Balance changes',
+            differences: 'Differences from the original transaction'
+        },
+        diagrams: {
+            interactions: 'Contract interactions',
+            callTree: 'Hack transaction call tree',
+            timeline: 'Proxy change timeline'
+        },
+        diagramLabels: {
+            attacker: 'Attacker',
+            victim: 'Victim',
+            proxyChanges: 'Proxy changes',
+            by: 'by',
+            block: 'Block',
+            truncated: 'tree truncated at',
+            messages: 'messages'
+        },
+        events: {
+            funding: 'Funding',
+            hop: 'hop',
+            native: 'native',
+            attackerDeployment: 'Attacker contract deployment',
+            viaFactory: 'via a factory',
+            destroyedSince: 'since destroyed',
+            proxyChange: 'Proxy change',
+            source: 'source',
+            transfer: 'transfer',
+            deployment: 'deployment',
+            hackTransaction: 'Hack transaction',
+            unknownLog: 'Unknown log',
+            state: 'State',
+            created: 'created',
+            destroyed: 'destroyed',
+            balance: 'balance',
+            codeChanged: 'code changed',
+            slotsChanged: 'slot(s) changed',
+            including: 'including',
+            trackedTransfer: 'Transfer'
+        },
+        accessChanges: {
+            ownership: 'Ownership transfer',
+            ownershipPending: 'Ownership transfer proposed to',
+            role: 'Role',
+            grantedTo: 'granted to',
+            revokedFrom: 'revoked from',
+            roleAdmin: 'Admin role of',
+            changedTo: 'changed to',
+            safeSetup: 'Safe set up',
+            owners: 'owners',
+            threshold: 'threshold',
+            safeOwner: 'Owner',
+            addedToSafe: 'added to the Safe',
+            removedFromSafe: 'removed from the Safe',
+            safeThreshold: 'Safe threshold changed to'
+        },
+        callTree: 'Call tree',
+        logs: 'Decoded logs',
+        accountDiff: 'Per-account diff',
+        source: 'source',
+        yes: 'yes',
+        no: 'no',
+        unknown: 'unknown',
+        none: 'No data',
+        rawSummary: 'Show data',
+        generatedBy: 'Generated by analyze_hack.js',
+        separator: ': '
+    }
+};
+
+/**
+ * Libellés des rapports dans une langue : rendu HTML et Markdown, diagrammes, chronologie
+ * @param {string} language - Langue du rapport (`fr`, `en`)
+ */
+export function reportStrings(language = 'fr') {
+    if (!STRINGS[language]) {
+        throw new Error(`Langue de rapport non supportée : "${language}" (${REPORT_LANGUAGES.join(', ')})`);
+    }
+    return STRINGS[language];
+}
@@ -0,0 +1,187 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { Web3BaseProvider } from 'web3';
+
+export const CACHE_MODES = ['record', 'replay'];
+
+const BUNDLE_VERSION = 1;
+
+// Position du paramètre de bloc des méthodes lisant l'état
+const BLOCK_PARAM_POSITION = {
+    eth_getBalance: 1,
+    eth_getCode: 1,
+    eth_getStorageAt: 2,
+    eth_getTransactionCount: 1,
+    eth_call: 1,
+    eth_getProof: 2,
+    eth_getBlockByNumber: 0
+};
+
+// Méthodes adressées par hash : la réponse ne change plus une fois la transaction minée
+const HASH_METHODS = new Set([
+    'eth_chainId',
+    'eth_getTransactionByHash',
+    'eth_getTransactionReceipt',
+    'eth_getBlockByHash',
+    'debug_traceTransaction',
+    'trace_transaction',
+    'trace_replayTransaction'
+]);
+
+/**
+ * Réponse absente d'un bundle rejoué : l'analyse ne peut pas être reproduite à l'identique
+ */
+export class CacheMissError extends Error {
+    constructor(kind, request) {
+        super(`Réponse ${kind} absente du bundle rejoué : ${JSON.stringify(request)}`);
+        this.name = 'CacheMissError';
+        this.kind = kind;
+        this.request = request;
+    }
+}
+
+const isBlockNumber = value => typeof value === 'string' && /^0x[0-9a-f]+$/i.test(value);
+
+/**
+ * Indique si une requête RPC porte sur un état historique figé
+ * @param {Object} payload - Requête JSON-RPC
+ * @param {Object} response - Réponse JSON-RPC
+ */
+export function isImmutableRpcQuery({ method, params = [] }, response) {
+    if (response.error || response.result === null || response.result === undefined) return false;
+    if (HASH_METHODS.has(method)) return true;
+    if (method === 'eth_getLogs') {
+        const [filter = {}] = params;
+        return Boolean(filter.blockHash) || (isBlockNumber(filter.fromBlock) && isBlockNumber(filter.toBlock));
+    }
+    return method in BLOCK_PARAM_POSITION && isBlockNumber(params[BLOCK_PARAM_POSITION[method]]);
+}
+
+/**
+ * Indique si une requête d'explorer ne peut plus changer (recherche par hash, création de contrat)
+ * @param {Object} params - Paramètres de la requête
+ * @param {Object} data - Réponse de l'explorer
+ */
+export function isImmutableExplorerQuery(params, data) {
+    if (data?.status !== '1') return false;
+    return Boolean(params.txhash) || params.action === 'getcontractcreation';
+}
+
+/**
+ * Cache persistant des réponses RPC et explorer, stocké dans un bundle JSON unique.
+ *
+ * - `record` : les requêtes historiques figées sont servies depuis le bundle si elles y sont,
+ *   toutes les autres sont rejouées sur le réseau puis enregistrées
+ * - `replay` : tout est servi depuis le bundle, sans aucun accès réseau ;
+ *   une requête absente lève une CacheMissError
+ */
+export class ResponseCache {
+    constructor(file, { mode = 'record', chainId = null } = {}) {
+        if (!CACHE_MODES.includes(mode)) {
+            throw new Error(`Mode de cache inconnu : "${mode}" (${CACHE_MODES.join(', ')})`);
+        }
+        this.file = file;
+        this.mode = mode;
+        this.chainId = chainId;
+        this.entries = {};
+        this.stats = { hits: 0, misses: 0 };
+    }
+
+    /**
+     * Charge le bundle ; en mode `replay`, son absence ou une autre chaîne est une erreur
+     */
+    async load() {
+        let bundle;
+        try {
+            bundle = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (this.mode === 'replay') {
+                throw new Error(`Bundle de rejeu illisible (${this.file}) : ${error.message}`);
+            }
+            return this;
+        }
+
+        if (this.chainId !== null && bundle.chainId !== this.chainId) {
+            throw new Error(`Le bundle ${this.file} a été enregistré sur la chaîne ${bundle.chainId}, pas ${this.chainId}`);
+        }
+        this.entries = bundle.entries || {};
+        return this;
+    }
+
+    async save() {
+        if (this.mode !== 'record') return;
+
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const bundle = {
+            version: BUNDLE_VERSION,
+            chainId: this.chainId,
+            savedAt: new Date().toISOString(),
+            entries: this.entries
+        };
+        await fs.writeFile(this.file, JSON.stringify(bundle, null, 2));
+        console.log(`💾 ${Object.keys(this.entries).length} réponses enregistrées dans ${this.file}`);
+    }
+
+    key(kind, request) {
+        return createHash('sha256').update(`${kind}:${JSON.stringify(request)}`).digest('hex');
+    }
+
+    /**
+     * Sert une réponse depuis le bundle ou l'obtient avec `loader` puis l'enregistre
+     * @param {string} kind - `rpc` ou `explorer`
+     * @param {Object} request - Requête, sans identifiant ni secret
+     * @param {Function} loader - Exécute la requête sur le réseau
+     * @param {Function} isImmutable - (response) => la réponse peut être conservée indéfiniment
+     */
+    async fetch(kind, request, loader, isImmutable) {
+        const key = this.key(kind, request);
+        const entry = this.entries[key];
+
+        if (entry && (this.mode === 'replay' || entry.immutable)) {
+            this.stats.hits++;
+            return structuredClone(entry.response);
+        }
+        if (this.mode === 'replay') {
+            throw new CacheMissError(kind, request);
+        }
+
+        this.stats.misses++;
+        const response = await loader();
+        this.entries[key] = { kind, request, immutable: isImmutable(response), response };
+        return structuredClone(response);
+    }
+}
+
+/**
+ * Provider web3 intercalé devant le provider HTTP : chaque requête JSON-RPC passe par le cache.
+ * Les réponses d'erreur JSON-RPC sont aussi enregistrées, pour que le rejeu suive les mêmes replis
+ * (debug_traceTransaction indisponible, nœud non archive...).
+ */
+export class CachingProvider extends Web3BaseProvider {
+    constructor(provider, cache) {
+        super();
+        this.provider = provider;
+        this.cache = cache;
+    }
+
+    supportsSubscriptions() {
+        return false;
+    }
+
+    getStatus() {
+        return this.provider.getStatus();
+    }
+
+    async request(payload) {
+        if (Array.isArray(payload)) return this.provider.request(payload);
+
+        const { method, params = [] } = payload;
+        const response = await this.cache.fetch('rpc', { method, params }, async () => {
+            const { result, error } = await this.provider.request(payload);
+            return error ? { error } : { result };
+        }, stored => isImmutableRpcQuery({ method, params }, stored));
+
+        return { jsonrpc: '2.0', id: payload.id, ...response };
+    }
+}
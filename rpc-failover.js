@@ -0,0 +1,105 @@
+import { HttpProvider, Web3BaseProvider } from 'web3';
+import { withRetries } from './rate-limit.js';
+
+// Erreurs JSON-RPC propres au nœud interrogé : un autre nœud peut répondre
+const NODE_ERROR_CODES = new Set([-32601, -32005, -32603, 429]);
+const NODE_ERROR_MESSAGES = /missing trie node|header not found|pruned|not available|unsupported|does not exist/i;
+// Erreurs passagères : le même nœud peut répondre plus tard
+const TRANSIENT_ERROR_CODES = new Set([-32005, 429]);
+const TRANSIENT_ERROR_MESSAGES = /rate|limit|timeout|timed out|busy|try again/i;
+
+const isTransientError = error => TRANSIENT_ERROR_CODES.has(error.code) || TRANSIENT_ERROR_MESSAGES.test(error.message || '');
+
+/**
+ * Indique si une erreur JSON-RPC dépend du nœud (méthode absente, état élagué, quota)
+ * plutôt que de la requête elle-même (revert, paramètres invalides)
+ * @param {Object} error - Champ `error` d'une réponse JSON-RPC
+ */
+export function isNodeError(error) {
+    if (!error || /revert/i.test(error.message || '')) return false;
+    return NODE_ERROR_CODES.has(error.code) || NODE_ERROR_MESSAGES.test(error.message || '') || isTransientError(error);
+}
+
+/**
+ * Provider web3 répartissant chaque requête sur une liste de nœuds RPC.
+ *
+ * Une requête qui échoue (erreur réseau, HTTP, ou erreur propre au nœud) est retentée
+ * sur le nœud suivant, sans relancer l'analyse : le nœud qui a répondu devient le nœud
+ * courant pour les requêtes suivantes. Quand tous les nœuds ont échoué, un nouveau tour
+ * est tenté après un délai exponentiel.
+ */
+export class FailoverProvider extends Web3BaseProvider {
+    constructor(urls, { retries = 2, baseDelay = 1000 } = {}) {
+        super();
+        if (!urls.length) throw new Error('Aucun nœud RPC configuré');
+
+        this.urls = urls;
+        this.providers = urls.map(url => new HttpProvider(url));
+        this.current = 0;
+        this.retries = retries;
+        this.baseDelay = baseDelay;
+    }
+
+    supportsSubscriptions() {
+        return false;
+    }
+
+    getStatus() {
+        return this.providers[this.current].getStatus();
+    }
+
+    async request(payload) {
+        return withRetries(() => this.requestRound(payload), {
+            retries: this.retries,
+            baseDelay: this.baseDelay,
+            onRetry: (error, attempt, delay) => console.warn(`⚠️  Tous les nœuds RPC ont échoué (${error.message}), nouveau tour ${attempt}/${this.retries} dans ${Math.round(delay)} ms`)
+        }).catch(error => {
+            // Erreur JSON-RPC de tous les nœuds : elle est retournée telle quelle à web3
+            if (error.response) return error.response;
+            throw error;
+        });
+    }
+
+    /**
+     * Un tour de la liste, à partir du nœud courant
+     */
+    async requestRound(payload) {
+        let lastError = null;
+        let lastResponse = null;
+        let durableResponse = null;
+
+        for (let offset = 0; offset < this.providers.length; offset++) {
+            const index = (this.current + offset) % this.providers.length;
+            try {
+                const response = await this.providers[index].request(payload);
+                if (Array.isArray(response) || !isNodeError(response.error)) {
+                    this.select(index);
+                    return response;
+                }
+                lastResponse = response;
+                lastError = new Error(response.error.message);
+                if (!isTransientError(response.error)) durableResponse = response;
+            } catch (error) {
+                lastError = error;
+            }
+            if (this.providers.length > 1) {
+                console.warn(`⚠️  RPC ${index + 1}/${this.providers.length} (${payload.method}) : ${lastError.message}`);
+            }
+        }
+
+        // Une erreur JSON-RPC durable (méthode absente, état élagué) est retournée à web3 ;
+        // seules les erreurs réseau et passagères justifient un nouveau tour
+        if (durableResponse) return durableResponse;
+
+        const error = new Error(lastError.message);
+        error.response = lastResponse;
+        throw error;
+    }
+
+    select(index) {
+        if (index !== this.current) {
+            console.log(`🔁 Bascule sur le RPC ${index + 1}/${this.providers.length} : ${this.urls[index]}`);
+            this.current = index;
+        }
+    }
+}
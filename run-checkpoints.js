@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { toJson } from './save-utils.js';
+
+export const RUNS_DIR = './analysis_data/runs';
+
+// Intervalle minimal entre deux sauvegardes du parcours des contrats
+const CRAWL_SAVE_INTERVAL_MS = 15000;
+
+async function writeJsonAtomic(file, data) {
+    const temporary = `${file}.tmp`;
+    await fs.writeFile(temporary, toJson(data));
+    await fs.rename(temporary, file);
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+function formatRunId(hackTransaction, date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${stamp}-${(hackTransaction || '0x').slice(2, 10) || 'run'}`;
+}
+
+/**
+ * Points de reprise d'une analyse, sous `analysis_data/runs/<runId>/` :
+ * - `run.json` : entrées de l'analyse, étapes terminées et statut
+ * - `report.json` : dernier état cohérent du rapport
+ * - `<n>_<étape>.json` : instantané du rapport à la fin de chaque étape
+ * - `crawl.json` : contrats découverts et traités par traceContractCalls, avec le rapport correspondant
+ *   (enregistré aussi à la fin du parcours)
+ * - `error.json` : rapport au moment de l'échec, pour diagnostic
+ */
+export class RunCheckpoints {
+    constructor(directory, manifest, { report = null, crawl = null, processedContracts = [] } = {}) {
+        this.directory = directory;
+        this.manifest = manifest;
+        this.report = report;
+        this.crawl = crawl;
+        this.processedContracts = processedContracts;
+        this.lastCrawlSave = 0;
+    }
+
+    get runId() {
+        return this.manifest.runId;
+    }
+
+    get inputs() {
+        return this.manifest.inputs;
+    }
+
+    /**
+     * Crée un nouveau run
+     * @param {Object} inputs - Entrées de l'analyse (transaction, adresses, chaîne, options)
+     */
+    static async create(inputs, { runsDir = RUNS_DIR } = {}) {
+        const runId = formatRunId(inputs.hackTransaction);
+        const directory = path.join(runsDir, runId);
+        await fs.mkdir(directory, { recursive: true });
+
+        const run = new RunCheckpoints(directory, {
+            runId,
+            inputs,
+            status: 'running',
+            completedSteps: [],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            error: null
+        });
+        await run.saveManifest();
+        console.log(`🗂️  Run ${runId} (reprise possible avec --resume ${runId})`);
+        return run;
+    }
+
+    /**
+     * Recharge un run existant avec son dernier rapport et l'état du parcours
+     * @param {string} runId - Identifiant affiché au démarrage du run
+     */
+    static async open(runId, { runsDir = RUNS_DIR } = {}) {
+        const directory = path.join(runsDir, runId);
+        const manifest = await readJson(path.join(directory, 'run.json'));
+        if (!manifest) {
+            throw new Error(`Run introuvable : "${runId}" (${directory})`);
+        }
+
+        // Un parcours interrompu porte un rapport plus récent que la dernière étape terminée ;
+        // un parcours terminé ne sert plus qu'à retrouver les contrats traités
+        const savedCrawl = await readJson(path.join(directory, 'crawl.json'));
+        const crawl = savedCrawl?.completedSteps === manifest.completedSteps.length ? savedCrawl : null;
+        const report = crawl?.report ?? await readJson(path.join(directory, 'report.json'));
+        if (report) {
+            report.relatedContracts = new Set(report.relatedContracts || []);
+        }
+        return new RunCheckpoints(directory, manifest, { report, crawl, processedContracts: savedCrawl?.processed || [] });
+    }
+
+    isCompleted(step) {
+        return this.manifest.completedSteps.includes(step);
+    }
+
+    async saveManifest() {
+        this.manifest.updatedAt = new Date().toISOString();
+        await writeJsonAtomic(path.join(this.directory, 'run.json'), this.manifest);
+    }
+
+    async completeStep(step, report) {
+        this.manifest.completedSteps.push(step);
+        const index = this.manifest.completedSteps.length;
+        await writeJsonAtomic(path.join(this.directory, `${index}_${step}.json`), report);
+        await writeJsonAtomic(path.join(this.directory, 'report.json'), report);
+        await this.saveManifest();
+        console.log(`✅ Étape ${step} enregistrée (${this.runId})`);
+    }
+
+    /**
+     * Enregistre le parcours des contrats avec le rapport correspondant,
+     * au plus toutes les 15 secondes sauf si `force` est vrai
+     * @param {Object} state - `{ discovered, processed }`
+     */
+    async saveCrawl(state, report, { force = false } = {}) {
+        if (!force && Date.now() - this.lastCrawlSave < CRAWL_SAVE_INTERVAL_MS) return;
+
+        // Parcours et rapport sont écrits ensemble pour rester cohérents entre eux
+        this.crawl = {
+            completedSteps: this.manifest.completedSteps.length,
+            discovered: Array.from(state.discovered),
+            processed: Array.from(state.processed),
+            updatedAt: new Date().toISOString(),
+            report
+        };
+        await writeJsonAtomic(path.join(this.directory, 'crawl.json'), this.crawl);
+        this.lastCrawlSave = Date.now();
+    }
+
+    async finish(report) {
+        this.manifest.status = 'completed';
+        await writeJsonAtomic(path.join(this.directory, 'report.json'), report);
+        await this.saveManifest();
+    }
+
+    async fail(error, report) {
+        this.manifest.status = 'failed';
+        this.manifest.error = error.message;
+        // report.json garde le dernier état cohérent ; l'état au moment de l'erreur est conservé à part
+        if (report) await writeJsonAtomic(path.join(this.directory, 'error.json'), report);
+        await this.saveManifest();
+        console.error(`💾 Run ${this.runId} interrompu, reprise avec --resume ${this.runId}`);
+    }
+}
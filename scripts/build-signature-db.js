@@ -0,0 +1,95 @@
+// scripts/build-signature-db.js
+// Régénère data/signatures.json à partir des ABI standards et des signatures courantes ci-dessous.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { STANDARD_ABIS } from '../standard-abis.js';
+import { parseSignature, readableSignature, fragmentId } from '../abi-signatures.js';
+
+const OUTPUT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'signatures.json');
+const DATABASE_VERSION = 1;
+
+const COMMON_SIGNATURES = [
+    // Multicall, exécution générique et Gnosis Safe
+    'function multicall(bytes[] data)',
+    'function multicall(uint256 deadline, bytes[] data)',
+    'function aggregate((address target, bytes callData)[] calls)',
+    'function execute(address to, uint256 value, bytes data)',
+    'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)',
+    'function addOwnerWithThreshold(address owner, uint256 _threshold)',
+    'function removeOwner(address prevOwner, address owner, uint256 _threshold)',
+    'function swapOwner(address prevOwner, address oldOwner, address newOwner)',
+    'function changeThreshold(uint256 _threshold)',
+    'event AddedOwner(address owner)',
+    'event AddedOwner(address indexed owner)',
+    'event RemovedOwner(address owner)',
+    'event RemovedOwner(address indexed owner)',
+    'event ChangedThreshold(uint256 threshold)',
+    'event ExecutionSuccess(bytes32 txHash, uint256 payment)',
+    'event ExecutionFailure(bytes32 txHash, uint256 payment)',
+    // DEX
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)',
+    'function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)',
+    'function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes data)',
+    'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+    'event Sync(uint112 reserve0, uint112 reserve1)',
+    // Wrapped native
+    'function deposit()',
+    'function withdraw(uint256 wad)',
+    'event Deposit(address indexed dst, uint256 wad)',
+    'event Withdrawal(address indexed src, uint256 wad)',
+    // Flash loans
+    'function flashLoan(address receiverAddress, address[] assets, uint256[] amounts, uint256[] interestRateModes, address onBehalfOf, bytes params, uint16 referralCode)',
+    'function flashLoanSimple(address receiverAddress, address asset, uint256 amount, bytes params, uint16 referralCode)',
+    'function executeOperation(address[] assets, uint256[] amounts, uint256[] premiums, address initiator, bytes params)',
+    'function flashLoan(address recipient, address[] tokens, uint256[] amounts, bytes userData)',
+    'function receiveFlashLoan(address[] tokens, uint256[] amounts, uint256[] feeAmounts, bytes userData)',
+    // Coffres ERC-4626
+    'function deposit(uint256 assets, address receiver)',
+    'function withdraw(uint256 assets, address receiver, address owner)',
+    'function redeem(uint256 shares, address receiver, address owner)',
+    'event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)',
+    'event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)',
+    // Mixers et bridges
+    'function deposit(bytes32 _commitment)',
+    'function withdraw(bytes _proof, bytes32 _root, bytes32 _nullifierHash, address _recipient, address _relayer, uint256 _fee, uint256 _refund)',
+    'function depositFor(address user, address rootToken, bytes depositData)',
+    'function exit(bytes inputData)',
+    // Fonctions d'administration fréquentes dans les exploits
+    'function setOwner(address newOwner)',
+    'function setAdmin(address newAdmin)',
+    'function withdrawAll()',
+    'function emergencyWithdraw(uint256 pid)',
+    'function sweep(address token)',
+    'function claim()',
+    'function kill()',
+    'function destroy()'
+];
+
+async function build() {
+    const database = { version: DATABASE_VERSION, functions: {}, events: {} };
+    const signatures = [...Object.values(STANDARD_ABIS).flat(), ...COMMON_SIGNATURES];
+
+    for (const signature of signatures) {
+        const fragment = parseSignature(signature);
+        const table = fragment.type === 'event' ? database.events : database.functions;
+        const id = fragmentId(fragment);
+        const readable = readableSignature(fragment);
+
+        table[id] = table[id] || [];
+        if (!table[id].includes(readable)) table[id].push(readable);
+    }
+
+    await fs.mkdir(path.dirname(OUTPUT), { recursive: true });
+    await fs.writeFile(OUTPUT, JSON.stringify(database, null, 2) + '\n');
+    console.log(`✅ ${Object.keys(database.functions).length} fonctions et ${Object.keys(database.events).length} événements écrits dans ${OUTPUT}`);
+}
+
+build().catch(error => {
+    console.error('❌ Erreur lors de la génération de la base de signatures:', error);
+    process.exit(1);
+});
@@ -0,0 +1,85 @@
+// scripts/replay-fixtures.js
+// Test de non-régression : rejoue hors ligne (--replay) chaque bundle de fixtures/ et compare le rapport JSON
+// à celui attendu (fixtures/<nom>.expected.json), horodatages d'exécution exclus.
+// Usage : node scripts/replay-fixtures.js [--update] (--update réécrit les rapports attendus)
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES_DIR = path.join(ROOT, 'fixtures');
+
+// Chaque bundle a été enregistré avec la même commande et --record fixtures/<nom>.json
+const FIXTURES = [
+    {
+        // Proxy EIP-1967 sur `ganache --wallet.deterministic` neuf, après `npm run watch:devchain` :
+        // deux upgrades avec événement, une écriture silencieuse du slot, retour à l'implémentation initiale
+        name: 'devchain-proxy-upgrades',
+        args: ['impl-history', '--chain', 'gnosis', '--address', '0x254dffcd3277c0b1660f6d42efbb754edababc2b', '--from-block', '4', '--to-block', '8']
+    }
+];
+
+// Horodatages de l'exécution, pas des données rejouées
+const VOLATILE_FIELDS = new Set(['analyzedAt', 'startTime']);
+
+const execFileAsync = promisify(execFile);
+
+function stripVolatile(value) {
+    if (Array.isArray(value)) return value.map(stripVolatile);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !VOLATILE_FIELDS.has(key))
+            .map(([key, entry]) => [key, stripVolatile(entry)]));
+    }
+    return value;
+}
+
+async function replay(fixture) {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), `replay-${fixture.name}-`));
+    try {
+        await execFileAsync(process.execPath, [
+            path.join(ROOT, 'analyze_hack.js'), ...fixture.args,
+            '--replay', path.join(FIXTURES_DIR, `${fixture.name}.json`),
+            '--skip-verified-abis', '--no-store', '--output', outputDir
+        ], { cwd: ROOT });
+
+        const [report] = (await fs.readdir(outputDir)).filter(file => /^analysis_\d+\.json$/.test(file));
+        if (!report) throw new Error('aucun rapport JSON généré');
+        return stripVolatile(JSON.parse(await fs.readFile(path.join(outputDir, report), 'utf8')));
+    } finally {
+        await fs.rm(outputDir, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    const update = process.argv.includes('--update');
+    let failures = 0;
+
+    for (const fixture of FIXTURES) {
+        const expectedFile = path.join(FIXTURES_DIR, `${fixture.name}.expected.json`);
+        try {
+            const report = await replay(fixture);
+            if (update) {
+                await fs.writeFile(expectedFile, JSON.stringify(report, null, 2) + '\n');
+                console.log(`💾 ${fixture.name} : rapport attendu mis à jour`);
+                continue;
+            }
+
+            const expected = JSON.parse(await fs.readFile(expectedFile, 'utf8'));
+            if (JSON.stringify(report) !== JSON.stringify(expected)) {
+                throw new Error(`rapport différent de ${path.relative(ROOT, expectedFile)} (--update après vérification pour l'accepter)`);
+            }
+            console.log(`✅ ${fixture.name}`);
+        } catch (error) {
+            failures++;
+            console.error(`❌ ${fixture.name} : ${error.stderr?.trim() || error.message}`);
+        }
+    }
+
+    process.exit(failures ? 1 : 0);
+}
+
+main();
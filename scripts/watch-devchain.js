@@ -0,0 +1,102 @@
+// scripts/watch-devchain.js
+// Essai de bout en bout de `watch` sur une chaîne de développement locale (anvil, hardhat node, ganache) :
+// déploie un proxy EIP-1967 minimal, le fait évoluer (upgrade inattendu, écriture silencieuse du slot,
+// retour à l'implémentation attendue) puis vérifie les alertes émises par un passage `watch --once`.
+// Usage : node scripts/watch-devchain.js [url RPC, http://127.0.0.1:8545 par défaut]
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { Web3 } from 'web3';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RPC_URL = process.argv[2] || process.env.DEVCHAIN_RPC || 'http://127.0.0.1:8545';
+
+const IMPLEMENTATION_SLOT = '360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const UPGRADED_TOPIC = Web3.utils.keccak256('Upgraded(address)').slice(2);
+
+// Proxy assemblé à la main : 32 octets d'appel écrivent l'implémentation et émettent Upgraded,
+// 64 octets l'écrivent sans événement ; tout le reste est ignoré
+const PROXY_RUNTIME = [
+    '36', '6020', '14', '600f', '57', // CALLDATASIZE == 32 → upgrade avec événement
+    '36', '6040', '14', '605d', '57', // CALLDATASIZE == 64 → écriture silencieuse
+    '00',
+    '5b', '600035', '80', `7f${IMPLEMENTATION_SLOT}`, '55', // sstore(slot, calldata[0])
+    `7f${UPGRADED_TOPIC}`, '6000', '6000', 'a2', '00', // log2(0, 0, Upgraded, calldata[0])
+    '5b', '600035', `7f${IMPLEMENTATION_SLOT}`, '55', '00'
+].join('');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Code de création qui copie puis renvoie le code d'exécution donné
+ */
+function creationCode(runtime) {
+    const length = (runtime.length / 2).toString(16).padStart(2, '0');
+    return `0x60${length}80600b6000396000f3${runtime}`;
+}
+
+async function send(web3, from, transaction) {
+    const receipt = await web3.eth.sendTransaction({ from, gas: 200000, ...transaction });
+    if (Number(receipt.status) !== 1) {
+        throw new Error(`Transaction en échec : ${receipt.transactionHash}`);
+    }
+    return receipt;
+}
+
+async function main() {
+    const web3 = new Web3(RPC_URL);
+    const [from] = await web3.eth.getAccounts();
+    if (!from) throw new Error(`Aucun compte déverrouillé sur ${RPC_URL}`);
+
+    const deploy = async runtime => (await send(web3, from, { data: creationCode(runtime) })).contractAddress.toLowerCase();
+    const word = address => address.slice(2).padStart(64, '0');
+    const upgrade = (address, implementation) => send(web3, from, { to: address, data: `0x${word(implementation)}` });
+    const silentWrite = (address, implementation) => send(web3, from, { to: address, data: `0x${word(implementation)}${'0'.repeat(64)}` });
+
+    const [expected, rogue, silent] = [await deploy('00'), await deploy('00'), await deploy('00')];
+    const proxy = await deploy(PROXY_RUNTIME);
+    const initial = await upgrade(proxy, expected);
+    const fromBlock = Number(initial.blockNumber) + 1;
+
+    await upgrade(proxy, rogue);
+    await silentWrite(proxy, silent);
+    await upgrade(proxy, expected);
+    console.log(`🧪 Proxy ${proxy} déployé et modifié sur ${RPC_URL} (blocs ${fromBlock} et suivants)`);
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-devchain-'));
+    const alertsFile = path.join(workDir, 'alerts.jsonl');
+    try {
+        // Gnosis : explorer sans clé d'API, jamais interrogé avec --skip-verified-abis
+        const { stdout } = await execFileAsync(process.execPath, [
+            path.join(ROOT, 'analyze_hack.js'), 'watch',
+            '--chain', 'gnosis', '--rpc', RPC_URL, '--skip-verified-abis',
+            '--address', proxy, '--expected-impl', expected,
+            '--from-block', String(fromBlock), '--confirmations', '0', '--once',
+            '--alert', 'stdout', '--alert', `jsonl:${alertsFile}`,
+            '--output', workDir
+        ], { cwd: ROOT });
+        console.log(stdout);
+
+        const alerts = (await fs.readFile(alertsFile, 'utf8').catch(() => '')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+        const received = alerts.map(alert => `${alert.kind}:${alert.source}:${alert.severity}:${alert.newValue?.toLowerCase()}`);
+        const wanted = [
+            `implementation:event:critical:${rogue}`,
+            `implementation:storage:critical:${silent}`,
+            `implementation:event:info:${expected}`
+        ];
+        if (received.join('\n') !== wanted.join('\n')) {
+            throw new Error(`Alertes inattendues :\n  reçues   ${received.join('\n           ') || 'aucune'}\n  attendues ${wanted.join('\n            ')}`);
+        }
+        console.log(`✅ ${alerts.length} alertes conformes (upgrade inattendu, écriture silencieuse, retour à l'implémentation attendue)`);
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
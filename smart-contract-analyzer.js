@@ -1,16 +1,57 @@
 import Web3 from 'web3';
-import fetch from 'node-fetch';
-import fs from 'fs/promises';
-import { saveToJson } from './save-utils.js';
+import { RunCheckpoints } from './run-checkpoints.js';
+import { getChain } from './chains.js';
+import { createExplorer } from './block-explorers.js';
+import { UpgradeHistory } from './upgrade-history.js';
+import { CallTracer, TRACE_SOURCES, flattenCallTree } from './call-tracer.js';
+import { StateDiff } from './state-diff.js';
+import { AbiDecoder } from './abi-decoder.js';
+import { FundFlowTracer } from './fund-flow.js';
+import { AttackerProfiler } from './attacker-profile.js';
+import { ProxyDetector, PROXY_KINDS } from './proxy-detector.js';
+import { CachingProvider } from './response-cache.js';
+import { FailoverProvider } from './rpc-failover.js';
+import { RuleEngine, highestSeverity, loadRuleSet } from './detection-rules.js';
+import { ImplementationComparator } from './bytecode-diff.js';
+import { LabelRegistry, loadChainLabels } from './address-labels.js';
+import { TimelineBuilder } from './incident-timeline.js';
+import { AccessControlHistory, holdersAt } from './access-control.js';
+import { InitializerCheck } from './initializer-check.js';
+import { EvmReplay } from './evm-replay.js';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Adresse valide et non nulle ; utilisable sans instancier d'analyseur (validation des arguments)
+ */
+export function isValidAddress(address) {
+    return Web3.utils.isAddress(address) && address !== ZERO_ADDRESS;
+}
+
+export function isValidTxHash(hash) {
+    return typeof hash === 'string' && /^0x[0-9a-fA-F]{64}$/.test(hash);
+}
 
 class SmartContractAnalyzer {
-    constructor(rpcUrl, polygonscanApiKey) {
-        this.web3 = new Web3(rpcUrl);
-        this.apiKey = polygonscanApiKey;
-        this.POLYGONSCAN_API = 'https://api.polygonscan.com/api';
+    /**
+     * @param {string|string[]} rpcUrls - Nœud(s) RPC, interrogés dans l'ordre avec bascule à chaque requête
+     * @param {string} explorerApiKey - Clé d'API de l'explorer de la chaîne
+     * @param {Object} options
+     * @param {Object[]} options.ruleSets - Règles de détection (data/rules/default.json par défaut)
+     * @param {Object} options.ruleLists - Listes complétant celles des règles (`admins`, `implementations`)
+     * @param {Object[]} options.labelSets - Étiquettes d'adresses (data/labels/<chaîne>.json par défaut)
+     */
+    constructor(rpcUrls, explorerApiKey, { chain = getChain(), explorer = null, traceSources = TRACE_SOURCES, fetchVerifiedAbis = true, cache = null, ruleSets = [loadRuleSet()], ruleLists = {}, labelSets = [loadChainLabels(chain.key)] } = {}) {
+        const provider = new FailoverProvider([rpcUrls].flat());
+        this.web3 = new Web3(cache ? new CachingProvider(provider, cache) : provider);
+        this.apiKey = explorerApiKey;
+        this.chain = chain;
+        this.explorer = explorer || createExplorer(chain, explorerApiKey, { cache });
+        this.traceSources = traceSources;
         this.EVENT_SIGNATURES = {
             IMPLEMENTATION_CHANGED: '0xbc7cd75a20ee27fd9adebab32041f755214dbc6bffa90cc0225b39da2e5c2d3b',
-            ADMIN_CHANGED: '0x7e644d02266064d5d04a8737b839beb5a3f63eb0d7981dbc610fe9027e0569c8'
+            ADMIN_CHANGED: '0x7e644d79422f17c01e4894b5f4f588d331ebfa28653d42ae832dc59e38c9798f',
+            BEACON_UPGRADED: '0x1cf3b03a6cf19fa2baba4df148e9dcabedea7f8a5c07840e207e5c089be95d3e'
         };
         this.STORAGE_SLOTS = {
             IMPLEMENTATION: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
@@ -23,61 +64,122 @@ class SmartContractAnalyzer {
             CHANGE_ADMIN: '0x8f283970',
             INITIALIZE: '0x8129fc1c'
         };
+        this.abiDecoder = new AbiDecoder(this, { fetchVerifiedAbis });
+        this.proxyDetector = new ProxyDetector(this);
+        this.rules = new RuleEngine(this, { ruleSets, lists: ruleLists });
+        this.labels = new LabelRegistry({ chain: chain.key, labelSets });
         this.processedContracts = new Set();
-        this.contractInteractions = new Map();
-        this.implementationChanges = [];
-        this.suspiciousPatterns = [];
+        this.contractCodeCache = new Map();
         this.report = null;
+        this.checkpoints = null;
     }
 
-    async analyzeFromHack(hackTxHash, victimContract, suspectAddress) {
-        try {
-            this.report = {
-                hackTransaction: hackTxHash,
-                victimContract,
-                suspectAddress,
-                startTime: new Date().toISOString(),
-                implementations: [],
-                contractCalls: [],
-                proxyOperations: [],
-                suspiciousActions: [],
-                relatedContracts: new Set(),
-                stateChanges: []
-            };
-
-            console.log(`\n🔍 Analyse de la transaction ${hackTxHash}...`);
-            await this.analyzeHackTransaction(hackTxHash);
-            await saveToJson(`${hackTxHash}_step1.json`, this.report);
-
-            console.log(`\n📄 Analyse du contrat victime ${victimContract}...`);
-            await this.analyzeVictimContract(victimContract);
-            await saveToJson(`${hackTxHash}_step2.json`, this.report);
+    initReport({ hackTransaction = null, victimContract = null, suspectAddress = null } = {}) {
+        this.report = {
+            chainId: this.chain.id,
+            chain: this.chain.key,
+            hackTransaction,
+            victimContract,
+            suspectAddress,
+            startTime: new Date().toISOString(),
+            implementations: [],
+            contractCalls: [],
+            proxyOperations: [],
+            suspiciousActions: [],
+            relatedContracts: new Set(),
+            stateChanges: []
+        };
+        return this.report;
+    }
 
-            console.log(`\n🕸️  Traçage des interactions entre contrats...`);
-            await this.traceContractCalls(suspectAddress);
-            await saveToJson(`${hackTxHash}_step3.json`, this.report);
+    /**
+     * Analyse complète d'un hack, étape par étape.
+     * Chaque étape terminée est enregistrée dans les points de reprise du run :
+     * une analyse interrompue reprend avec resumeFromHack.
+     * @param {Object} options
+     * @param {Object} options.fundFlow - Options du traçage des fonds
+     * @param {Object} options.attacker - Options du profil de l'attaquant
+     * @param {RunCheckpoints} options.checkpoints - Run à poursuivre, un nouveau run est créé par défaut
+     * @param {Object} options.settings - Réglages de la ligne de commande enregistrés avec le run
+     *                                    (`knownImplementation`, fichiers `rules` et `labels`), restaurés en reprise
+     */
+    async analyzeFromHack(hackTxHash, victimContract, suspectAddress, { fundFlow = {}, attacker = {}, checkpoints = null, settings = {} } = {}) {
+        this.checkpoints = checkpoints || await RunCheckpoints.create({
+            hackTransaction: hackTxHash,
+            victimContract,
+            suspectAddress,
+            chain: this.chain.key,
+            fundFlow,
+            attacker,
+            ...settings
+        });
+        this.report = this.checkpoints.report || this.initReport({ hackTransaction: hackTxHash, victimContract, suspectAddress });
+
+        const steps = [
+            ['hack-transaction', `🔍 Analyse de la transaction ${hackTxHash}...`, () => this.analyzeHackTransaction(hackTxHash)],
+            ['victim-contract', `📄 Analyse du contrat victime ${victimContract}...`, () => this.analyzeVictimContract(victimContract)],
+            ['access-control', '🔐 Historique des droits d\'accès du contrat victime...', () => this.analyzeAccessControl(victimContract)],
+            ['contract-calls', '🕸️  Traçage des interactions entre contrats...', () => this.traceContractCalls(suspectAddress)],
+            ['attacker-profile', `🕵️  Profil de l'attaquant ${suspectAddress}...`, () => this.analyzeAttacker(attacker)],
+            ['fund-flow', '💸 Traçage des fonds volés...', () => this.analyzeFundFlow(fundFlow)],
+            ['implementation-history', '📚 Analyse de l\'historique d\'implémentation...', () => this.analyzeImplementationHistory()],
+            ['initializers', '🧱 Vérification de l\'initialisation du proxy et des implémentations...', () => this.analyzeInitialization(victimContract)]
+        ];
 
-            console.log(`\n📚 Analyse de l'historique d'implémentation...`);
-            await this.analyzeImplementationHistory();
-            await saveToJson(`${hackTxHash}_final.json`, this.report);
+        try {
+            for (const [index, [step, message, run]] of steps.entries()) {
+                if (this.checkpoints.isCompleted(step)) {
+                    console.log(`\n⏭️  [${index + 1}/${steps.length}] Étape ${step} déjà terminée`);
+                    continue;
+                }
+                console.log(`\n[${index + 1}/${steps.length}] ${message}`);
+                await run();
+                await this.checkpoints.completeStep(step, this.report);
+            }
 
+            await this.checkpoints.finish(this.report);
             return this.report;
         } catch (error) {
             console.error('Erreur lors de l\'analyse:', error);
-            await saveToJson(`${hackTxHash}_error.json`, this.report);
+            await this.checkpoints.fail(error, this.report);
             throw error;
         }
     }
 
+    /**
+     * Reprend un run interrompu à la dernière étape (ou au dernier contrat parcouru) enregistrée
+     * @param {string} runId - Identifiant du run
+     */
+    async resumeFromHack(runId) {
+        const checkpoints = await RunCheckpoints.open(runId);
+        const { hackTransaction, victimContract, suspectAddress, fundFlow, attacker } = checkpoints.inputs;
+
+        console.log(`♻️  Reprise du run ${runId}, étapes terminées : ${checkpoints.manifest.completedSteps.join(', ') || 'aucune'}`);
+        // Contrats traités par un parcours interrompu ou terminé, utilisés aussi par le profil de l'attaquant
+        this.processedContracts = new Set(checkpoints.processedContracts);
+        if (checkpoints.crawl) {
+            console.log(`   Parcours des contrats : ${checkpoints.crawl.processed.length}/${checkpoints.crawl.discovered.length} traités`);
+        }
+        return this.analyzeFromHack(hackTransaction, victimContract, suspectAddress, { fundFlow, attacker, checkpoints });
+    }
+
     async analyzeHackTransaction(txHash) {
         const tx = await this.web3.eth.getTransaction(txHash);
         const receipt = await this.web3.eth.getTransactionReceipt(txHash);
         const decodedLogs = await this.decodeLogs(receipt.logs);
-        const traces = await this.getTransactionTraces(txHash);
+        const { source: traceSource, root: callTree } = await this.getCallTree(txHash);
+        await this.decodeCallTree(callTree);
         const blockNumber = Number(receipt.blockNumber);
-
-        const stateChangesBefore = await this.getContractState(this.report.victimContract, blockNumber - 1);
-        const stateChangesAfter = await this.getContractState(this.report.victimContract, blockNumber);
+        const traces = await this.analyzeTraces(flattenCallTree(callTree).filter(node => node.depth > 0),
+            this.transactionContext(txHash, 'trace', { logs: decodedLogs }));
+
+        const stateDiff = await this.getTransactionStateDiff(txHash);
+        const { before: stateChangesBefore, after: stateChangesAfter } = stateDiff.source
+            ? await this.getContractStateFromDiff(this.report.victimContract, blockNumber, stateDiff.accounts)
+            : {
+                before: await this.getContractState(this.report.victimContract, blockNumber - 1),
+                after: await this.getContractState(this.report.victimContract, blockNumber)
+            };
 
         this.report.hackDetails = {
             transaction: {
@@ -93,87 +195,228 @@ class SmartContractAnalyzer {
                 gasUsed: Number(receipt.gasUsed)
             },
             logs: decodedLogs,
+            traceSource,
+            callTree,
             traces: traces,
             stateChanges: {
                 before: stateChangesBefore,
-                after: stateChangesAfter
+                after: stateChangesAfter,
+                source: stateDiff.source,
+                accounts: stateDiff.accounts
             }
         };
     }
 
-    async getTransactionTraces(txHash) {
-        const url = `${this.POLYGONSCAN_API}?module=account&action=txlistinternal&txhash=${txHash}&apikey=${this.apiKey}`;
-        const response = await fetch(url);
-        const data = await response.json();
+    async analyzeFundFlow(options = {}) {
+        const tracer = new FundFlowTracer(this, options);
+        this.report.fundFlow = await tracer.trace(this.report);
+    }
+
+    /**
+     * Profil de l'adresse suspecte ; son bytecode est comparé aux contrats parcourus par traceContractCalls
+     */
+    async analyzeAttacker(options = {}) {
+        const profiler = new AttackerProfiler(this, options);
+        this.report.attackerProfile = await profiler.profile(this.report, {
+            knownContracts: [...this.processedContracts, ...Array.from(this.report.relatedContracts || [])]
+        });
+    }
 
-        if (data.status === '1' && data.result) {
-            return await this.analyzeTraces(data.result);
+    /**
+     * Étiquette les adresses du rapport : étiquettes déduites de l'analyse (victime, déployeur,
+     * admin, attaquant), puis `fromLabel` / `toLabel` sur les traces, actions suspectes et
+     * transferts, et dictionnaire `labels` de toutes les adresses étiquetées du rapport
+     * @param {Object} report - Rapport à compléter, le rapport en cours par défaut
+     */
+    async labelReport(report = this.report) {
+        await this.addAutomaticLabels(report);
+
+        const annotate = item => {
+            const fromLabel = this.labels.get(item.from);
+            const toLabel = this.labels.get(item.to);
+            if (fromLabel) item.fromLabel = fromLabel;
+            if (toLabel) item.toLabel = toLabel;
+        };
+        const walk = node => {
+            if (!node) return;
+            annotate(node);
+            node.calls.forEach(walk);
+        };
+
+        report.hackDetails?.traces?.forEach(annotate);
+        walk(report.hackDetails?.callTree);
+        report.suspiciousActions?.forEach(annotate);
+        report.victimAnalysis?.transactions?.forEach(annotate);
+        if (report.fundFlow) {
+            report.fundFlow.edges.forEach(annotate);
+            report.fundFlow.nodes.forEach(node => {
+                node.label = this.labels.get(node.address);
+            });
+            report.fundFlow.summary.forEach(entry => entry.finalHolders.forEach(holder => {
+                holder.label = this.labels.get(holder.address);
+            }));
         }
-        return [];
+        report.attackerProfile?.funding.forEach(entry => {
+            entry.funderLabel = this.labels.get(entry.funder);
+        });
+        report.attackerProfile?.interactions.forEach(entry => {
+            entry.label = this.labels.get(entry.address);
+        });
+
+        report.labels = this.labels.collect(report);
+        report.labelSources = this.labels.sources;
+        return report;
     }
 
-    async analyzeTraces(traces) {
+    /**
+     * Chronologie de l'incident à partir des sections déjà analysées du rapport
+     * @param {Object} report - Rapport à compléter, le rapport en cours par défaut
+     * @param {Object} options - Options de TimelineBuilder.build (`window` en blocs autour du hack) et `language` des descriptions
+     */
+    async buildTimeline(report = this.report, { language = 'fr', ...options } = {}) {
+        report.timeline = await new TimelineBuilder(this, { language }).build(report, options);
+        return report;
+    }
+
+    async addAutomaticLabels(report) {
+        const { victimContract, suspectAddress } = report;
+        if (victimContract) {
+            this.labels.add(victimContract, 'Contrat victime', 'protocol');
+            try {
+                const creation = await this.explorer.getContractCreation(victimContract);
+                this.labels.add(creation?.contractCreator, 'Déployeur du contrat victime', 'protocol');
+            } catch (error) {
+                console.warn(`⚠️  Déployeur de ${victimContract} indisponible:`, error.message);
+            }
+        }
+
+        const proxy = report.victimAnalysis?.proxy;
+        this.labels.add(proxy?.admin, 'Admin du proxy', 'protocol');
+        this.labels.add(proxy?.upgradeAuthority?.address, `Autorité d'upgrade (${proxy?.upgradeAuthority?.type})`, 'protocol');
+        this.labels.add(proxy?.upgradeAuthority?.owner, 'Propriétaire de l\'autorité d\'upgrade', 'protocol');
+        (this.rules.lists.admins || []).forEach(address => this.labels.add(address, 'Admin déclaré', 'protocol'));
+        (this.rules.lists.implementations || []).forEach(address => this.labels.add(address, 'Implémentation déclarée', 'protocol'));
+
+        if (suspectAddress) this.labels.add(suspectAddress, 'Attaquant', 'attacker');
+        report.attackerProfile?.deployedContracts.forEach(contract => this.labels.add(contract.address, 'Contrat de l\'attaquant', 'attacker'));
+    }
+
+    async getCallTree(txHash) {
+        const tracer = new CallTracer(this, { sources: this.traceSources });
+        return tracer.getCallTree(txHash);
+    }
+
+    async decodeCallTree(node) {
+        if (!node) return;
+        node.decodedInput = await this.decodeTransactionInput(node.input, node.to);
+        for (const child of node.calls) {
+            await this.decodeCallTree(child);
+        }
+    }
+
+    async getTransactionTraces(txHash) {
+        const { root } = await this.getCallTree(txHash);
+        return await this.analyzeTraces(flattenCallTree(root).filter(node => node.depth > 0), this.transactionContext(txHash, 'trace'));
+    }
+
+    /**
+     * Analyse les appels internes d'une transaction, dans l'ordre d'exécution,
+     * avec les règles de détection (appel par appel, puis séquences dans la transaction)
+     * @param {Object[]} traces - Nœuds de l'arbre d'appels
+     * @param {Object} context - Contexte de la transaction (transactionContext)
+     */
+    async analyzeTraces(traces, context = { kind: 'trace' }) {
         const analyzedTraces = [];
         for (const trace of traces) {
-            const isFromContract = await this.isContract(trace.from);
-            const isToContract = await this.isContract(trace.to);
+            const isFromContract = trace.from ? await this.isContract(trace.from) : false;
+            const isToContract = trace.to ? await this.isContract(trace.to) : false;
 
             if (isFromContract) this.report.relatedContracts.add(trace.from);
             if (isToContract) this.report.relatedContracts.add(trace.to);
 
-            analyzedTraces.push({
+            const analysis = {
                 from: trace.from,
                 to: trace.to,
                 value: trace.value,
                 input: trace.input,
-                suspicious: this.isSuspiciousCall(trace),
+                decodedInput: trace.decodedInput || await this.decodeTransactionInput(trace.input, trace.to),
+                callType: trace.type,
+                depth: trace.depth,
+                path: trace.path,
+                gas: trace.gas,
+                gasUsed: trace.gasUsed,
+                output: trace.output,
+                error: trace.error,
+                revertReason: trace.revertReason,
                 type: isFromContract ? (isToContract ? 'contract-to-contract' : 'contract-to-eoa')
                     : (isToContract ? 'eoa-to-contract' : 'eoa-to-eoa')
-            });
+            };
+            this.applyReasons(analysis, await this.rules.evaluate(analysis, context));
+            analyzedTraces.push(analysis);
         }
+
+        await this.rules.evaluateSequences(analyzedTraces, 'transaction', () => context);
         return analyzedTraces;
     }
 
+    applyReasons(analysis, reasons) {
+        analysis.reason = reasons;
+        analysis.suspicious = reasons.length > 0;
+        analysis.severity = highestSeverity(reasons);
+    }
+
+    /**
+     * Contexte d'évaluation des règles pour une transaction :
+     * logs décodés et horodatage, chargés à la demande
+     * @param {string} txHash - Hash de la transaction
+     * @param {string} kind - `transaction` ou `trace`
+     */
+    transactionContext(txHash, kind, { logs = null, timestamp = null } = {}) {
+        let receipt = null;
+        let decodedLogs = logs ? Promise.resolve(logs) : null;
+        let time = timestamp !== null ? Promise.resolve(timestamp) : null;
+        const getReceipt = () => (receipt ??= this.web3.eth.getTransactionReceipt(txHash));
+
+        return {
+            kind,
+            logs: () => (decodedLogs ??= getReceipt().then(({ logs: rawLogs }) => this.decodeLogs(rawLogs))),
+            timestamp: () => (time ??= getReceipt()
+                .then(({ blockNumber }) => this.web3.eth.getBlock(blockNumber))
+                .then(block => Number(block.timestamp)))
+        };
+    }
+
     async decodeLogs(logs) {
         return Promise.all(logs.map(async log => {
             try {
                 if (!log.topics[0]) return null;
 
                 const signature = log.topics[0];
-                let decodedLog = null;
+                const decoded = await this.abiDecoder.decodeLog(log);
+                const decodedLog = {
+                    type: decoded ? 'event' : 'unknown',
+                    address: log.address,
+                    event: decoded?.event ?? null,
+                    eventSignature: decoded?.signature ?? null,
+                    params: decoded?.params ?? [],
+                    signature,
+                    data: log.data,
+                    topics: log.topics,
+                    logIndex: Number(log.logIndex),
+                    blockNumber: Number(log.blockNumber),
+                    transactionHash: log.transactionHash
+                };
 
                 if (signature === this.EVENT_SIGNATURES.IMPLEMENTATION_CHANGED) {
-                    decodedLog = {
-                        type: 'implementation_change',
-                        newImplementation: '0x' + log.topics[1]?.slice(26),
-                        blockNumber: Number(log.blockNumber),
-                        transactionHash: log.transactionHash
-                    };
-                } else if (signature === this.EVENT_SIGNATURES.ADMIN_CHANGED) {
-                    try {
-                        const params = this.web3.eth.abi.decodeParameters(
-                            ['address', 'address'],
-                            log.data
-                        );
-                        decodedLog = {
-                            type: 'admin_change',
-                            previousAdmin: params[0],
-                            newAdmin: params[1],
-                            blockNumber: Number(log.blockNumber),
-                            transactionHash: log.transactionHash
-                        };
-                    } catch (error) {
-                        console.warn('Erreur décodage admin change:', error);
-                    }
-                } else {
-                    decodedLog = {
-                        type: 'unknown',
-                        signature,
-                        data: log.data,
-                        topics: log.topics,
-                        blockNumber: Number(log.blockNumber),
-                        transactionHash: log.transactionHash
-                    };
+                    decodedLog.type = 'implementation_change';
+                    decodedLog.newImplementation = '0x' + log.topics[1]?.slice(26);
+                } else if (signature === this.EVENT_SIGNATURES.BEACON_UPGRADED) {
+                    decodedLog.type = 'beacon_change';
+                    decodedLog.newBeacon = '0x' + log.topics[1]?.slice(26);
+                } else if (signature === this.EVENT_SIGNATURES.ADMIN_CHANGED && decoded) {
+                    decodedLog.type = 'admin_change';
+                    decodedLog.previousAdmin = decoded.params[0].value;
+                    decodedLog.newAdmin = decoded.params[1].value;
                 }
 
                 return decodedLog;
@@ -186,78 +429,245 @@ class SmartContractAnalyzer {
 
     async analyzeVictimContract(contractAddress) {
         const code = await this.web3.eth.getCode(contractAddress);
-        const isProxy = await this.isProxyContract(code);
+        const proxy = await this.proxyDetector.detect(contractAddress);
 
         const transactions = await this.getContractTransactions(contractAddress);
-        const analyzedTxs = await Promise.all(
-            transactions.map(tx => this.analyzeSingleTransaction(tx))
-        );
+        const analyzedTxs = await this.analyzeTransactions(transactions);
 
         this.report.victimAnalysis = {
-            isProxy,
+            isProxy: proxy.isProxy,
+            proxy,
             codeHash: this.web3.utils.sha3(code),
             transactions: analyzedTxs.filter(tx => tx.suspicious)
         };
     }
 
+    /**
+     * Historique des droits d'accès (Ownable, AccessControl, Safe) du contrat et des contrats
+     * qui le contrôlent (admin du proxy, autorité d'upgrade, propriétaire), dans `victimAnalysis.accessControl`
+     * @param {string} contractAddress - Contrat analysé
+     * @param {Object} options - Plage de blocs (`fromBlock`, `toBlock`), taille des tranches de logs (`chunkSize`)
+     *                            et bloc de lecture des détenteurs (`atBlock`)
+     */
+    async analyzeAccessControl(contractAddress, { fromBlock = null, toBlock = null, chunkSize, atBlock = null } = {}) {
+        const proxy = this.report.victimAnalysis?.proxy ?? await this.proxyDetector.detect(contractAddress);
+        const owner = await this.proxyDetector.ownerAuthority(contractAddress, 'owner');
+
+        const controllers = [];
+        for (const address of [proxy.admin, proxy.upgradeAuthority?.address, proxy.upgradeAuthority?.owner, owner.address]) {
+            if (!this.isValidAddress(address) || address.toLowerCase() === contractAddress.toLowerCase()) continue;
+            if (controllers.some(controller => controller.toLowerCase() === address.toLowerCase())) continue;
+            if (await this.isContract(address)) controllers.push(address);
+        }
+
+        const history = new AccessControlHistory(this);
+        const accessControl = await history.build([contractAddress, ...controllers], {
+            fromBlock,
+            toBlock,
+            chunkSize,
+            hackBlock: this.report.hackDetails?.receipt.blockNumber ?? null,
+            suspect: this.report.suspectAddress
+        });
+        if (atBlock !== null) {
+            accessControl.holdersAtBlock = { blockNumber: atBlock, holders: holdersAt(accessControl.changes, atBlock) };
+        }
+        // Sans analyse du contrat victime (commande access-history), seul le type de proxy est conservé
+        this.report.victimAnalysis = { isProxy: proxy.isProxy, proxy, ...this.report.victimAnalysis, accessControl };
+        return accessControl;
+    }
+
+    /**
+     * État `Initializable` du proxy, des proxies intermédiaires et de chaque implémentation connue
+     * (actuelle et historique), dans `victimAnalysis.initialization`
+     * @param {string} contractAddress - Contrat analysé
+     */
+    async analyzeInitialization(contractAddress) {
+        const proxy = this.report.victimAnalysis?.proxy ?? await this.proxyDetector.detect(contractAddress);
+        const owner = await this.proxyDetector.ownerAuthority(contractAddress, 'owner');
+        const history = this.report.implementationHistory || [];
+
+        // upgradeToAndCall initialise le proxy depuis le compte qui l'upgrade
+        const expectedCallers = [proxy.admin, proxy.upgradeAuthority?.address, proxy.upgradeAuthority?.owner, owner.address,
+            ...history.map(entry => entry.caller)].filter(address => this.isValidAddress(address));
+
+        const targets = [];
+        const addTarget = (address, role, codeAddress = address) => {
+            if (!this.isValidAddress(address) || targets.some(target => target.address.toLowerCase() === address.toLowerCase())) return;
+            targets.push({ address, role, codeAddress, expectedCallers: role === 'proxy' ? expectedCallers : [] });
+        };
+
+        if (proxy.isProxy) {
+            const codeAddress = proxy.finalImplementation || contractAddress;
+            addTarget(contractAddress, 'proxy', codeAddress);
+            proxy.implementationChain
+                .filter(step => step.kind !== PROXY_KINDS.NONE)
+                .forEach(step => addTarget(step.address, 'proxy', codeAddress));
+            addTarget(proxy.finalImplementation, 'implementation');
+            for (const entry of history) {
+                addTarget(entry.implementation, 'implementation');
+                addTarget(entry.previousImplementation, 'implementation');
+            }
+        } else {
+            addTarget(contractAddress, 'contract');
+        }
+
+        const check = new InitializerCheck(this);
+        const initialization = await check.check(targets, {
+            suspect: this.report.suspectAddress,
+            uups: proxy.kind === PROXY_KINDS.UUPS
+        });
+        this.report.victimAnalysis = { isProxy: proxy.isProxy, proxy, ...this.report.victimAnalysis, initialization };
+        return initialization;
+    }
+
+    /**
+     * Rejoue la transaction de hack dans un EVM local, telle quelle puis avec chaque scénario
+     * (implémentation connue restaurée, autre appelant, surcharges de stockage), dans `report.replay`
+     * @param {string} txHash - Transaction de hack
+     * @param {Object} options
+     * @param {string|null} options.knownImplementation - Implémentation remise dans le slot EIP-1967 du contrat victime
+     * @param {string|null} options.caller - Appelant (et origine) de remplacement
+     * @param {Object[]} options.overrides - Surcharges `{ address, slot, value }`, appliquées ensemble
+     * @param {string|null} options.traceDir - Dossier des traces opcode par opcode
+     */
+    async replayHack(txHash, { knownImplementation = null, caller = null, overrides = [], traceDir = null } = {}) {
+        const scenarios = [];
+        if (knownImplementation) {
+            scenarios.push({
+                id: 'restore-implementation',
+                description: `Implémentation ${knownImplementation} restaurée dans le proxy ${this.report.victimContract}`,
+                storage: [{ address: this.report.victimContract, slot: this.STORAGE_SLOTS.IMPLEMENTATION, value: knownImplementation }]
+            });
+        }
+        if (caller) {
+            scenarios.push({ id: 'caller', description: `Transaction envoyée par ${caller}`, caller });
+        }
+        if (overrides.length) {
+            scenarios.push({
+                id: 'storage-override',
+                description: overrides.map(({ address, slot, value }) => `${address}[${slot}] = ${value}`).join(', '),
+                storage: overrides
+            });
+        }
+
+        const replay = new EvmReplay(this, { traceDir });
+        this.report.replay = await replay.replay(txHash, {
+            scenarios,
+            victim: this.report.victimContract,
+            suspect: this.report.suspectAddress
+        });
+        return this.report.replay;
+    }
+
     async getContractTransactions(address) {
         if (!this.isValidAddress(address)) {
             console.warn(`⚠️  Adresse de contrat invalide : "${address}".`);
             return [];
         }
 
-        const url = `${this.POLYGONSCAN_API}?module=account&action=txlist&address=${address}&startblock=0&endblock=99999999&sort=asc&apikey=${this.apiKey}`;
-        const response = await fetch(url);
-        const data = await response.json();
+        const transactions = await this.explorer.getTransactions(address);
+        // Un déploiement n'a pas de destinataire mais l'adresse du contrat créé
+        return transactions.filter(tx => this.isValidAddress(tx.from) && (this.isValidAddress(tx.to) || this.isValidAddress(tx.contractAddress)));
+    }
 
-        if (data.status !== '1') return [];
-        return data.result.filter(tx => this.isValidAddress(tx.from) && this.isValidAddress(tx.to));
+    /**
+     * Analyse des transactions d'un contrat, puis des séquences dans le temps
+     * @param {Object[]} transactions - Transactions au format de l'explorer
+     */
+    async analyzeTransactions(transactions) {
+        const analyses = await Promise.all(transactions.map(tx => this.analyzeSingleTransaction(tx)));
+        await this.rules.evaluateSequences(analyses, 'window', analysis => this.transactionContext(analysis.hash, 'transaction', {
+            timestamp: Date.parse(analysis.timestamp) / 1000
+        }));
+        return analyses;
     }
 
     async analyzeSingleTransaction(tx) {
         const analysis = {
             hash: tx.hash,
             from: tx.from,
-            to: tx.to,
+            to: tx.to || null,
+            createdContract: tx.to ? null : tx.contractAddress,
+            blockNumber: Number(tx.blockNumber),
+            transactionIndex: tx.transactionIndex !== undefined ? Number(tx.transactionIndex) : null,
             value: tx.value,
             input: tx.input,
             timestamp: new Date(parseInt(tx.timeStamp) * 1000).toISOString(),
             suspicious: false,
+            severity: null,
             reason: []
         };
 
-        if (tx.input && tx.input.length >= 10) {
-            const signature = tx.input.slice(0, 10);
-            const decodedInput = await this.decodeTransactionInput(tx.input);
+        // Le code d'initialisation d'un déploiement n'est pas un appel de fonction
+        if (tx.to && tx.input && tx.input.length >= 10) {
+            analysis.decodedInput = await this.decodeTransactionInput(tx.input, tx.to);
+        }
 
-            analysis.decodedInput = decodedInput;
+        const context = this.transactionContext(tx.hash, 'transaction', { timestamp: Number(tx.timeStamp) });
+        this.applyReasons(analysis, await this.rules.evaluate(analysis, context));
+        return analysis;
+    }
+
+    async analyzeImplementationHistory(fromBlock = null, toBlock = null, { chunkSize } = {}) {
+        const history = new UpgradeHistory(this);
+        const changes = await history.build(this.report.victimContract, { fromBlock, toBlock, chunkSize });
+
+        this.report.upgradeHistory = changes;
+        this.report.implementationHistory = changes
+            .filter(change => change.kind === 'implementation')
+            .map(change => ({
+                blockNumber: change.blockNumber,
+                implementation: change.newValue,
+                previousImplementation: change.oldValue,
+                transactionHash: change.transactionHash,
+                caller: change.caller,
+                source: change.source
+            }));
+        await this.compareImplementations(this.report.implementationHistory);
+    }
 
-            if (this.isSuspiciousSignature(signature)) {
-                analysis.suspicious = true;
-                analysis.reason.push('suspicious_signature');
+    /**
+     * Compare le bytecode de chaque implémentation à celui de la précédente
+     * @param {Object[]} implementationHistory - Entrées complétées par leur champ `comparison`
+     */
+    async compareImplementations(implementationHistory) {
+        const comparator = new ImplementationComparator(this);
+        for (const entry of implementationHistory) {
+            if (!entry.implementation) continue;
+            try {
+                entry.comparison = await comparator.compare(entry.previousImplementation, entry.implementation, entry.blockNumber);
+            } catch (error) {
+                console.warn(`⚠️  Comparaison des implémentations impossible au bloc ${entry.blockNumber}:`, error.message);
             }
         }
+    }
 
-        return analysis;
+    async getTransactionStateDiff(txHash) {
+        const stateDiff = new StateDiff(this);
+        return stateDiff.getTransactionStateDiff(txHash);
     }
 
-    async analyzeImplementationHistory() {
-        const implementations = [];
-        let currentBlock = 0;
-        const latestBlock = await this.web3.eth.getBlockNumber();
+    /**
+     * État implementation/admin avant et après la seule transaction analysée :
+     * les slots modifiés viennent du diff, les autres sont relus au bloc précédent.
+     */
+    async getContractStateFromDiff(address, blockNumber, accounts) {
+        const before = await this.getContractState(address, blockNumber - 1);
+        const after = { ...before };
+        const account = accounts.find(entry => entry.address.toLowerCase() === address.toLowerCase());
+        const slots = {
+            [this.STORAGE_SLOTS.IMPLEMENTATION]: 'implementation',
+            [this.STORAGE_SLOTS.ADMIN]: 'admin'
+        };
 
-        while (currentBlock < latestBlock) {
-            const impl = await this.getImplementationAt(this.report.victimContract, currentBlock);
-            if (impl) {
-                implementations.push({
-                    blockNumber: currentBlock,
-                    implementation: impl
-                });
-            }
-            currentBlock += 1000;
+        for (const change of account?.storage || []) {
+            const field = slots[change.slot];
+            if (!field) continue;
+            before[field] = this.normalizeAddress(change.before);
+            after[field] = this.normalizeAddress(change.after);
         }
 
-        this.report.implementationHistory = implementations;
+        return { before, after };
     }
 
     async getContractState(address, blockNumber) {
@@ -271,7 +681,8 @@ class SmartContractAnalyzer {
     }
 
     async traceContractCalls(startAddress) {
-        const contractsToAnalyze = new Set([startAddress]);
+        // En reprise, la frontière du parcours est restaurée depuis le dernier point enregistré
+        const contractsToAnalyze = new Set(this.checkpoints?.crawl?.discovered || [startAddress]);
 
         for (const contract of contractsToAnalyze) {
             if (!this.isValidAddress(contract)) {
@@ -280,86 +691,51 @@ class SmartContractAnalyzer {
             }
 
             if (this.processedContracts.has(contract)) continue;
-            this.processedContracts.add(contract);
+            console.log(`  - [${this.processedContracts.size + 1}/${contractsToAnalyze.size}] ${contract}`);
 
             const transactions = await this.getContractTransactions(contract);
             for (const tx of transactions) {
-                if (tx.to && this.isValidAddress(tx.to) && await this.isContract(tx.to)) {
-                    contractsToAnalyze.add(tx.to);
-                }
-
-                const analysis = await this.analyzeSingleTransaction(tx);
-                if (analysis.suspicious) {
-                    this.report.suspiciousActions.push(analysis);
+                const target = tx.to || tx.contractAddress;
+                if (this.isValidAddress(target) && await this.isContract(target)) {
+                    contractsToAnalyze.add(target);
                 }
             }
-        }
-    }
 
-    async isContract(address) {
-        const code = await this.web3.eth.getCode(address);
-        return code !== '0x';
-    }
+            const analyses = await this.analyzeTransactions(transactions);
+            this.report.suspiciousActions.push(...analyses.filter(analysis => analysis.suspicious));
 
-    isProxyContract(code) {
-        return Object.values(this.FUNCTION_SIGNATURES).some(sig => code.includes(sig));
-    }
-
-    isSuspiciousCall(trace) {
-        if (!trace.input || trace.input.length < 10) return false;
-        return this.isSuspiciousSignature(trace.input.slice(0, 10));
+            // Un contrat n'est marqué traité qu'une fois toutes ses transactions analysées
+            this.processedContracts.add(contract);
+            await this.checkpoints?.saveCrawl({ discovered: contractsToAnalyze, processed: this.processedContracts }, this.report);
+        }
+        // Parcours complet enregistré : les étapes suivantes d'un run repris retrouvent les contrats traités
+        await this.checkpoints?.saveCrawl({ discovered: contractsToAnalyze, processed: this.processedContracts }, this.report, { force: true });
     }
 
-    isSuspiciousSignature(signature) {
-        return [
-            this.FUNCTION_SIGNATURES.UPGRADE_TO,
-            this.FUNCTION_SIGNATURES.UPGRADE_TO_AND_CALL,
-            this.FUNCTION_SIGNATURES.CHANGE_ADMIN
-        ].includes(signature);
+    async isContract(address) {
+        const key = address.toLowerCase();
+        if (!this.contractCodeCache.has(key)) {
+            const code = await this.web3.eth.getCode(address);
+            this.contractCodeCache.set(key, code !== '0x');
+        }
+        return this.contractCodeCache.get(key);
     }
 
     isValidAddress(address) {
-        return this.web3.utils.isAddress(address) && address !== '0x0000000000000000000000000000000000000000';
+        return isValidAddress(address);
     }
 
-    decodeTransactionInput(inputData) {
-        if (!inputData || inputData.length < 10) return { method: 'unknown', params: {} };
-
-        const functionSignature = inputData.slice(0, 10);
-        const method = Object.entries(this.FUNCTION_SIGNATURES).find(([_, sig]) => sig === functionSignature);
-
-        if (!method) {
-            return { method: 'unknown', params: {} };
-        }
-
-        const functionName = method[0];
-        const paramsAbi = this.getAbiByFunctionName(functionName);
-
-        if (!paramsAbi || !paramsAbi.length) {
-            return { method: functionName, params: {} };
-        }
-
-        try {
-            const decodedParams = this.web3.eth.abi.decodeParameters(paramsAbi, inputData.slice(10));
-            return { method: functionName, params: decodedParams };
-        } catch (error) {
-            console.warn(`Erreur lors du décodage des paramètres pour la fonction ${functionName}:`, error);
-            return { method: functionName, params: {} };
-        }
+    isValidTxHash(hash) {
+        return isValidTxHash(hash);
     }
 
-    getAbiByFunctionName(functionName) {
-        const abiMapping = {
-            UPGRADE_TO: [{ name: 'implementation', type: 'address' }],
-            UPGRADE_TO_AND_CALL: [{ name: 'implementation', type: 'address' }, { name: 'data', type: 'bytes' }],
-            CHANGE_ADMIN: [{ name: 'newAdmin', type: 'address' }],
-            INITIALIZE: []
-        };
-        return abiMapping[functionName] || null;
+    async decodeTransactionInput(inputData, to = null) {
+        return this.abiDecoder.decodeCall(inputData, to);
     }
 
     normalizeAddress(hexData) {
-        return this.web3.utils.toChecksumAddress('0x' + hexData.slice(-40));
+        // Certains nœuds (ganache) renvoient les slots sans les zéros de tête : "0x0"
+        return this.web3.utils.toChecksumAddress('0x' + hexData.replace(/^0x/i, '').padStart(40, '0').slice(-40));
     }
 }
 
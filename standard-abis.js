@@ -0,0 +1,89 @@
+/**
+ * ABI des standards courants, en signatures lisibles.
+ * Elles servent au décodage hors ligne et à la génération de data/signatures.json.
+ */
+export const STANDARD_ABIS = {
+    ERC20: [
+        'function transfer(address to, uint256 amount)',
+        'function transferFrom(address from, address to, uint256 amount)',
+        'function approve(address spender, uint256 amount)',
+        'function increaseAllowance(address spender, uint256 addedValue)',
+        'function decreaseAllowance(address spender, uint256 subtractedValue)',
+        'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+        'function mint(address to, uint256 amount)',
+        'function burn(uint256 amount)',
+        'function burnFrom(address account, uint256 amount)',
+        'function balanceOf(address account)',
+        'function allowance(address owner, address spender)',
+        'function totalSupply()',
+        'function decimals()',
+        'function symbol()',
+        'function name()',
+        'event Transfer(address indexed from, address indexed to, uint256 value)',
+        'event Approval(address indexed owner, address indexed spender, uint256 value)'
+    ],
+    ERC721: [
+        'function safeTransferFrom(address from, address to, uint256 tokenId)',
+        'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+        'function setApprovalForAll(address operator, bool approved)',
+        'function ownerOf(uint256 tokenId)',
+        'function getApproved(uint256 tokenId)',
+        'function isApprovedForAll(address owner, address operator)',
+        'function tokenURI(uint256 tokenId)',
+        'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+        'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+        'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)'
+    ],
+    ERC1155: [
+        'function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes data)',
+        'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] values, bytes data)',
+        'function balanceOfBatch(address[] accounts, uint256[] ids)',
+        'function uri(uint256 id)',
+        'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+        'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+        'event URI(string value, uint256 indexed id)'
+    ],
+    Ownable: [
+        'function owner()',
+        'function transferOwnership(address newOwner)',
+        'function renounceOwnership()',
+        'function acceptOwnership()',
+        'function pendingOwner()',
+        'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+        'event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)'
+    ],
+    AccessControl: [
+        'function grantRole(bytes32 role, address account)',
+        'function revokeRole(bytes32 role, address account)',
+        'function renounceRole(bytes32 role, address account)',
+        'function renounceRole(bytes32 role, address callerConfirmation)',
+        'function hasRole(bytes32 role, address account)',
+        'function getRoleAdmin(bytes32 role)',
+        'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+        'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+        'event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole)'
+    ],
+    Proxy: [
+        'function upgradeTo(address newImplementation)',
+        'function upgradeToAndCall(address newImplementation, bytes data)',
+        'function changeAdmin(address newAdmin)',
+        'function admin()',
+        'function implementation()',
+        'function proxiableUUID()',
+        'function upgrade(address proxy, address implementation)',
+        'function upgradeAndCall(address proxy, address implementation, bytes data)',
+        'function initialize()',
+        'event Upgraded(address indexed implementation)',
+        'event AdminChanged(address previousAdmin, address newAdmin)',
+        'event BeaconUpgraded(address indexed beacon)',
+        'event Initialized(uint8 version)',
+        'event Initialized(uint64 version)'
+    ],
+    Pausable: [
+        'function pause()',
+        'function unpause()',
+        'function paused()',
+        'event Paused(address account)',
+        'event Unpaused(address account)'
+    ]
+};
@@ -0,0 +1,156 @@
+import { decodeSlotValue, labelSlot, normalizeSlot } from './known-slots.js';
+
+const ZERO_WORD = '0x' + '0'.repeat(64);
+
+export const STATE_DIFF_SOURCES = ['prestate', 'replay'];
+
+/**
+ * Calcule le diff d'état d'une seule transaction pour chaque compte touché :
+ * solde, nonce, code et slots de stockage modifiés.
+ * Sources essayées dans l'ordre :
+ * - `prestate` : debug_traceTransaction avec le prestateTracer en mode diff (geth, erigon, anvil)
+ * - `replay` : trace_replayTransaction avec `stateDiff` (OpenEthereum, erigon)
+ */
+export class StateDiff {
+    constructor(analyzer, { sources = STATE_DIFF_SOURCES } = {}) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.sources = sources;
+    }
+
+    async getTransactionStateDiff(txHash) {
+        const loaders = {
+            prestate: () => this.fromPrestateTracer(txHash),
+            replay: () => this.fromReplayTransaction(txHash)
+        };
+
+        for (const source of this.sources) {
+            try {
+                const accounts = await loaders[source]();
+                if (accounts) return { source, accounts };
+            } catch (error) {
+                console.warn(`⚠️  Source de diff d'état "${source}" indisponible:`, error.message);
+            }
+        }
+        return { source: null, accounts: [] };
+    }
+
+    async rpc(method, params) {
+        return this.web3.requestManager.send({ method, params });
+    }
+
+    /**
+     * En mode diff, `post` ne contient que les champs modifiés et omet les slots remis à zéro ;
+     * un compte présent dans `pre` mais absent de `post` a été détruit.
+     */
+    async fromPrestateTracer(txHash) {
+        const result = await this.rpc('debug_traceTransaction', [txHash, {
+            tracer: 'prestateTracer',
+            tracerConfig: { diffMode: true }
+        }]);
+        if (!result?.pre) return null;
+
+        const { pre = {}, post = {} } = result;
+        const addresses = new Set([...Object.keys(pre), ...Object.keys(post)]);
+
+        return [...addresses].map(address => {
+            const before = pre[address];
+            const after = post[address];
+            const destroyed = Boolean(before && !after);
+            const storageSlots = new Set([
+                ...Object.keys(before?.storage || {}),
+                ...Object.keys(after?.storage || {})
+            ]);
+
+            return this.createAccountDiff(address, {
+                created: !before,
+                destroyed,
+                balance: this.fieldChange(before?.balance, after?.balance, destroyed ? '0x0' : undefined),
+                nonce: this.fieldChange(before?.nonce, after?.nonce),
+                code: this.fieldChange(before?.code, after?.code, destroyed ? '0x' : undefined),
+                storage: [...storageSlots].map(slot => ({
+                    slot,
+                    before: before?.storage?.[slot] ?? ZERO_WORD,
+                    after: after?.storage?.[slot] ?? ZERO_WORD
+                }))
+            });
+        });
+    }
+
+    async fromReplayTransaction(txHash) {
+        const result = await this.rpc('trace_replayTransaction', [txHash, ['stateDiff']]);
+        if (!result?.stateDiff) return null;
+
+        return Object.entries(result.stateDiff).map(([address, diff]) => {
+            const balance = this.replayChange(diff.balance);
+            return this.createAccountDiff(address, {
+                created: diff.balance?.['+'] !== undefined,
+                destroyed: diff.balance?.['-'] !== undefined,
+                balance,
+                nonce: this.replayChange(diff.nonce),
+                code: this.replayChange(diff.code),
+                storage: Object.entries(diff.storage || {}).map(([slot, change]) => {
+                    const { before, after } = this.replayChange(change) || {};
+                    return { slot, before: before ?? ZERO_WORD, after: after ?? ZERO_WORD };
+                })
+            });
+        });
+    }
+
+    /** Format trace_replayTransaction : `=` inchangé, `+` créé, `-` supprimé, `*` modifié */
+    replayChange(change) {
+        if (!change || change === '=') return null;
+        if (change['+'] !== undefined) return { before: null, after: change['+'] };
+        if (change['-'] !== undefined) return { before: change['-'], after: null };
+        if (change['*']) return { before: change['*'].from, after: change['*'].to };
+        return null;
+    }
+
+    fieldChange(before, after, deletedValue) {
+        const next = after ?? deletedValue;
+        if (next === undefined || next === before) return null;
+        return { before: before ?? null, after: next };
+    }
+
+    createAccountDiff(address, { created, destroyed, balance, nonce, code, storage }) {
+        return {
+            address: this.web3.utils.toChecksumAddress(address),
+            created,
+            destroyed,
+            balance: balance && {
+                before: this.toDecimalString(balance.before),
+                after: this.toDecimalString(balance.after)
+            },
+            nonce: nonce && {
+                before: nonce.before === null ? null : Number(nonce.before),
+                after: nonce.after === null ? null : Number(nonce.after)
+            },
+            code: code && {
+                before: code.before ? this.web3.utils.sha3(code.before) : null,
+                after: code.after ? this.web3.utils.sha3(code.after) : null
+            },
+            storage: storage
+                .map(entry => ({ ...entry, before: normalizeSlot(entry.before), after: normalizeSlot(entry.after) }))
+                .filter(entry => entry.before !== entry.after)
+                .map(entry => this.labelStorageChange(entry))
+        };
+    }
+
+    labelStorageChange({ slot, before, after }) {
+        const known = labelSlot(slot);
+        return {
+            slot: normalizeSlot(slot),
+            label: known?.label ?? null,
+            before,
+            after,
+            decoded: known ? {
+                before: decodeSlotValue(known.type, before),
+                after: decodeSlotValue(known.type, after)
+            } : null
+        };
+    }
+
+    toDecimalString(value) {
+        return value === null || value === undefined ? null : BigInt(value).toString();
+    }
+}
@@ -0,0 +1,227 @@
+import { getLogsInChunks } from './log-scanner.js';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Reconstruit l'historique exact des changements d'implémentation, d'admin
+ * et de beacon d'un proxy EIP-1967.
+ *
+ * Les événements `Upgraded`, `AdminChanged` et `BeaconUpgraded` donnent les
+ * changements annoncés ; les slots EIP-1967 sont ensuite relus entre chaque
+ * point connu et une recherche dichotomique localise les écritures qui
+ * n'ont émis aucun événement.
+ */
+export class UpgradeHistory {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.web3 = analyzer.web3;
+        this.kinds = {
+            implementation: {
+                event: analyzer.EVENT_SIGNATURES.IMPLEMENTATION_CHANGED,
+                slot: analyzer.STORAGE_SLOTS.IMPLEMENTATION
+            },
+            admin: {
+                event: analyzer.EVENT_SIGNATURES.ADMIN_CHANGED,
+                slot: analyzer.STORAGE_SLOTS.ADMIN
+            },
+            beacon: {
+                event: analyzer.EVENT_SIGNATURES.BEACON_UPGRADED,
+                slot: analyzer.STORAGE_SLOTS.BEACON
+            }
+        };
+        this.transactions = new Map();
+    }
+
+    async build(address, { fromBlock = null, toBlock = null, chunkSize = 2000 } = {}) {
+        const startBlock = fromBlock ?? await this.findDeploymentBlock(address);
+        const endBlock = toBlock ?? Number(await this.web3.eth.getBlockNumber());
+
+        console.log(`📚 Recherche des événements de proxy entre les blocs ${startBlock} et ${endBlock}...`);
+        const logs = await getLogsInChunks(this.web3, {
+            address,
+            topics: [Object.values(this.kinds).map(kind => kind.event)]
+        }, startBlock, endBlock, {
+            chunkSize,
+            onProgress: (block, last, count) => {
+                if (block === last || block % (chunkSize * 50) < chunkSize) {
+                    console.log(`  - bloc ${block}/${last} (${count} événements)`);
+                }
+            }
+        });
+
+        const changes = [];
+        for (const [kind, { slot }] of Object.entries(this.kinds)) {
+            const eventChanges = await this.changesFromLogs(kind, logs);
+            const verified = await this.crossCheckWithStorage(address, kind, slot, eventChanges, startBlock, endBlock);
+            changes.push(...verified);
+        }
+
+        // Un changement sans événement passe après les événements de son bloc
+        const position = change => change.logIndex ?? Number.MAX_SAFE_INTEGER;
+        return changes.sort((a, b) => a.blockNumber - b.blockNumber || position(a) - position(b));
+    }
+
+    async findDeploymentBlock(address) {
+        try {
+            const creation = await this.analyzer.explorer.getContractCreation(address);
+            if (creation?.txHash) {
+                const receipt = await this.web3.eth.getTransactionReceipt(creation.txHash);
+                return Number(receipt.blockNumber);
+            }
+        } catch (error) {
+            console.warn(`⚠️  Bloc de déploiement introuvable pour ${address}:`, error.message);
+        }
+        return 0;
+    }
+
+    async changesFromLogs(kind, logs) {
+        const changes = [];
+        let previous = null;
+
+        for (const log of logs.filter(entry => entry.topics[0] === this.kinds[kind].event)) {
+            const { oldValue, newValue } = this.decodeChangeLog(kind, log);
+            const tx = await this.getTransaction(log.transactionHash);
+
+            changes.push({
+                kind,
+                blockNumber: Number(log.blockNumber),
+                logIndex: Number(log.logIndex),
+                transactionHash: log.transactionHash,
+                caller: tx?.from ?? null,
+                oldValue: oldValue ?? previous,
+                newValue,
+                source: 'event'
+            });
+            previous = newValue;
+        }
+
+        return changes;
+    }
+
+    decodeChangeLog(kind, log) {
+        if (kind === 'admin') {
+            const params = this.web3.eth.abi.decodeParameters(['address', 'address'], log.data);
+            return { oldValue: this.toAddress(params[0]), newValue: this.toAddress(params[1]) };
+        }
+        return { oldValue: null, newValue: this.toAddress('0x' + log.topics[1].slice(26)) };
+    }
+
+    /**
+     * Vérifie chaque intervalle entre deux changements connus en relisant le slot.
+     * Si la valeur en fin d'intervalle ne correspond pas, la recherche dichotomique
+     * trouve le premier bloc où le slot a changé sans événement. Le slot est aussi relu
+     * en fin de chaque bloc d'événement, pour une écriture silencieuse qui suit l'événement.
+     */
+    async crossCheckWithStorage(address, kind, slot, eventChanges, startBlock, endBlock) {
+        const changes = [];
+        const initialBlock = Math.max(startBlock - 1, 0);
+        let current;
+
+        try {
+            current = await this.readSlot(address, slot, initialBlock);
+        } catch (error) {
+            console.warn(`⚠️  Lecture du slot ${kind} impossible au bloc ${initialBlock} (nœud non archive ?):`, error.message);
+            return eventChanges;
+        }
+
+        const boundaries = [...eventChanges, null];
+        let segmentStart = startBlock;
+        let eventBlock = null;
+
+        for (const [index, change] of boundaries.entries()) {
+            const segmentEnd = change ? change.blockNumber - 1 : endBlock;
+
+            try {
+                // Fin du bloc du dernier événement, une fois tous ses événements appliqués
+                if (eventBlock !== null && eventBlock !== change?.blockNumber) {
+                    const valueAtBlockEnd = await this.readSlot(address, slot, eventBlock);
+                    if (valueAtBlockEnd !== current) {
+                        changes.push({
+                            kind,
+                            blockNumber: eventBlock,
+                            logIndex: null,
+                            ...await this.findWritingTransaction(address, eventBlock),
+                            oldValue: current,
+                            newValue: valueAtBlockEnd,
+                            source: 'storage'
+                        });
+                        current = valueAtBlockEnd;
+                    }
+                }
+
+                while (segmentStart <= segmentEnd) {
+                    const valueAtEnd = await this.readSlot(address, slot, segmentEnd);
+                    if (valueAtEnd === current) break;
+
+                    const block = await this.findFirstChange(address, slot, current, segmentStart, segmentEnd);
+                    const newValue = await this.readSlot(address, slot, block);
+                    changes.push({
+                        kind,
+                        blockNumber: block,
+                        logIndex: null,
+                        ...await this.findWritingTransaction(address, block),
+                        oldValue: current,
+                        newValue,
+                        source: 'storage'
+                    });
+                    current = newValue;
+                    segmentStart = block + 1;
+                }
+            } catch (error) {
+                console.warn(`⚠️  Vérification du slot ${kind} interrompue (nœud non archive ?):`, error.message);
+                // Les événements déjà parcourus sont dans `changes` : seuls les suivants sont ajoutés
+                return [...changes, ...eventChanges.slice(index)].sort((a, b) => a.blockNumber - b.blockNumber);
+            }
+
+            if (!change) break;
+
+            if (kind !== 'admin') change.oldValue = current;
+            changes.push(change);
+            current = change.newValue;
+            segmentStart = change.blockNumber + 1;
+            eventBlock = change.blockNumber;
+        }
+
+        return changes;
+    }
+
+    async findFirstChange(address, slot, value, low, high) {
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (await this.readSlot(address, slot, middle) === value) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    async findWritingTransaction(address, blockNumber) {
+        const block = await this.web3.eth.getBlock(blockNumber, true);
+        const candidates = (block.transactions || [])
+            .filter(tx => tx.to && tx.to.toLowerCase() === address.toLowerCase());
+
+        if (candidates.length === 1) {
+            return { transactionHash: candidates[0].hash, caller: candidates[0].from };
+        }
+        return { transactionHash: null, caller: null };
+    }
+
+    async readSlot(address, slot, blockNumber) {
+        const raw = await this.web3.eth.getStorageAt(address, slot, blockNumber);
+        return this.toAddress(raw);
+    }
+
+    async getTransaction(hash) {
+        if (!this.transactions.has(hash)) {
+            this.transactions.set(hash, await this.web3.eth.getTransaction(hash).catch(() => null));
+        }
+        return this.transactions.get(hash);
+    }
+
+    toAddress(hexData) {
+        const address = this.analyzer.normalizeAddress(hexData);
+        return address === ZERO_ADDRESS ? null : address;
+    }
+}